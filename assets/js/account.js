@@ -0,0 +1,120 @@
+let isSubmitting = false;
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const USERNAME_PATTERN = /^[a-zA-Z0-9_.-]{3,30}$/;
+
+function displayError(fieldId, message) {
+  const errorElement = document.getElementById(`${fieldId}-error`);
+  if (errorElement) {
+    errorElement.textContent = message;
+    errorElement.classList.toggle('hidden', !message);
+  }
+}
+
+const apiRequest = async (path, options = {}) => {
+  const response = await fetchWithAuth(`${getApiBaseUrl()}${path}`, {
+    ...options,
+    headers: { 'Content-Type': 'application/json', ...options.headers }
+  });
+  if (response.status === 401) {
+    handleUnauthorized();
+    throw new Error('Unauthorized: Redirecting to login');
+  }
+  const data = await response.json();
+  if (!response.ok) throw new Error(data.error || `HTTP ${response.status}`);
+  return data;
+};
+
+const withLoading = async (task) => {
+  if (isSubmitting) return;
+  isSubmitting = true;
+  const loading = document.getElementById('loading');
+  loading.classList.remove('hidden');
+  try {
+    await task();
+  } finally {
+    loading.classList.add('hidden');
+    isSubmitting = false;
+  }
+};
+
+async function loadProfile() {
+  await withLoading(async () => {
+    try {
+      const user = await apiRequest('/auth/me');
+      document.getElementById('username').value = user.username;
+      document.getElementById('email').value = user.email || '';
+      document.getElementById('account-role').textContent = `Signed in as ${DOMPurify.sanitize(user.username)} (${DOMPurify.sanitize(user.role)})`;
+    } catch (error) {
+      console.error('Failed to load profile:', error);
+      displayError('profile', error.message);
+    }
+  });
+}
+
+async function handleProfileSubmit(event) {
+  event.preventDefault();
+  document.querySelectorAll('#profile-form .error-message').forEach(el => el.classList.add('hidden'));
+  const username = DOMPurify.sanitize(document.getElementById('username').value.trim());
+  const email = DOMPurify.sanitize(document.getElementById('email').value.trim());
+  if (!USERNAME_PATTERN.test(username)) {
+    return displayError('username', 'Username must be 3-30 letters, numbers, dots, dashes or underscores');
+  }
+  if (!EMAIL_PATTERN.test(email)) return displayError('email', 'Enter a valid email address');
+
+  await withLoading(async () => {
+    try {
+      const data = await apiRequest('/auth/me', { method: 'PUT', body: JSON.stringify({ username, email }) });
+      saveSession({ ...data.user, token: data.token, expiresAt: data.expiresAt });
+      displayError('profile', 'Profile saved');
+    } catch (error) {
+      console.error('Failed to save profile:', error);
+      displayError('profile', error.message);
+    }
+  });
+}
+
+async function handlePasswordSubmit(event) {
+  event.preventDefault();
+  const form = event.target;
+  document.querySelectorAll('#password-form .error-message').forEach(el => el.classList.add('hidden'));
+  const currentPassword = document.getElementById('current-password').value;
+  const newPassword = document.getElementById('new-password').value;
+  const confirmPassword = document.getElementById('confirm-password').value;
+  if (!currentPassword) return displayError('current-password', 'Enter your current password');
+  if (newPassword.length < 6) return displayError('new-password', 'Password must be at least 6 characters');
+  if (newPassword !== confirmPassword) return displayError('confirm-password', 'Passwords do not match');
+
+  await withLoading(async () => {
+    try {
+      const data = await apiRequest('/auth/change-password', {
+        method: 'POST',
+        body: JSON.stringify({ currentPassword, newPassword })
+      });
+      saveSession(data);
+      form.reset();
+      displayError('password-general', 'Password changed');
+    } catch (error) {
+      console.error('Failed to change password:', error);
+      displayError('password-general', error.message);
+    }
+  });
+}
+
+async function init() {
+  if (!(await ensureSession())) {
+    handleUnauthorized();
+    return;
+  }
+  const profileForm = document.getElementById('profile-form');
+  const passwordForm = document.getElementById('password-form');
+  if (!profileForm || !passwordForm) {
+    console.error('Account forms not found');
+    return;
+  }
+  profileForm.addEventListener('submit', handleProfileSubmit);
+  passwordForm.addEventListener('submit', handlePasswordSubmit);
+  loadProfile();
+}
+
+document.addEventListener('DOMContentLoaded', init);
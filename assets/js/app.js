@@ -6,84 +6,7 @@ const debounce = (func, wait) => {
   };
 };
 
-const getToken = () => localStorage.getItem('jwt_token');
-
-const handleUnauthorized = () => {
-  localStorage.removeItem('jwt_token');
-  window.location.href = '/login.html';
-};
-
-const isTokenValid = () => {
-  const token = getToken();
-  if (!token) return false;
-  try {
-    const payloadBase64 = token.split('.')[1];
-    if (!payloadBase64) throw new Error('Invalid JWT format');
-    const payload = JSON.parse(atob(payloadBase64));
-    const now = Math.floor(Date.now() / 1000);
-    return payload.exp > now && payload.username;
-  } catch (error) {
-    console.warn('Invalid token format:', error);
-    return false;
-  }
-};
-
-const getUsernameFromToken = () => {
-  const token = getToken();
-  if (!token) return null;
-  try {
-    const payloadBase64 = token.split('.')[1];
-    if (!payloadBase64) return null;
-    const payload = JSON.parse(atob(payloadBase64));
-    return payload.username || null;
-  } catch (error) {
-    console.warn('Failed to parse username from token:', error);
-    return null;
-  }
-};
-
-const fetchWithRetry = async (url, retries = 3, delay = 1000, options = {}) => {
-  const cacheKey = `movies_data_${url}`;
-  const cacheTimestampKey = `${cacheKey}_timestamp`;
-  const cacheDuration = parseInt(window.env?.CACHE_DURATION) || 60 * 60 * 1000;
-
-  const cached = localStorage.getItem(cacheKey);
-  const cachedTimestamp = localStorage.getItem(cacheTimestampKey);
-  const now = Date.now();
-
-  if (cached && cachedTimestamp && now - parseInt(cachedTimestamp) < cacheDuration) {
-    try {
-      return JSON.parse(cached);
-    } catch (error) {
-      console.warn("Invalid cached data, fetching fresh:", error);
-    }
-  }
-
-  const token = getToken();
-  const headers = token ? { ...options.headers, 'Authorization': `Bearer ${token}` } : options.headers || {};
-  for (let i = 0; i < retries; i++) {
-    try {
-      const response = await fetch(url, { ...options, headers });
-      if (response.status === 401) {
-        handleUnauthorized();
-        throw new Error('Unauthorized: Redirecting to login');
-      }
-      if (!response.ok) throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-      const data = await response.json();
-      try {
-        localStorage.setItem(cacheKey, JSON.stringify(data));
-        localStorage.setItem(cacheTimestampKey, now.toString());
-      } catch (error) {
-        console.warn("Failed to cache data:", error);
-      }
-      return data;
-    } catch (error) {
-      console.error(`Fetch attempt ${i + 1} failed for ${url}:`, error);
-      if (i === retries - 1 || error.message.includes('Unauthorized')) throw error;
-      await new Promise(resolve => setTimeout(resolve, delay));
-    }
-  }
-};
+const CAROUSEL_LIMIT = 20;
 
 const initNavbar = () => {
   const hamburger = document.querySelector(".hamburger");
@@ -100,15 +23,16 @@ const initNavbar = () => {
     return;
   }
 
-  const username = getUsernameFromToken();
+  const username = getUsername();
   if (username) {
     usernameSpan.textContent = DOMPurify.sanitize(username);
   }
 
+  const role = getRole();
   const manageMoviesLink = document.querySelector('a[href="/manage-movies.html"]');
-  if (manageMoviesLink && username !== 'admin') {
+  if (manageMoviesLink && !['admin', 'editor'].includes(role)) {
     manageMoviesLink.style.display = 'none';
-    console.log('Manage Movies link hidden for non-admin user:', username);
+    console.log(`Manage Movies link hidden for ${role} user:`, username);
   }
 
   const toggleMenu = () => {
@@ -155,11 +79,8 @@ const initNavbar = () => {
     });
   });
 
-  logoutBtn.addEventListener('click', () => {
-    localStorage.removeItem('jwt_token');
-    console.log('User logged out, redirecting to /login.html');
-    window.location.href = '/login.html';
-  });
+  logoutBtn.addEventListener('click', logout);
+  initNavbarSearch();
 };
 
 const setupCarousel = (carouselId, items) => {
@@ -175,23 +96,23 @@ const setupCarousel = (carouselId, items) => {
 
   wrapper.innerHTML = validItems.length
     ? validItems.map(item => {
-        const filePath = item.file_path || (item.seasons && item.seasons[0]?.episodes[0]?.file_path) || '#';
+        const url = titleUrl(item);
         return `
         <div class="swiper-slide">
           <div class="card">
             <div class="img">
-              <a href="movie-detail.html?file=${encodeURIComponent(filePath)}" aria-label="Watch ${DOMPurify.sanitize(item.title || 'No title')}">
+              <a href="${url}" aria-label="Watch ${DOMPurify.sanitize(item.title || 'No title')}">
                 <img src="${DOMPurify.sanitize(item.poster || '/assets/images/logo2.svg')}" alt="${DOMPurify.sanitize(item.title || 'No title')}" loading="lazy" onerror="this.src='/assets/images/logo2.svg'">
               </a>
             </div>
             <div class="title">
-              <a href="movie-detail.html?file=${encodeURIComponent(filePath)}" aria-label="Watch ${DOMPurify.sanitize(item.title || 'No title')}"><h4>${DOMPurify.sanitize(item.title || 'Untitled')}</h4></a>
+              <a href="${url}" aria-label="Watch ${DOMPurify.sanitize(item.title || 'No title')}"><h4>${DOMPurify.sanitize(item.title || 'Untitled')}</h4></a>
               <span>${DOMPurify.sanitize(item.year || 'N/A')}</span>
             </div>
             <div class="footer">
-              <span class="rating-badge">${DOMPurify.sanitize(item.rating || 'N/A')}</span>
+              <span class="rating-badge">${DOMPurify.sanitize(formatRating(item.rating) || 'N/A')}</span>
               <div class="time-rating">
-                <span><i class="fa-regular fa-clock"></i> ${DOMPurify.sanitize(item.duration || 'N/A')}</span>
+                <span><i class="fa-regular fa-clock"></i> ${DOMPurify.sanitize(formatDuration(item.duration) || 'N/A')}</span>
               </div>
             </div>
             <div class="genres">${DOMPurify.sanitize(item.genres?.join(', ') || 'N/A')}</div>
@@ -226,7 +147,7 @@ const setupCarousel = (carouselId, items) => {
   });
 };
 
-const setupFilters = (carouselId, items) => {
+const setupFilters = (carouselId, category) => {
   const carousel = document.querySelector(carouselId);
   if (!carousel) return;
   const section = carousel.closest('.carousel-section');
@@ -240,41 +161,37 @@ const setupFilters = (carouselId, items) => {
     return;
   }
   buttons.forEach(button => {
-    button.addEventListener("click", () => {
+    button.addEventListener("click", async () => {
       const filter = button.getAttribute("data-filter");
       buttons.forEach(btn => btn.setAttribute("aria-pressed", btn === button ? "true" : "false"));
-      const filteredItems = filter === "all"
-        ? items
-        : items.filter(item => item.genres?.includes(filter));
-      setupCarousel(carouselId, filteredItems);
+      try {
+        const { items } = await fetchTitles({ category, genre: filter === "all" ? null : filter, sort: "id", limit: CAROUSEL_LIMIT });
+        setupCarousel(carouselId, items);
+      } catch (error) {
+        console.error(`Failed to filter ${carouselId}:`, error);
+      }
     });
   });
 };
 
 const loadHeroContent = async () => {
-  const baseUrl = window.env?.API_BASE_URL || window.location.origin;
   try {
-    const data = await fetchWithRetry(`${baseUrl}/assets/data/movies.json`);
-    if (!Array.isArray(data)) {
-      throw new Error("Invalid data format: Expected an array");
-    }
-    const highRated = data.filter(item => parseFloat(item.rating) >= 7.0);
-    const featured = highRated[Math.floor(Math.random() * highRated.length)] || data[0];
+    const { items: highRated } = await fetchTitles({ minRating: 7.0, limit: 100 });
+    const featured = highRated[Math.floor(Math.random() * highRated.length)] || (await fetchTitles({ sort: "id", limit: 1 })).items[0];
     if (!featured) return;
 
     document.querySelector('.hero').style.backgroundImage = `linear-gradient(rgba(0, 0, 0, 0.7), rgba(0, 0, 0, 0.7)), url(${DOMPurify.sanitize(featured.poster || '/assets/images/hero-bg.webp')})`;
     document.querySelector('#hero-category').textContent = DOMPurify.sanitize(featured.category.toUpperCase());
     document.querySelector('#hero-title').innerHTML = DOMPurify.sanitize(featured.title || 'Untitled');
-    document.querySelector('#hero-rating').textContent = DOMPurify.sanitize(`Rating: ${featured.rating || 'N/A'}`);
+    document.querySelector('#hero-rating').textContent = DOMPurify.sanitize(`Rating: ${formatRating(featured.rating) || 'N/A'}`);
     document.querySelector('#hero-resolution').textContent = DOMPurify.sanitize(featured.resolution || 'N/A');
     document.querySelector('#hero-genres').innerHTML = DOMPurify.sanitize(featured.genres?.map(g => `<a href="#">${g}</a>`).join(', ') || 'N/A');
     document.querySelector('#hero-year').innerHTML = `<i class="fa-solid fa-calendar-days"></i> ${DOMPurify.sanitize(featured.year || 'N/A')}`;
-    document.querySelector('#hero-duration').innerHTML = `<i class="fa-regular fa-clock"></i> ${DOMPurify.sanitize(featured.duration || 'N/A')}`;
+    document.querySelector('#hero-duration').innerHTML = `<i class="fa-regular fa-clock"></i> ${DOMPurify.sanitize(formatDuration(featured.duration) || 'N/A')}`;
     document.querySelector('#hero-description').textContent = DOMPurify.sanitize(featured.description || 'No description available.');
     const watchBtn = document.querySelector('#hero-watch');
     watchBtn.onclick = () => {
-      const filePath = featured.file_path || (featured.seasons && featured.seasons[0]?.episodes[0]?.file_path) || '#';
-      window.location.href = `movie-detail.html?file=${encodeURIComponent(filePath)}`;
+      window.location.href = titleUrl(featured);
     };
   } catch (error) {
     console.error('Failed to load hero content:', error);
@@ -295,20 +212,15 @@ const loadContent = async () => {
     }
   });
 
-  const baseUrl = window.env?.API_BASE_URL || window.location.origin;
   try {
-    const data = await fetchWithRetry(`${baseUrl}/assets/data/movies.json`);
-    if (!Array.isArray(data)) {
-      throw new Error("Invalid data format: Expected an array");
-    }
-    Object.entries(carousels).forEach(([key, { id, category }]) => {
-      const items = data.filter(item => item.category === category);
+    await Promise.all(Object.values(carousels).map(async ({ id, category }) => {
+      const { items } = await fetchTitles({ category, sort: "id", limit: CAROUSEL_LIMIT });
       setupCarousel(id, items);
-      setupFilters(id, items);
-    });
+      setupFilters(id, category);
+    }));
     const featuredPosters = document.querySelectorAll('.featured-poster');
     if (featuredPosters.length) {
-      const featured = data.filter(item => parseFloat(item.rating) >= 7.0).slice(0, 2);
+      const { items: featured } = await fetchTitles({ minRating: 7.0, sort: "id", limit: 2 });
       featuredPosters.forEach((poster, index) => {
         if (featured[index]) {
           poster.src = DOMPurify.sanitize(featured[index].poster || '/assets/images/service-banner.jpg');
@@ -328,9 +240,8 @@ const loadContent = async () => {
 };
 
 const loadMovieDetail = async () => {
-  const urlParams = new URLSearchParams(window.location.search);
-  const filePath = urlParams.get("file");
-  console.log("File path from URL:", filePath);
+  const route = parseTitlePath(window.location.pathname);
+  console.log("Title from URL:", route);
 
   const videoPopup = document.querySelector("#video-popup");
   const videoPlayer = document.querySelector("#video-player");
@@ -354,8 +265,8 @@ const loadMovieDetail = async () => {
     episodeSelect: document.querySelector("#episode-select"),
   };
 
-  if (!filePath || filePath === "undefined" || !videoPopup || !videoPlayer || !videoSource || !watchNowBtn || !closePopupBtn || !Object.values(elements).every(el => el)) {
-    console.error("Invalid file path or missing required elements for movie detail page");
+  if (!route || !videoPopup || !videoPlayer || !videoSource || !watchNowBtn || !closePopupBtn || !Object.values(elements).every(el => el)) {
+    console.error("Invalid title URL or missing required elements for movie detail page");
     if (elements.title) {
       elements.title.textContent = "Error: Invalid Content";
       elements.description && (elements.description.textContent = "No valid content selected. Please go back and select a movie or series.");
@@ -371,20 +282,11 @@ const loadMovieDetail = async () => {
   videoPopup.setAttribute("hidden", "");
   console.log("Video popup hidden state (initial):", videoPopup.hidden);
 
-  const baseUrl = window.env?.API_BASE_URL || window.location.origin;
   try {
-    const data = await fetchWithRetry(`${baseUrl}/assets/data/movies.json`);
-    if (!Array.isArray(data)) {
-      throw new Error("Invalid data format: Expected an array");
-    }
-
-    const movie = data.find(item => 
-      item.file_path === decodeURIComponent(filePath) || 
-      (item.seasons && item.seasons.some(season => season.episodes.some(ep => ep.file_path === decodeURIComponent(filePath))))
-    );
+    const movie = await fetchTitle(route.id);
 
     if (!movie) {
-      console.error("Movie not found for file path:", filePath);
+      console.error("Title not found:", route);
       elements.title.textContent = "Movie not found.";
       elements.description.textContent = "The requested content could not be found.";
       videoPopup.setAttribute("hidden", "");
@@ -393,10 +295,20 @@ const loadMovieDetail = async () => {
       return;
     }
 
+    // Media is served by /stream through signed links; they skip DOMPurify, which would escape their &
+    const streamUrlFor = async (season, episode, type = 'stream') => {
+      try {
+        return await getMediaLink(movie.id, { type, episode: episode ? { season: season.season, episode: episode.episode } : null });
+      } catch (error) {
+        console.error(`Failed to get ${type} link:`, error);
+        return type === 'download' ? '#' : '';
+      }
+    };
+
     elements.poster.src = DOMPurify.sanitize(movie.poster || "/assets/images/logo2.svg");
     elements.poster.alt = DOMPurify.sanitize(movie.title || "No title");
     elements.title.textContent = DOMPurify.sanitize(movie.title || "Untitled");
-    elements.rating.textContent = DOMPurify.sanitize(movie.rating || "N/A");
+    elements.rating.textContent = DOMPurify.sanitize(formatRating(movie.rating) || "N/A");
     elements.resolution.textContent = DOMPurify.sanitize(movie.resolution || "N/A");
     elements.year.textContent = DOMPurify.sanitize(movie.year || "Unknown");
     elements.description.textContent = DOMPurify.sanitize(movie.description || "No description available.");
@@ -418,32 +330,28 @@ const loadMovieDetail = async () => {
         `<option value="${s.season}">Season ${s.season}</option>`
       ).join("");
 
-      const updateEpisodes = () => {
+      const updateEpisodes = async () => {
         const selectedSeason = parseInt(elements.seasonSelect.value);
         const season = movie.seasons.find(s => s.season === selectedSeason);
         elements.episodeSelect.innerHTML = season.episodes.map(ep => 
           `<option value="${ep.episode}" data-file="${DOMPurify.sanitize(ep.file_path)}">${DOMPurify.sanitize(ep.title)} (Ep ${ep.episode})</option>`
         ).join("");
         const firstEpisode = season.episodes[0];
-        videoSource.src = DOMPurify.sanitize(firstEpisode.file_path);
-        elements.duration.textContent = DOMPurify.sanitize(firstEpisode.duration || "N/A");
-        elements.download.href = DOMPurify.sanitize(firstEpisode.file_path);
+        videoSource.src = await streamUrlFor(season, firstEpisode);
+        elements.duration.textContent = DOMPurify.sanitize(formatDuration(firstEpisode.duration) || "N/A");
+        elements.download.href = await streamUrlFor(season, firstEpisode, 'download');
         videoPlayer.load();
       };
 
       updateEpisodes();
 
       elements.seasonSelect.addEventListener("change", updateEpisodes);
-      elements.episodeSelect.addEventListener("change", () => {
-        const selectedOption = elements.episodeSelect.options[elements.episodeSelect.selectedIndex];
-        const filePath = selectedOption.dataset.file;
-        videoSource.src = DOMPurify.sanitize(filePath);
-        elements.duration.textContent = DOMPurify.sanitize(
-          movie.seasons
-            .find(s => s.season === parseInt(elements.seasonSelect.value))
-            .episodes.find(ep => ep.episode === parseInt(elements.episodeSelect.value)).duration || "N/A"
-        );
-        elements.download.href = DOMPurify.sanitize(filePath);
+      elements.episodeSelect.addEventListener("change", async () => {
+        const season = movie.seasons.find(s => s.season === parseInt(elements.seasonSelect.value));
+        const episode = season.episodes.find(ep => ep.episode === parseInt(elements.episodeSelect.value));
+        videoSource.src = await streamUrlFor(season, episode);
+        elements.duration.textContent = DOMPurify.sanitize(formatDuration(episode.duration) || "N/A");
+        elements.download.href = await streamUrlFor(season, episode, 'download');
         videoPlayer.load();
       });
 
@@ -451,9 +359,9 @@ const loadMovieDetail = async () => {
     } else {
       elements.seasonEpisodeSelection.setAttribute("hidden", "");
       elements.episodes.textContent = movie.category === "movie" ? "Movie" : movie.category === "music" ? "Music" : "Series";
-      videoSource.src = DOMPurify.sanitize(movie.file_path || window.env?.FALLBACK_VIDEO_PATH || "/assets/video/fallback.mp4");
-      elements.duration.textContent = DOMPurify.sanitize(movie.duration || "N/A");
-      elements.download.href = DOMPurify.sanitize(movie.file_path || "#");
+      videoSource.src = movie.file_path ? await streamUrlFor() : DOMPurify.sanitize(window.env?.FALLBACK_VIDEO_PATH || "/assets/video/fallback.mp4");
+      elements.duration.textContent = DOMPurify.sanitize(formatDuration(movie.duration) || "N/A");
+      elements.download.href = movie.file_path ? await streamUrlFor(null, null, 'download') : "#";
       videoPlayer.load();
       watchNowBtn.addEventListener("click", showVideo);
     }
@@ -526,8 +434,8 @@ const initBackToTop = () => {
   });
 };
 
-document.addEventListener("DOMContentLoaded", () => {
-  if (!isTokenValid()) {
+document.addEventListener("DOMContentLoaded", async () => {
+  if (!(await ensureSession())) {
     handleUnauthorized();
     return;
   }
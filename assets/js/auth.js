@@ -0,0 +1,149 @@
+// Shared authentication helpers, loaded before every page script.
+// AUTH_MODE "token" keeps the access and refresh tokens in localStorage and sends a bearer header.
+// AUTH_MODE "cookie" leaves both tokens in HttpOnly cookies set by the server; mutating requests
+// echo the readable csrf_token cookie back in an X-CSRF-Token header.
+
+const AUTH_TOKEN_KEY = 'jwt_token';
+const AUTH_REFRESH_KEY = 'refresh_token';
+const AUTH_USER_KEY = 'auth_user';
+
+const getApiBaseUrl = () => window.env?.API_BASE_URL || window.location.origin;
+const getAuthMode = () => window.env?.AUTH_MODE === 'cookie' ? 'cookie' : 'token';
+const getToken = () => localStorage.getItem(AUTH_TOKEN_KEY);
+const getRefreshToken = () => localStorage.getItem(AUTH_REFRESH_KEY);
+
+const getCurrentUser = () => {
+  try {
+    return JSON.parse(localStorage.getItem(AUTH_USER_KEY));
+  } catch (error) {
+    console.warn('Invalid stored user, ignoring:', error);
+    return null;
+  }
+};
+
+const getUsername = () => getCurrentUser()?.username || null;
+const getRole = () => getCurrentUser()?.role || null;
+
+const getCookie = (name) => {
+  const match = document.cookie.split('; ').find(cookie => cookie.startsWith(`${name}=`));
+  return match ? decodeURIComponent(match.slice(name.length + 1)) : null;
+};
+
+// Store what a login, registration, refresh or profile update returned
+const saveSession = (data) => {
+  if (data.token) localStorage.setItem(AUTH_TOKEN_KEY, data.token);
+  if (data.refreshToken) localStorage.setItem(AUTH_REFRESH_KEY, data.refreshToken);
+  const user = getCurrentUser() || {};
+  localStorage.setItem(AUTH_USER_KEY, JSON.stringify({
+    username: data.username || user.username,
+    role: data.role || user.role,
+    expiresAt: data.expiresAt || user.expiresAt
+  }));
+};
+
+const clearSession = () => {
+  localStorage.removeItem(AUTH_TOKEN_KEY);
+  localStorage.removeItem(AUTH_REFRESH_KEY);
+  localStorage.removeItem(AUTH_USER_KEY);
+};
+
+const handleUnauthorized = () => {
+  clearSession();
+  window.location.href = '/login.html';
+};
+
+const isTokenValid = () => {
+  const user = getCurrentUser();
+  if (!user?.username) return false;
+  if (getAuthMode() === 'token' && !getToken()) return false;
+  return user.expiresAt > Date.now();
+};
+
+let refreshPromise = null;
+
+// Renew the access token; concurrent callers share one request
+const refreshAccessToken = () => {
+  const cookieMode = getAuthMode() === 'cookie';
+  const refreshToken = getRefreshToken();
+  if (!cookieMode && !refreshToken) return Promise.resolve(false);
+  if (!refreshPromise) {
+    refreshPromise = fetch(`${getApiBaseUrl()}/auth/refresh`, {
+      method: 'POST',
+      credentials: cookieMode ? 'include' : 'same-origin',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(cookieMode ? {} : { refreshToken })
+    })
+      .then(async response => {
+        if (!response.ok) return false;
+        saveSession(await response.json());
+        return true;
+      })
+      .catch(error => {
+        console.warn('Token refresh failed:', error);
+        return false;
+      })
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+  return refreshPromise;
+};
+
+// Resolves true when the page may proceed as a signed-in user
+const ensureSession = async () => isTokenValid() || refreshAccessToken();
+
+const getAuthHeaders = (method = 'GET') => {
+  if (getAuthMode() === 'cookie') {
+    const csrfToken = getCookie('csrf_token');
+    return ['GET', 'HEAD', 'OPTIONS'].includes(method.toUpperCase()) || !csrfToken ? {} : { 'X-CSRF-Token': csrfToken };
+  }
+  const token = getToken();
+  return token ? { 'Authorization': `Bearer ${token}` } : {};
+};
+
+// Attach credentials; on a 401 silently refresh once and replay the request
+const fetchWithAuth = async (url, options = {}) => {
+  const send = () => fetch(url, {
+    ...options,
+    credentials: getAuthMode() === 'cookie' ? 'include' : 'same-origin',
+    headers: { ...options.headers, ...getAuthHeaders(options.method) }
+  });
+  const response = await send();
+  if (response.status === 401 && await refreshAccessToken()) {
+    return send();
+  }
+  return response;
+};
+
+// <video> sources and download links cannot send an Authorization header, so they use
+// signed, expiring URLs issued by the server. type is 'stream', 'download' or 'poster';
+// `episode` is { season, episode } for series. Stream links to files that need converting also
+// say whether the server has a prepared mp4 (`prepared`) or is still making one (`preparing`).
+const getMediaLinkInfo = async (movieId, { type = 'stream', episode = null } = {}) => {
+  const response = await fetchWithAuth(`${getApiBaseUrl()}/media/${movieId}/link`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ type, ...episode })
+  });
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) throw new Error(data.error || `HTTP ${response.status}`);
+  return data;
+};
+
+const getMediaLink = async (movieId, options) => (await getMediaLinkInfo(movieId, options)).url;
+
+const logout = async () => {
+  try {
+    await fetch(`${getApiBaseUrl()}/auth/logout`, {
+      method: 'POST',
+      credentials: getAuthMode() === 'cookie' ? 'include' : 'same-origin',
+      headers: { 'Content-Type': 'application/json', ...getAuthHeaders('POST') },
+      body: JSON.stringify(getAuthMode() === 'cookie' ? {} : { refreshToken: getRefreshToken() })
+    });
+  } catch (error) {
+    console.warn('Server logout failed:', error);
+  }
+  clearSession();
+  console.log('User logged out, redirecting to /login.html');
+  window.location.href = '/login.html';
+};
@@ -1,4 +1,5 @@
 let isSubmitting = false;
+let resetToken = null;
 
 // Reuse fetchWithRetry (updated to handle POST)
 const fetchWithRetry = async (url, options = {}, retries = 3, delay = 1000) => {
@@ -22,10 +23,17 @@ const fetchWithRetry = async (url, options = {}, retries = 3, delay = 1000) => {
   const headers = { 'Content-Type': 'application/json', ...options.headers };
   for (let i = 0; i < retries; i++) {
     try {
-      const response = await fetch(url, { ...options, headers });
+      const response = await fetch(url, {
+        ...options,
+        headers,
+        credentials: getAuthMode() === 'cookie' ? 'include' : 'same-origin'
+      });
       if (!response.ok) {
         const errorText = await response.text();
-        throw new Error(`HTTP ${response.status}: ${errorText || response.statusText}`);
+        const error = new Error(`HTTP ${response.status}: ${errorText || response.statusText}`);
+        // Client errors will not succeed on retry, and each failed login counts toward a lockout
+        error.noRetry = response.status >= 400 && response.status < 500;
+        throw error;
       }
       const data = await response.json();
       if (options.method !== 'POST') {
@@ -39,7 +47,7 @@ const fetchWithRetry = async (url, options = {}, retries = 3, delay = 1000) => {
       return data;
     } catch (error) {
       console.error(`Attempt ${i + 1} failed for ${url}:`, error);
-      if (i === retries - 1) throw error;
+      if (i === retries - 1 || error.noRetry) throw error;
       await new Promise(resolve => setTimeout(resolve, delay));
     }
   }
@@ -51,8 +59,8 @@ function displayError(fieldId, message) {
     errorElement.textContent = message;
     errorElement.classList.toggle('hidden', !message);
     errorElement.setAttribute('role', 'alert');
-    if (message && fieldId !== 'general') {
-      document.getElementById(fieldId).focus();
+    if (message && !fieldId.endsWith('general')) {
+      document.getElementById(fieldId)?.focus();
     }
   }
 }
@@ -94,20 +102,19 @@ async function handleLogin(event) {
 
   const username = DOMPurify.sanitize(document.getElementById('username').value.trim());
   const password = DOMPurify.sanitize(document.getElementById('password').value.trim());
-  const baseUrl = window.env?.API_BASE_URL || window.location.origin;
-
   try {
-    const response = await fetchWithRetry(`${baseUrl}/auth/login`, {
+    const response = await fetchWithRetry(`${getApiBaseUrl()}/auth/login`, {
       method: 'POST',
-      body: JSON.stringify({ username, password })
+      body: JSON.stringify({ username, password, mode: getAuthMode() })
     });
-    localStorage.setItem('jwt_token', response.token);
-    const redirectUrl = response.username === 'admin' ? '/admin/manage-movies.html' : '/index.html';
-    console.log(`Redirecting to ${redirectUrl} for user: ${response.username}`);
+    saveSession(response);
+    const redirectUrl = ['admin', 'editor'].includes(response.role) ? '/admin/manage-movies.html' : '/index.html';
+    console.log(`Redirecting to ${redirectUrl} for ${response.role} user: ${response.username}`);
     window.location.href = redirectUrl;
   } catch (error) {
     console.error('Login error:', error);
-    const errorMessage = error.message.includes('401') ? 'Invalid username or password' :
+    const errorMessage = error.message.includes('429') ? 'Too many failed attempts—try again later' :
+                         error.message.includes('401') ? 'Invalid username or password' :
                          error.message.includes('500') ? 'Server error—try again later' :
                          'Network error—check your connection';
     displayError('general', errorMessage);
@@ -119,6 +126,97 @@ async function handleLogin(event) {
   }
 }
 
+// Show one of the hero forms. The hash that selected it is dropped so the reset
+// token leaves the address bar and following the same link again still works.
+function showForm(formId) {
+  if (!document.getElementById(formId)) return;
+  document.querySelectorAll('.hero-content form').forEach(form => {
+    form.classList.toggle('hidden', form.id !== formId);
+  });
+  const activeToggle = formId === 'email-form' ? 'email' : 'login';
+  document.querySelectorAll('.toggle-btn').forEach(btn => {
+    btn.classList.toggle('active', btn.dataset.form === activeToggle);
+  });
+  if (window.location.hash) {
+    history.replaceState(null, '', window.location.pathname + window.location.search);
+  }
+}
+
+// #forgot and #reset=<token> (from the reset email) open the recovery screens
+function handleHash() {
+  const hash = window.location.hash.slice(1);
+  if (hash === 'forgot') {
+    showForm('forgot-form');
+  } else if (hash.startsWith('reset=')) {
+    resetToken = hash.slice('reset='.length);
+    showForm('reset-form');
+  } else if (hash === 'login') {
+    showForm('login-form');
+  }
+}
+
+async function handleForgot(event) {
+  event.preventDefault();
+  if (isSubmitting) return;
+  const form = event.target;
+  form.querySelectorAll('.error-message').forEach(el => el.classList.add('hidden'));
+  const identifier = document.getElementById('forgot-identifier').value.trim();
+  if (!identifier) return displayError('forgot-identifier', 'Enter your email or username');
+
+  isSubmitting = true;
+  const loading = document.getElementById('loading');
+  loading.classList.remove('hidden');
+  try {
+    const response = await fetchWithRetry(`${getApiBaseUrl()}/auth/forgot`, {
+      method: 'POST',
+      body: JSON.stringify(identifier.includes('@') ? { email: identifier } : { username: identifier })
+    });
+    form.reset();
+    displayError('forgot-general', `${response.message}. Check your inbox.`);
+  } catch (error) {
+    console.error('Password reset request error:', error);
+    displayError('forgot-general', error.message.includes('500') ? 'Server error—try again later' : 'Network error—check your connection');
+  } finally {
+    loading.classList.add('hidden');
+    isSubmitting = false;
+  }
+}
+
+async function handleReset(event) {
+  event.preventDefault();
+  if (isSubmitting) return;
+  const form = event.target;
+  form.querySelectorAll('.error-message').forEach(el => el.classList.add('hidden'));
+  const password = document.getElementById('reset-password').value;
+  const confirm = document.getElementById('reset-confirm').value;
+  if (!resetToken) return displayError('reset-general', 'This reset link is incomplete—request a new one');
+  if (password.length < 6) return displayError('reset-password', 'Password must be at least 6 characters');
+  if (password !== confirm) return displayError('reset-confirm', 'Passwords do not match');
+
+  isSubmitting = true;
+  const loading = document.getElementById('loading');
+  loading.classList.remove('hidden');
+  try {
+    await fetchWithRetry(`${getApiBaseUrl()}/auth/reset`, {
+      method: 'POST',
+      body: JSON.stringify({ token: resetToken, password })
+    });
+    resetToken = null;
+    form.reset();
+    showForm('login-form');
+    displayError('general', 'Password updated—sign in with your new password');
+  } catch (error) {
+    console.error('Password reset error:', error);
+    const errorMessage = error.message.includes('400') ? 'This reset link is invalid or has expired' :
+                         error.message.includes('500') ? 'Server error—try again later' :
+                         'Network error—check your connection';
+    displayError('reset-general', errorMessage);
+  } finally {
+    loading.classList.add('hidden');
+    isSubmitting = false;
+  }
+}
+
 function init() {
   //if (window.location.protocol !== 'https:' && window.location.hostname !== 'localhost') {
     //console.warn('This page should be served over HTTPS for security.');
@@ -138,6 +236,11 @@ function init() {
   form.querySelector('#password').addEventListener('blur', checkFormValidity);
   form.addEventListener('submit', handleLogin);
   checkFormValidity();
+
+  document.getElementById('forgot-form')?.addEventListener('submit', handleForgot);
+  document.getElementById('reset-form')?.addEventListener('submit', handleReset);
+  window.addEventListener('hashchange', handleHash);
+  handleHash();
 }
 
 document.addEventListener('DOMContentLoaded', init);
\ No newline at end of file
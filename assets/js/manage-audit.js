@@ -0,0 +1,102 @@
+// Audit tab: who changed which catalog fields, newest first. Shares displayError,
+// sortRows, attachSortHandlers and adminRequest with manage-movies.js.
+
+const AUDIT_PAGE_SIZE = 100;
+
+// State
+const auditSort = { column: null, direction: 1 };
+let auditEntries = [];
+let auditTotal = 0;
+
+// DOM Elements
+const auditFilterForm = document.getElementById('audit-filter-form');
+const auditTableBody = document.getElementById('audit-table-body');
+const auditLoadMore = document.getElementById('audit-load-more');
+const auditCount = document.getElementById('audit-count');
+
+if (!auditFilterForm) console.error('Audit filter form not found');
+if (!auditTableBody) console.error('Audit table body not found');
+
+// Build the /admin/audit query; date inputs cover whole local days
+function auditQuery(offset) {
+  const formData = new FormData(auditFilterForm);
+  const params = new URLSearchParams({ limit: AUDIT_PAGE_SIZE, offset });
+  ['username', 'action', 'movieId'].forEach(field => {
+    const value = formData.get(field).trim();
+    if (value) params.set(field, value);
+  });
+  if (formData.get('from')) params.set('from', new Date(`${formData.get('from')}T00:00:00`).toISOString());
+  if (formData.get('to')) params.set('to', new Date(`${formData.get('to')}T23:59:59.999`).toISOString());
+  return params;
+}
+
+function formatAuditValue(value) {
+  if (value === null || value === undefined || value === '') return '—';
+  const text = Array.isArray(value) ? value.join(', ') : String(value);
+  return DOMPurify.sanitize(text.length > 80 ? `${text.slice(0, 77)}...` : text);
+}
+
+// Creates and deletes list the values added or removed; updates show old → new
+function formatChanges(entry) {
+  const fields = Object.entries(entry.changes || {}).filter(([field]) => field !== 'id');
+  if (!fields.length) return 'No field changes';
+  return `<ul class="audit-changes">${fields.map(([field, change]) => {
+    const value = entry.action === 'create' ? formatAuditValue(change.to) :
+                  entry.action === 'delete' ? formatAuditValue(change.from) :
+                  `${formatAuditValue(change.from)} → ${formatAuditValue(change.to)}`;
+    return `<li><strong>${DOMPurify.sanitize(field)}</strong>: ${value}</li>`;
+  }).join('')}</ul>`;
+}
+
+function renderAuditEntries() {
+  const rows = auditSort.column ? sortRows([...auditEntries], auditSort, ['movieId']) : auditEntries;
+  auditTableBody.innerHTML = rows.length ? rows.map(entry => `
+      <tr>
+        <td>${new Date(entry.timestamp).toLocaleString()}</td>
+        <td>${DOMPurify.sanitize(entry.username || `#${entry.userId}`)}</td>
+        <td>${DOMPurify.sanitize(entry.action)}</td>
+        <td>${entry.movieId ?? 'N/A'}</td>
+        <td>${formatChanges(entry)}</td>
+      </tr>
+    `).join('') : '<tr><td colspan="5">No audit entries match these filters.</td></tr>';
+  auditCount.textContent = `(${auditEntries.length} of ${auditTotal})`;
+  auditLoadMore.classList.toggle('hidden', auditEntries.length >= auditTotal);
+}
+
+// Load the first page, or append the next one
+async function loadAudit(append = false) {
+  const movieId = document.getElementById('audit-movieId').value;
+  displayError('audit-movieId', movieId && !(parseInt(movieId, 10) > 0) ? 'Movie ID must be a positive number.' : '');
+  if (movieId && !(parseInt(movieId, 10) > 0)) return;
+  displayError('audit-general', '');
+  try {
+    loading.classList.remove('hidden');
+    const data = await adminRequest(`/admin/audit?${auditQuery(append ? auditEntries.length : 0)}`);
+    auditEntries = append ? auditEntries.concat(data.entries) : data.entries;
+    auditTotal = data.total;
+    renderAuditEntries();
+  } catch (error) {
+    console.error('Error loading audit log:', error);
+    displayError('audit-general', error.message);
+  } finally {
+    loading.classList.add('hidden');
+  }
+}
+
+// Initialize
+function initAuditTab() {
+  if (!auditFilterForm || !auditTableBody) return;
+  auditFilterForm.addEventListener('submit', (event) => {
+    event.preventDefault();
+    loadAudit();
+  });
+  auditFilterForm.querySelector('.cancel-btn').addEventListener('click', () => {
+    auditFilterForm.reset();
+    loadAudit();
+  });
+  auditLoadMore.addEventListener('click', () => loadAudit(true));
+  attachSortHandlers(document.querySelector('#audit-panel .audit-table'), auditSort, renderAuditEntries);
+  tabLoaders.audit = () => loadAudit();
+}
+
+document.addEventListener('DOMContentLoaded', initAuditTab);
@@ -0,0 +1,122 @@
+// Backups tab: catalog backups, what restoring one would change, and the restore itself.
+// Shares displayError, adminRequest, loadMovies and the loading element with manage-movies.js,
+// and formatAuditValue with manage-audit.js.
+
+// State
+let backups = [];
+
+// DOM Elements
+const backupsTableBody = document.getElementById('backups-table-body');
+const backupDiff = document.getElementById('backup-diff');
+const backupDiffBody = document.getElementById('backup-diff-body');
+
+if (!backupsTableBody) console.error('Backups table body not found');
+if (!backupDiffBody) console.error('Backup diff table not found');
+
+const formatBackupSize = (bytes) => (bytes < 1024 * 1024 ? `${(bytes / 1024).toFixed(1)} KB` : `${(bytes / 1024 / 1024).toFixed(1)} MB`);
+
+function renderBackups(retention) {
+  const age = retention.maxAgeDays ? ` and deleted after ${retention.maxAgeDays} day${retention.maxAgeDays === 1 ? '' : 's'}` : '';
+  document.getElementById('backups-retention').textContent =
+    `A backup is taken before every catalog change. The newest ${retention.maxCount} are kept${age}.`;
+  backupsTableBody.innerHTML = backups.length ? backups.map(backup => `
+    <tr>
+      <td>${new Date(backup.createdAt).toLocaleString()}</td>
+      <td>${formatBackupSize(backup.size)}</td>
+      <td class="actions">
+        <button class="edit-btn diff-backup-btn" data-name="${backup.name}">Compare</button>
+        <button class="delete-btn restore-backup-btn" data-name="${backup.name}">Restore</button>
+      </td>
+    </tr>
+  `).join('') : '<tr><td colspan="3">No backups yet.</td></tr>';
+  backupsTableBody.querySelectorAll('.diff-backup-btn').forEach(button => {
+    button.addEventListener('click', () => showBackupDiff(button.dataset.name));
+  });
+  backupsTableBody.querySelectorAll('.restore-backup-btn').forEach(button => {
+    button.addEventListener('click', () => restoreBackup(button.dataset.name));
+  });
+}
+
+// Field changes go from the current catalog's value to the backup's
+function renderBackupDiff(title, diff) {
+  const rows = [
+    ...diff.added.map(movie => ({ ...movie, label: 'Added back' })),
+    ...diff.removed.map(movie => ({ ...movie, label: 'Removed' })),
+    ...diff.changed.map(movie => ({ ...movie, label: 'Changed' }))
+  ].sort((a, b) => a.id - b.id);
+  document.getElementById('backup-diff-title').textContent = title;
+  document.getElementById('backup-diff-summary').textContent =
+    `${diff.added.length} added back, ${diff.removed.length} removed, ${diff.changed.length} changed, ${diff.unchanged} unchanged.`;
+  backupDiffBody.innerHTML = rows.length ? rows.map(row => `
+    <tr>
+      <td>${row.id}</td>
+      <td>${DOMPurify.sanitize(row.title || 'Untitled')}</td>
+      <td>${row.label}</td>
+      <td>${row.changes ? `<ul class="audit-changes">${Object.entries(row.changes).map(([field, change]) =>
+        `<li><strong>${DOMPurify.sanitize(field)}</strong>: ${formatAuditValue(change.from)} → ${formatAuditValue(change.to)}</li>`
+      ).join('')}</ul>` : ''}</td>
+    </tr>
+  `).join('') : '<tr><td colspan="4">This backup matches the current catalog.</td></tr>';
+  backupDiff.classList.remove('hidden');
+}
+
+async function loadBackups() {
+  try {
+    loading.classList.remove('hidden');
+    displayError('backups-general', '');
+    const data = await adminRequest('/admin/backups');
+    backups = data.backups;
+    renderBackups(data.retention);
+  } catch (error) {
+    console.error('Error loading backups:', error);
+    displayError('backups-general', error.message);
+  } finally {
+    loading.classList.add('hidden');
+  }
+}
+
+async function showBackupDiff(name) {
+  try {
+    loading.classList.remove('hidden');
+    displayError('backups-general', '');
+    const diff = await adminRequest(`/admin/backups/${encodeURIComponent(name)}/diff`);
+    const backup = backups.find(b => b.name === name);
+    renderBackupDiff(`Restoring the backup from ${new Date(backup.createdAt).toLocaleString()} would:`, diff);
+    backupDiff.scrollIntoView({ behavior: 'smooth' });
+  } catch (error) {
+    console.error('Error comparing backup:', error);
+    displayError('backups-general', error.message);
+  } finally {
+    loading.classList.add('hidden');
+  }
+}
+
+async function restoreBackup(name) {
+  const backup = backups.find(b => b.name === name);
+  if (!confirm(`Replace the whole catalog with the backup from ${new Date(backup.createdAt).toLocaleString()}? The current catalog is backed up first. Media files are not restored.`)) return;
+  try {
+    loading.classList.remove('hidden');
+    displayError('backups-general', '');
+    const result = await adminRequest(`/admin/backups/${encodeURIComponent(name)}/restore`, { method: 'POST', body: JSON.stringify({}) });
+    await loadBackups();
+    renderBackupDiff('The restore made these changes:', result);
+    await loadMovies();
+    alert('Catalog restored. The previous catalog was saved as a new backup.');
+  } catch (error) {
+    console.error('Error restoring backup:', error);
+    displayError('backups-general', error.message);
+  } finally {
+    loading.classList.add('hidden');
+  }
+}
+
+// Initialize
+function initBackupsTab() {
+  if (!backupsTableBody || !backupDiffBody) return;
+  tabLoaders.backups = () => {
+    backupDiff.classList.add('hidden');
+    loadBackups();
+  };
+}
+
+document.addEventListener('DOMContentLoaded', initBackupsTab);
@@ -0,0 +1,147 @@
+// Bulk import/export on the Movies tab. A file is always checked with a dry run first; Import
+// is only enabled once every row is valid. Shares displayError, uploadWithProgress, loadMovies
+// and the loading/progress elements with manage-movies.js.
+
+// State
+let checkedImportFile = null;
+let isImporting = false;
+
+// DOM Elements
+const importForm = document.getElementById('import-form');
+const importFileInput = document.getElementById('import-file');
+const importCheckButton = document.getElementById('import-check-btn');
+const importApplyButton = document.getElementById('import-apply-btn');
+const importReport = document.getElementById('import-report');
+const importSummary = document.getElementById('import-summary');
+const importReportBody = document.getElementById('import-report-body');
+
+if (!importForm) console.error('Import form not found');
+if (!importReportBody) console.error('Import report table not found');
+
+const IMPORT_ACTION_LABELS = { create: 'New', update: 'Update', unchanged: 'No change', error: 'Error' };
+
+// Show the per-row report returned by POST /admin/import
+function renderImportReport(report) {
+  const counts = [
+    `${report.created} new`,
+    `${report.updated} updated`,
+    `${report.unchanged} unchanged`,
+    `${report.failed} with errors`
+  ].join(', ');
+  importSummary.textContent = `${report.dryRun ? 'Check' : 'Import'} of ${report.total} row${report.total === 1 ? '' : 's'}: ${counts}.`;
+  // Rows that would not change anything are left out to keep large files readable
+  const rows = report.rows.filter(row => row.action !== 'unchanged');
+  importReportBody.innerHTML = rows.length ? rows.map(row => `
+    <tr class="${row.action === 'error' ? 'import-error' : ''}">
+      <td>${row.row}</td>
+      <td>${IMPORT_ACTION_LABELS[row.action] || row.action}</td>
+      <td>${row.id ?? ''}</td>
+      <td>${DOMPurify.sanitize(row.title || '')}</td>
+      <td>${DOMPurify.sanitize(row.error || '')}</td>
+    </tr>
+  `).join('') : '<tr><td colspan="5">Every row matches the catalog already.</td></tr>';
+  importReport.classList.remove('hidden');
+}
+
+async function sendImport(file, dryRun) {
+  const formData = new FormData();
+  formData.append('file', file);
+  formData.append('dryRun', dryRun ? 'true' : 'false');
+  return uploadWithProgress('/admin/import', formData);
+}
+
+// Dry run: validate every row and report what an import would do
+async function checkImportFile(event) {
+  event.preventDefault();
+  const file = importFileInput.files[0];
+  displayError('import-general', '');
+  if (!file) return displayError('import-file', 'Choose a CSV or JSON file.');
+  if (!/\.(csv|json)$/i.test(file.name)) return displayError('import-file', 'The file must end in .csv or .json.');
+  displayError('import-file', '');
+  if (isImporting) return;
+
+  isImporting = true;
+  importApplyButton.disabled = true;
+  try {
+    loading.classList.remove('hidden');
+    const report = await sendImport(file, true);
+    renderImportReport(report);
+    checkedImportFile = file;
+    importApplyButton.disabled = report.failed > 0 || report.created + report.updated === 0;
+  } catch (error) {
+    console.error('Error checking import file:', error);
+    displayError('import-general', error.message);
+  } finally {
+    loading.classList.add('hidden');
+    isImporting = false;
+  }
+}
+
+async function applyImport() {
+  if (!checkedImportFile || isImporting) return;
+  if (!confirm('Import this file into the catalog? A backup is taken first.')) return;
+
+  isImporting = true;
+  importApplyButton.disabled = true;
+  try {
+    loading.classList.remove('hidden');
+    const report = await sendImport(checkedImportFile, false);
+    renderImportReport(report);
+    checkedImportFile = null;
+    await loadMovies();
+    alert(`Import complete: ${report.created} new, ${report.updated} updated.`);
+  } catch (error) {
+    console.error('Error importing file:', error);
+    displayError('import-general', `${error.message} Check the file again to see the current report.`);
+  } finally {
+    loading.classList.add('hidden');
+    isImporting = false;
+  }
+}
+
+// Download the catalog; the request needs auth headers, so it goes through fetch and a blob URL
+async function exportCatalog(format) {
+  try {
+    loading.classList.remove('hidden');
+    displayError('import-general', '');
+    const response = await fetchWithAuth(`/admin/export?format=${format}`);
+    if (response.status === 401) return handleUnauthorized();
+    if (!response.ok) {
+      const data = await response.json().catch(() => ({}));
+      throw new Error(data.error || `Export failed: ${response.statusText}`);
+    }
+    const filename = response.headers.get('Content-Disposition')?.match(/filename="?([^"]+)"?/)?.[1] || `catalog.${format}`;
+    const url = URL.createObjectURL(await response.blob());
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+  } catch (error) {
+    console.error('Error exporting catalog:', error);
+    displayError('import-general', error.message);
+  } finally {
+    loading.classList.add('hidden');
+  }
+}
+
+// Initialize
+function initImportExport() {
+  if (!importForm || !importReportBody) return;
+  importFileInput.addEventListener('change', () => {
+    checkedImportFile = null;
+    importApplyButton.disabled = true;
+    importCheckButton.disabled = !importFileInput.files.length;
+    importReport.classList.add('hidden');
+    displayError('import-file', '');
+    displayError('import-general', '');
+  });
+  importForm.addEventListener('submit', checkImportFile);
+  importApplyButton.addEventListener('click', applyImport);
+  document.getElementById('export-csv-btn').addEventListener('click', () => exportCatalog('csv'));
+  document.getElementById('export-json-btn').addEventListener('click', () => exportCatalog('json'));
+}
+
+document.addEventListener('DOMContentLoaded', initImportExport);
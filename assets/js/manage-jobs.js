@@ -0,0 +1,136 @@
+// Jobs tab: the server's media preparation queue (mp4 conversions, HLS packaging, seek-bar
+// thumbnails, subtitle extraction and poster frames). The list refreshes itself while the tab is open
+// and jobs are queued or running. Shares displayError, adminRequest and the loading element with
+// manage-movies.js.
+
+const JOBS_REFRESH_INTERVAL = 3000;
+
+// State
+let jobs = [];
+let jobsRefreshTimer = null;
+
+// DOM Elements
+const jobsPanel = document.getElementById('jobs-panel');
+const jobsTableBody = document.getElementById('jobs-table-body');
+const queueJobsBtns = document.querySelectorAll('.queue-jobs-btn');
+
+if (!jobsTableBody) console.error('Jobs table body not found');
+
+const JOB_TYPES = {
+  transcode: 'Convert to mp4',
+  hls: 'Package HLS',
+  thumbnails: 'Seek-bar thumbnails',
+  subtitles: 'Extract subtitles',
+  poster: 'Poster frame'
+};
+
+// What a finished job made, for the status column
+function describeJobResult(result) {
+  if (result?.renditions) return ` (${DOMPurify.sanitize(result.renditions.join(', '))})`;
+  if (result?.tiles) return ` (${result.tiles} thumbnails)`;
+  if (result?.tracks) return ` (${result.tracks} subtitle track${result.tracks === 1 ? '' : 's'})`;
+  if (result?.poster) return ` (${DOMPurify.sanitize(result.poster)})`;
+  return '';
+}
+
+function formatJobStatus(job) {
+  if (job.status === 'running') return `Running (${job.progress || 0}%)`;
+  if (job.status === 'failed') return `Failed: ${DOMPurify.sanitize(job.error || 'unknown error')}`;
+  if (job.status === 'done') {
+    return `Done ${new Date(job.finishedAt).toLocaleString()}${describeJobResult(job.result)}`;
+  }
+  return job.status.charAt(0).toUpperCase() + job.status.slice(1);
+}
+
+function renderJobs(ffmpeg, hlsRenditions) {
+  document.getElementById('jobs-ffmpeg').textContent = (ffmpeg
+    ? `Conversions run with ${ffmpeg}.`
+    : 'ffmpeg was not found on the server, so conversions fail until it is installed or FFMPEG_PATH is set.') +
+    (hlsRenditions.length ? ` HLS renditions: ${hlsRenditions.join(', ')}.` : ' HLS packaging is turned off.');
+  queueJobsBtns.forEach(button => {
+    if (button.dataset.type === 'hls') button.hidden = !hlsRenditions.length;
+  });
+  jobsTableBody.innerHTML = jobs.length ? jobs.map(job => `
+    <tr class="job-${job.status}">
+      <td>
+        <strong>${DOMPurify.sanitize(job.label || '')}</strong><br>
+        <small>${DOMPurify.sanitize(job.key || '')}</small>
+      </td>
+      <td>${JOB_TYPES[job.type] || DOMPurify.sanitize(job.type)}</td>
+      <td>${formatJobStatus(job)}</td>
+      <td>${new Date(job.createdAt).toLocaleString()}</td>
+      <td class="actions">
+        ${['queued', 'running'].includes(job.status) ? `<button class="delete-btn cancel-job-btn" data-id="${job.id}">Cancel</button>` : ''}
+        ${['failed', 'cancelled'].includes(job.status) ? `<button class="edit-btn retry-job-btn" data-id="${job.id}">Retry</button>` : ''}
+      </td>
+    </tr>
+  `).join('') : '<tr><td colspan="5">No jobs yet.</td></tr>';
+  jobsTableBody.querySelectorAll('.cancel-job-btn').forEach(button => {
+    button.addEventListener('click', () => cancelJob(button.dataset.id));
+  });
+  jobsTableBody.querySelectorAll('.retry-job-btn').forEach(button => {
+    button.addEventListener('click', () => retryJob(button.dataset.id));
+  });
+}
+
+// `quiet` refreshes skip the loading overlay
+async function loadJobs(quiet = false) {
+  clearTimeout(jobsRefreshTimer);
+  try {
+    if (!quiet) loading.classList.remove('hidden');
+    displayError('jobs-general', '');
+    const data = await adminRequest('/admin/jobs');
+    jobs = data.jobs;
+    renderJobs(data.ffmpeg, data.hlsRenditions || []);
+    if (jobs.some(job => ['queued', 'running'].includes(job.status)) && !jobsPanel.classList.contains('hidden')) {
+      jobsRefreshTimer = setTimeout(() => loadJobs(true), JOBS_REFRESH_INTERVAL);
+    }
+  } catch (error) {
+    console.error('Error loading jobs:', error);
+    displayError('jobs-general', error.message);
+  } finally {
+    if (!quiet) loading.classList.add('hidden');
+  }
+}
+
+async function applyJobChange(request) {
+  try {
+    loading.classList.remove('hidden');
+    displayError('jobs-general', '');
+    const result = await request();
+    await loadJobs(true);
+    return result;
+  } catch (error) {
+    console.error('Error updating jobs:', error);
+    displayError('jobs-general', error.message);
+    return null;
+  } finally {
+    loading.classList.add('hidden');
+  }
+}
+
+// type: "transcode", "hls", "thumbnails", "subtitles" or "poster"
+async function queueJobs(type) {
+  const result = await applyJobChange(() => adminRequest('/admin/jobs', { method: 'POST', body: JSON.stringify({ type }) }));
+  if (result) alert(result.message);
+}
+
+function cancelJob(id) {
+  if (!confirm('Cancel this job?')) return;
+  applyJobChange(() => adminRequest(`/admin/jobs/${encodeURIComponent(id)}`, { method: 'DELETE' }));
+}
+
+function retryJob(id) {
+  applyJobChange(() => adminRequest(`/admin/jobs/${encodeURIComponent(id)}/retry`, { method: 'POST', body: JSON.stringify({}) }));
+}
+
+// Initialize
+function initJobsTab() {
+  if (!jobsPanel || !jobsTableBody) return;
+  queueJobsBtns.forEach(button => {
+    button.addEventListener('click', () => queueJobs(button.dataset.type));
+  });
+  tabLoaders.jobs = () => loadJobs();
+}
+
+document.addEventListener('DOMContentLoaded', initJobsTab);
@@ -0,0 +1,112 @@
+// Library tab: drafts for media found in the hub folders but not in the catalog. Shares
+// displayError, adminRequest, loadMovies and the loading element with manage-movies.js.
+
+// State
+let drafts = [];
+
+// DOM Elements
+const scanLibraryButton = document.getElementById('scan-library-btn');
+const draftsTableBody = document.getElementById('drafts-table-body');
+const draftsCount = document.getElementById('drafts-count');
+
+if (!scanLibraryButton) console.error('Scan library button not found');
+if (!draftsTableBody) console.error('Drafts table body not found');
+
+const CATEGORY_LABELS = { movie: 'Movie', 'tv-series': 'TV Series', music: 'Music', animation: 'Animation' };
+
+const episodeCount = (draft) => draft.seasons.reduce((count, season) => count + season.episodes.length, 0);
+
+// A series draft that matched a catalog series only adds episodes, so its details are not editable
+function draftFilesCell(draft) {
+  if (!draft.seasons) return DOMPurify.sanitize(draft.file_path);
+  const count = episodeCount(draft);
+  const seasons = draft.seasons.map(s => `S${s.season}: ${s.episodes.map(ep => ep.episode).join(', ')}`).join('; ');
+  const target = draft.seriesId ? ` to series #${draft.seriesId}` : '';
+  return `${count} episode${count === 1 ? '' : 's'}${target} (${seasons})`;
+}
+
+function renderDrafts() {
+  draftsCount.textContent = drafts.length
+    ? `${drafts.length} draft${drafts.length === 1 ? '' : 's'} waiting for review.`
+    : 'No drafts. Scan the library to look for new files.';
+  draftsTableBody.innerHTML = drafts.map(draft => {
+    const locked = draft.seriesId ? 'disabled' : '';
+    return `
+    <tr data-id="${draft.id}">
+      <td>${CATEGORY_LABELS[draft.category] || DOMPurify.sanitize(draft.category)}</td>
+      <td><input type="text" name="title" value="${DOMPurify.sanitize(draft.title)}" maxlength="200" aria-label="Title" ${locked}></td>
+      <td><input type="text" name="year" value="${DOMPurify.sanitize(draft.year || '')}" maxlength="4" aria-label="Year" ${locked}></td>
+      <td><input type="text" name="resolution" value="${DOMPurify.sanitize(draft.resolution || '')}" maxlength="20" aria-label="Resolution" ${locked}></td>
+      <td class="draft-files">${draftFilesCell(draft)}</td>
+      <td class="actions">
+        <button class="edit-btn publish-draft-btn" data-id="${draft.id}">${draft.seriesId ? 'Add Episodes' : 'Publish'}</button>
+        <button class="delete-btn dismiss-draft-btn" data-id="${draft.id}">Dismiss</button>
+      </td>
+    </tr>
+  `;
+  }).join('');
+  draftsTableBody.querySelectorAll('.publish-draft-btn').forEach(button => {
+    button.addEventListener('click', () => publishDraft(button.dataset.id));
+  });
+  draftsTableBody.querySelectorAll('.dismiss-draft-btn').forEach(button => {
+    button.addEventListener('click', () => dismissDraft(button.dataset.id));
+  });
+}
+
+// Run a drafts request, show the error it fails with, and re-render
+async function applyDraftsRequest(request) {
+  try {
+    loading.classList.remove('hidden');
+    displayError('library-general', '');
+    await request();
+    renderDrafts();
+  } catch (error) {
+    console.error('Error updating drafts:', error);
+    displayError('library-general', error.message);
+  } finally {
+    loading.classList.add('hidden');
+  }
+}
+
+function loadDrafts() {
+  return applyDraftsRequest(async () => {
+    drafts = (await adminRequest('/admin/drafts')).drafts;
+  });
+}
+
+function scanLibrary() {
+  scanLibraryButton.disabled = true;
+  return applyDraftsRequest(async () => {
+    drafts = (await adminRequest('/admin/scan', { method: 'POST', body: JSON.stringify({}) })).drafts;
+  }).finally(() => { scanLibraryButton.disabled = false; });
+}
+
+// Publish with the details edited in the row; genres and the rest are filled in on the Movies tab
+function publishDraft(id) {
+  const row = draftsTableBody.querySelector(`tr[data-id="${id}"]`);
+  const body = {};
+  row.querySelectorAll('input:not([disabled])').forEach(input => { body[input.name] = DOMPurify.sanitize(input.value.trim()); });
+  return applyDraftsRequest(async () => {
+    const movie = await adminRequest(`/admin/drafts/${id}/publish`, { method: 'POST', body: JSON.stringify(body) });
+    drafts = drafts.filter(d => d.id !== id);
+    await loadMovies();
+    alert(`"${movie.title}" published. Add its poster, genres and description on the Movies tab.`);
+  });
+}
+
+function dismissDraft(id) {
+  if (!confirm('Dismiss this draft? Later scans will skip its files.')) return;
+  return applyDraftsRequest(async () => {
+    await adminRequest(`/admin/drafts/${id}`, { method: 'DELETE' });
+    drafts = drafts.filter(d => d.id !== id);
+  });
+}
+
+// Initialize
+function initLibraryTab() {
+  if (!scanLibraryButton || !draftsTableBody) return;
+  scanLibraryButton.addEventListener('click', scanLibrary);
+  tabLoaders.library = loadDrafts;
+}
+
+document.addEventListener('DOMContentLoaded', initLibraryTab);
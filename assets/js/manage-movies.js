@@ -4,12 +4,14 @@ const API_BASE_URL = `${window.location.protocol}//${window.location.hostname}${
 // State
 let editingMovieId = null;
 let isSubmitting = false;
-let sortColumn = null;
-let sortDirection = 1;
+const movieSort = { column: null, direction: 1 };
+
+// Tab name -> loader, filled in by the per-tab scripts (manage-users.js, ...)
+const tabLoaders = {};
 
 // DOM Elements
 const form = document.getElementById('movie-form');
-const saveButton = document.querySelector('.save-btn');
+const saveButton = document.querySelector('#movie-form .save-btn');
 const categorySelect = document.getElementById('category');
 const loading = document.getElementById('loading');
 const movieTableBody = document.getElementById('movie-table-body');
@@ -40,12 +42,44 @@ function displayError(fieldId, message) {
 function sanitizeFormData(formData) {
   const fields = ['title', 'description', 'genres', 'duration', 'year', 'rating', 'resolution'];
   fields.forEach(field => formData.set(field, DOMPurify.sanitize(formData.get(field) || '')));
+  formData.set('duration', withDurationUnit(formData.get('duration')));
+}
+
+// Codecs of a probed file that browsers cannot decode, as "hevc, ac3"; '' when it plays as it is
+const unsupportedCodecs = (media) => (media?.unsupported_codecs || []).join(', ');
+
+// Table note for such a file; it streams from the converted copy the server makes
+function codecWarning(media) {
+  const codecs = DOMPurify.sanitize(unsupportedCodecs(media));
+  return codecs ? `<span class="codec-warning" title="Streams from a converted copy once the server has made one">Browsers cannot play ${codecs}</span>` : '';
+}
+
+// 1920x800 is still 1080p: the label is the height of a 16:9 frame as wide as the video
+const resolutionLabel = (width, height) => `${Math.round(Math.max(height, width * 9 / 16))}p`;
+
+// Fills the duration and resolution inputs from the chosen file when the browser can read its
+// metadata. The server probes the upload with ffprobe, and what it reads replaces these.
+function prefillFromFile(file, { duration, resolution }) {
+  if (!file) return;
+  const url = URL.createObjectURL(file);
+  const media = document.createElement(file.type.startsWith('audio/') ? 'audio' : 'video');
+  media.preload = 'metadata';
+  media.addEventListener('loadedmetadata', () => {
+    if (duration && Number.isFinite(media.duration)) duration.value = formatDuration(Math.round(media.duration));
+    if (resolution && media.videoWidth && media.videoHeight) resolution.value = resolutionLabel(media.videoWidth, media.videoHeight);
+    URL.revokeObjectURL(url);
+  });
+  media.addEventListener('error', () => URL.revokeObjectURL(url));
+  media.src = url;
 }
 
 // Validate movie form
 function validateMovieForm(movie) {
   if (!movie.title) return { field: 'title', message: 'Title is required.' };
-  if (!editingMovieId && !movie.movie_file) return { field: 'movie_file', message: 'Movie file is required.' };
+  // Series are created without a file; their episodes are uploaded on the Series tab
+  if (!editingMovieId && !movie.movie_file && movie.category !== 'tv-series') {
+    return { field: 'movie_file', message: 'Movie file is required.' };
+  }
   if (movie.movie_file && movie.movie_file.size > 500 * 1024 * 1024) {
     return { field: 'movie_file', message: 'Movie file must be under 500MB.' };
   }
@@ -71,28 +105,88 @@ function validateMovieForm(movie) {
   return null;
 }
 
-// Sort movies
-function sortMovies(movies) {
-  if (!sortColumn) return movies;
-  return movies.sort((a, b) => {
-    let valA = a[sortColumn] || '';
-    let valB = b[sortColumn] || '';
-    if (sortColumn === 'genres') {
-      valA = (valA || []).join(', ');
-      valB = (valB || []).join(', ');
-    }
-    if (sortColumn === 'id' || sortColumn === 'year' || sortColumn === 'rating') {
+// Sort table rows by the current { column, direction }; array values compare joined
+function sortRows(rows, { column, direction }, numericColumns = []) {
+  if (!column) return rows;
+  return rows.sort((a, b) => {
+    let valA = a[column] || '';
+    let valB = b[column] || '';
+    if (Array.isArray(valA)) valA = valA.join(', ');
+    if (Array.isArray(valB)) valB = valB.join(', ');
+    if (numericColumns.includes(column)) {
       valA = parseFloat(valA) || 0;
       valB = parseFloat(valB) || 0;
     }
     if (typeof valA === 'string') valA = valA.toLowerCase();
     if (typeof valB === 'string') valB = valB.toLowerCase();
-    return valA < valB ? -sortDirection : valA > valB ? sortDirection : 0;
+    return valA < valB ? -direction : valA > valB ? direction : 0;
+  });
+}
+
+// Sort movies
+function sortMovies(movies) {
+  return sortRows(movies, movieSort, ['id', 'year', 'rating']);
+}
+
+// Clicking a sortable header toggles the direction and re-renders through onSort
+function attachSortHandlers(table, sortState, onSort) {
+  table.querySelectorAll('th[data-sort]').forEach(th => {
+    th.addEventListener('click', () => {
+      const column = th.dataset.sort;
+      if (sortState.column === column) {
+        sortState.direction = -sortState.direction;
+      } else {
+        sortState.column = column;
+        sortState.direction = 1;
+      }
+      table.querySelectorAll('.sort-icon').forEach(icon => icon.className = 'sort-icon fa-solid fa-sort');
+      th.querySelector('.sort-icon').className = `sort-icon fa-solid fa-sort-${sortState.direction > 0 ? 'down' : 'up'}`;
+      onSort();
+    });
+  });
+}
+
+// JSON request to an admin endpoint; rejects with the server's error message
+async function adminRequest(url, options = {}) {
+  const response = await fetchWithAuth(url, {
+    ...options,
+    headers: { 'Content-Type': 'application/json', ...options.headers }
+  });
+  if (response.status === 401) {
+    handleUnauthorized();
+    throw new Error('Session expired');
+  }
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) throw new Error(data.error || `Request failed: ${response.statusText}`);
+  return data;
+}
+
+// Switch the visible admin tab and let its script load fresh data; extra arguments go to its loader
+function showTab(name, ...args) {
+  document.querySelectorAll('.admin-tabs .tab-btn').forEach(button => {
+    const active = button.dataset.tab === name;
+    button.classList.toggle('active', active);
+    button.setAttribute('aria-selected', active);
+  });
+  document.querySelectorAll('.tab-panel').forEach(panel => {
+    panel.classList.toggle('hidden', panel.id !== `${name}-panel`);
+  });
+  if (tabLoaders[name]) tabLoaders[name](...args);
+}
+
+// Tabs restricted with data-roles stay hidden from other roles
+function initTabs() {
+  document.querySelectorAll('.admin-tabs .tab-btn').forEach(button => {
+    const roles = button.dataset.roles ? button.dataset.roles.split(',') : null;
+    button.classList.toggle('hidden', !!roles && !roles.includes(getRole()));
+    button.addEventListener('click', () => showTab(button.dataset.tab));
   });
 }
 
 // Check form validity
 function checkFormValidity() {
+  const movieFileInput = document.getElementById('movie_file');
+  movieFileInput.required = !editingMovieId && categorySelect.value !== 'tv-series';
   const isValid = form.checkValidity() && ['movie', 'tv-series', 'music'].includes(categorySelect.value);
   saveButton.disabled = !isValid;
 }
@@ -101,9 +195,8 @@ function checkFormValidity() {
 async function loadMovies() {
   try {
     loading.classList.remove('hidden');
-    const response = await fetch('/assets/data/movies.json', {
-      headers: { 'Authorization': `Bearer ${localStorage.getItem('authToken')}` }
-    });
+    const response = await fetchWithAuth('/assets/data/movies.json');
+    if (response.status === 401) return handleUnauthorized();
     if (!response.ok) throw new Error(`Failed to load movies: ${response.statusText}`);
     const movies = await response.json();
     const sortedMovies = sortMovies(movies);
@@ -113,14 +206,15 @@ async function loadMovies() {
         <td>${DOMPurify.sanitize(movie.title)}</td>
         <td><img src="${DOMPurify.sanitize(movie.poster || '/assets/images/placeholder.jpg')}" alt="${DOMPurify.sanitize(movie.title)}" onerror="this.src='/assets/images/placeholder.jpg'"></td>
         <td>${DOMPurify.sanitize(movie.year || 'N/A')}</td>
-        <td>${DOMPurify.sanitize(movie.duration || 'N/A')}</td>
-        <td>${DOMPurify.sanitize(movie.rating || 'N/A')}</td>
-        <td>${DOMPurify.sanitize(movie.resolution || 'N/A')}</td>
+        <td>${DOMPurify.sanitize(formatDuration(movie.duration) || 'N/A')}</td>
+        <td>${DOMPurify.sanitize(formatRating(movie.rating) || 'N/A')}</td>
+        <td>${DOMPurify.sanitize(movie.resolution || 'N/A')}${codecWarning(movie.media)}</td>
         <td>${DOMPurify.sanitize(movie.category)}</td>
         <td>${(movie.genres || []).map(g => DOMPurify.sanitize(g)).join(', ')}</td>
         <td>${DOMPurify.sanitize(movie.description || 'N/A')}</td>
         <td class="actions">
           <button class="edit-btn" data-id="${movie.id}">Edit</button>
+          ${movie.category === 'tv-series' ? `<button class="edit-btn episodes-btn" data-id="${movie.id}">Episodes</button>` : ''}
           <button class="delete-btn" data-id="${movie.id}">Delete</button>
         </td>
       </tr>
@@ -136,14 +230,17 @@ async function loadMovies() {
 
 // Attach event listeners to table buttons
 function attachTableButtonListeners() {
-  const editButtons = document.querySelectorAll('.edit-btn');
-  const deleteButtons = document.querySelectorAll('.delete-btn');
+  const editButtons = movieTableBody.querySelectorAll('.edit-btn:not(.episodes-btn)');
+  const deleteButtons = movieTableBody.querySelectorAll('.delete-btn');
   editButtons.forEach(button => {
     button.addEventListener('click', () => editMovie(parseInt(button.dataset.id, 10)));
   });
   deleteButtons.forEach(button => {
     button.addEventListener('click', () => deleteMovie(parseInt(button.dataset.id, 10)));
   });
+  movieTableBody.querySelectorAll('.episodes-btn').forEach(button => {
+    button.addEventListener('click', () => showTab('series', parseInt(button.dataset.id, 10)));
+  });
 }
 
 // Add or update movie
@@ -152,7 +249,7 @@ async function addMovie(event) {
   if (isSubmitting) return;
   isSubmitting = true;
   loading.classList.remove('hidden');
-  document.querySelectorAll('.error-message').forEach(el => el.classList.add('hidden'));
+  form.querySelectorAll('.error-message').forEach(el => el.classList.add('hidden'));
   document.getElementById('general-error').classList.add('hidden');
 
   const formData = new FormData(form);
@@ -184,9 +281,24 @@ async function addMovie(event) {
     progressBar.value = 0;
     progressText.textContent = '0%';
 
+    sendUpload(editingMovieId ? `/movies/edit/${editingMovieId}` : '/movies/add', formData);
+  } catch (error) {
+    console.error('Error saving movie:', error);
+    displayError('general', error.message);
+  } finally {
+    loading.classList.add('hidden');
+    isSubmitting = false;
+  }
+}
+
+// Multipart POST with upload progress; a 401 refreshes the session once and re-sends the form.
+// Resolves with the parsed response and rejects with the server's error message.
+function uploadWithProgress(url, formData, canRefresh = true) {
+  return new Promise((resolve, reject) => {
     const xhr = new XMLHttpRequest();
-    xhr.open('POST', editingMovieId ? `/movies/edit/${editingMovieId}` : '/movies/add', true);
-    xhr.setRequestHeader('Authorization', `Bearer ${localStorage.getItem('authToken')}`); // Add token
+    xhr.open('POST', url, true);
+    xhr.withCredentials = getAuthMode() === 'cookie';
+    Object.entries(getAuthHeaders('POST')).forEach(([name, value]) => xhr.setRequestHeader(name, value));
 
     xhr.upload.onprogress = (event) => {
       if (event.lengthComputable) {
@@ -197,27 +309,39 @@ async function addMovie(event) {
     };
 
     xhr.onload = async () => {
-      if (xhr.status >= 200 && xhr.status < 300) {
-        await loadMovies();
-        resetForm();
-        alert(editingMovieId ? 'Movie updated successfully!' : 'Movie added successfully!');
-      } else {
-        const response = JSON.parse(xhr.responseText);
-        displayError('general', response.error || 'Failed to save movie');
+      if (xhr.status === 401) {
+        if (canRefresh && await refreshAccessToken()) return resolve(uploadWithProgress(url, formData, false));
+        handleUnauthorized();
+        return reject(new Error('Session expired'));
+      }
+      let response = {};
+      try {
+        response = JSON.parse(xhr.responseText);
+      } catch (error) {
+        console.warn('Upload response was not JSON:', error);
       }
+      if (xhr.status >= 200 && xhr.status < 300) resolve(response);
+      else reject(new Error(response.error || `Upload failed: ${xhr.statusText}`));
     };
 
-    xhr.onerror = () => {
-      displayError('general', 'Network error occurred');
-    };
+    xhr.onerror = () => reject(new Error('Network error occurred'));
 
     xhr.send(formData);
+  });
+}
+
+// Save the movie form, then refresh the table
+async function sendUpload(url, formData) {
+  try {
+    const saved = await uploadWithProgress(url, formData);
+    const wasEditing = editingMovieId;
+    await loadMovies();
+    resetForm();
+    const codecs = formData.get('movie_file')?.size ? unsupportedCodecs(saved.media) : '';
+    alert((wasEditing ? 'Movie updated successfully!' : 'Movie added successfully!') +
+      (codecs ? `\n\nBrowsers cannot play this file's ${codecs}; it will stream from a converted copy once the server has made one.` : ''));
   } catch (error) {
-    console.error('Error saving movie:', error);
-    displayError('general', error.message);
-  } finally {
-    loading.classList.add('hidden');
-    isSubmitting = false;
+    displayError('general', error.message || 'Failed to save movie');
   }
 }
 
@@ -225,9 +349,7 @@ async function addMovie(event) {
 async function editMovie(id) {
   try {
     loading.classList.remove('hidden');
-    const response = await fetch('/assets/data/movies.json', {
-      headers: { 'Authorization': `Bearer ${localStorage.getItem('authToken')}` }
-    });
+    const response = await fetchWithAuth('/assets/data/movies.json');
     if (!response.ok) throw new Error(`Failed to load movies: ${response.statusText}`);
     const movies = await response.json();
     const movie = movies.find(m => m.id === id);
@@ -243,14 +365,15 @@ async function editMovie(id) {
     document.getElementById('movie_file').removeAttribute('required');
     document.getElementById('poster_file').value = '';
     document.getElementById('poster_file').setAttribute('data-existing-path', movie.poster || '');
-    document.getElementById('duration').value = movie.duration || '';
+    document.getElementById('duration').value = formatDuration(movie.duration);
     document.getElementById('year').value = movie.year || '';
-    document.getElementById('rating').value = movie.rating || '';
+    document.getElementById('rating').value = movie.rating ?? '';
     document.getElementById('resolution').value = movie.resolution || '';
     document.getElementById('category').value = movie.category || '';
     document.getElementById('genres').value = (movie.genres || []).join(', ');
     document.getElementById('description').value = movie.description || '';
     document.getElementById('form-title').textContent = 'Edit Movie';
+    showMovieSubtitles(movie);
     checkFormValidity();
   } catch (error) {
     console.error('Error loading movie:', error);
@@ -260,21 +383,24 @@ async function editMovie(id) {
   }
 }
 
+// Subtitles of the movie being edited; series titles get theirs per episode in the Series tab
+function showMovieSubtitles(movie) {
+  showSubtitleManager(document.getElementById('movie-subtitles'), movie?.file_path ? movie : null,
+    movie && `/movies/${movie.id}/subtitles`, showMovieSubtitles);
+}
+
 // Delete movie
 async function deleteMovie(id) {
-  if (!confirm('Are you sure you want to delete this movie?')) return;
+  if (!confirm('Move this movie and its files to the trash?')) return;
   try {
     loading.classList.remove('hidden');
-    const response = await fetch(`/movies/delete/${id}`, {
-      method: 'DELETE',
-      headers: { 'Authorization': `Bearer ${localStorage.getItem('authToken')}` }
-    });
+    const response = await fetchWithAuth(`/movies/delete/${id}`, { method: 'DELETE' });
     if (!response.ok) {
       const data = await response.json();
       throw new Error(data.error || 'Failed to delete movie');
     }
     await loadMovies();
-    alert('Movie deleted successfully!');
+    alert('Movie moved to the trash. An admin can restore it from the Trash tab.');
   } catch (error) {
     console.error('Error deleting movie:', error);
     displayError('general', error.message);
@@ -289,20 +415,24 @@ function resetForm() {
   editingMovieId = null;
   document.getElementById('form-title').textContent = 'Add New Movie';
   document.getElementById('movie_file').setAttribute('data-existing-path', '');
-  document.getElementById('movie_file').setAttribute('required', 'true');
   document.getElementById('poster_file').setAttribute('data-existing-path', '');
   progressBarContainer.classList.add('hidden');
-  document.querySelectorAll('.error-message').forEach(el => el.classList.add('hidden'));
+  form.querySelectorAll('.error-message').forEach(el => el.classList.add('hidden'));
   document.getElementById('general-error').classList.add('hidden');
   document.getElementById('category').value = '';
+  showMovieSubtitles(null);
   checkFormValidity();
 }
 
 // Initialize
-function init() {
+async function init() {
   // Check authentication
-  if (!localStorage.getItem('authToken')) {
-    window.location.href = '/login.html';
+  if (!(await ensureSession())) {
+    handleUnauthorized();
+    return;
+  }
+  if (!['admin', 'editor'].includes(getRole())) {
+    window.location.href = '/index.html';
     return;
   }
 
@@ -315,10 +445,7 @@ function init() {
   const logoutBtn = document.createElement('button');
   logoutBtn.textContent = 'Logout';
   logoutBtn.className = 'btn logout';
-  logoutBtn.addEventListener('click', () => {
-    localStorage.removeItem('authToken');
-    window.location.href = '/login.html';
-  });
+  logoutBtn.addEventListener('click', logout);
   document.querySelector('.navbar').appendChild(logoutBtn);
 
   form.addEventListener('input', checkFormValidity);
@@ -340,29 +467,21 @@ function init() {
   }
 
   form.addEventListener('submit', addMovie);
+  document.getElementById('movie_file').addEventListener('change', (e) => {
+    prefillFromFile(e.target.files[0], { duration: document.getElementById('duration'), resolution: document.getElementById('resolution') });
+  });
 
-  const cancelBtn = document.querySelector('.cancel-btn');
+  const cancelBtn = form.querySelector('.cancel-btn');
   if (cancelBtn) {
     cancelBtn.addEventListener('click', resetForm);
   } else {
     console.error('Cancel button not found');
   }
 
-  document.querySelectorAll('.movie-table th[data-sort]').forEach(th => {
-    th.addEventListener('click', () => {
-      const column = th.dataset.sort;
-      if (sortColumn === column) {
-        sortDirection = -sortDirection;
-      } else {
-        sortColumn = column;
-        sortDirection = 1;
-      }
-      document.querySelectorAll('.sort-icon').forEach(icon => icon.className = 'sort-icon fa-solid fa-sort');
-      th.querySelector('.sort-icon').className = `sort-icon fa-solid fa-sort-${sortDirection > 0 ? 'down' : 'up'}`;
-      loadMovies();
-    });
-  });
+  attachSortHandlers(document.querySelector('#movies-panel .movie-table'), movieSort, loadMovies);
 
+  tabLoaders.movies = loadMovies;
+  initTabs();
   loadMovies();
 }
 
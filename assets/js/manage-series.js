@@ -0,0 +1,285 @@
+// Series tab: seasons and episodes of tv-series titles. Shares displayError, adminRequest,
+// uploadWithProgress, prefillFromFile, codecWarning and the loading/progress elements with
+// manage-movies.js, and showSubtitleManager with manage-subtitles.js.
+
+// State
+let seriesList = [];
+let currentSeries = null;
+let editingEpisode = null;
+let isSubmittingEpisode = false;
+
+// DOM Elements
+const seriesSelect = document.getElementById('series-select');
+const addSeasonButton = document.getElementById('add-season-btn');
+const seasonsList = document.getElementById('seasons-list');
+const episodeFormContainer = document.getElementById('episode-form-container');
+const episodeForm = document.getElementById('episode-form');
+const episodeSaveButton = document.querySelector('#episode-form .save-btn');
+const episodeSeasonSelect = document.getElementById('episode-season');
+
+if (!seriesSelect) console.error('Series select not found');
+if (!seasonsList) console.error('Seasons list not found');
+if (!episodeForm) console.error('Episode form not found');
+
+const seasonUrl = (season) => `/movies/${currentSeries.id}/seasons/${season}`;
+
+// Validate episode form
+function validateEpisodeForm(episode) {
+  if (!episode.title) return { field: 'episode-title', message: 'Episode title is required.' };
+  if (episode.episode && (!Number.isInteger(Number(episode.episode)) || Number(episode.episode) < 1)) {
+    return { field: 'episode-number', message: 'Episode number must be a positive whole number.' };
+  }
+  if (!editingEpisode && !episode.file) return { field: 'episode_file', message: 'Episode file is required.' };
+  if (episode.file && episode.file.size > 500 * 1024 * 1024) {
+    return { field: 'episode_file', message: 'Episode file must be under 500MB.' };
+  }
+  if (episode.file && !episode.file.type.startsWith('video/') && !episode.file.type.startsWith('audio/')) {
+    return { field: 'episode_file', message: 'Episode file must be a video or audio file.' };
+  }
+  return null;
+}
+
+// Load every tv-series title, following the catalog API's cursor
+async function loadSeriesList(selectId) {
+  try {
+    loading.classList.remove('hidden');
+    displayError('series-general', '');
+    const series = [];
+    let cursor = null;
+    do {
+      const params = new URLSearchParams({ category: 'tv-series', sort: 'title', limit: 100 });
+      if (cursor) params.set('cursor', cursor);
+      const page = await adminRequest(`/api/titles?${params}`);
+      series.push(...page.items);
+      cursor = page.nextCursor;
+    } while (cursor);
+    seriesList = series;
+
+    const selected = selectId ?? currentSeries?.id;
+    seriesSelect.innerHTML = '<option value="">Select a series</option>' + seriesList.map(s =>
+      `<option value="${s.id}" ${s.id === selected ? 'selected' : ''}>${DOMPurify.sanitize(s.title)}</option>`
+    ).join('');
+    renderSeries(seriesList.find(s => s.id === selected) || null);
+  } catch (error) {
+    console.error('Error loading series:', error);
+    displayError('series-general', error.message);
+  } finally {
+    loading.classList.add('hidden');
+  }
+}
+
+// Render the seasons and episodes of the selected series
+function renderSeries(series) {
+  currentSeries = series;
+  addSeasonButton.disabled = !series;
+  episodeFormContainer.classList.toggle('hidden', !series || !series.seasons?.length);
+  resetEpisodeForm();
+  if (!series) {
+    seasonsList.innerHTML = '';
+    return;
+  }
+
+  const seasons = series.seasons || [];
+  episodeSeasonSelect.innerHTML = seasons.map(s => `<option value="${s.season}">Season ${s.season}</option>`).join('');
+  seasonsList.innerHTML = seasons.length ? seasons.map((season, index) => `
+    <div class="season-block" data-season="${season.season}">
+      <div class="season-header">
+        <h4>Season ${season.season} <small>(${season.episodes.length} episode${season.episodes.length === 1 ? '' : 's'})</small></h4>
+        <div class="actions">
+          <button class="edit-btn move-season-btn" data-index="${index}" data-offset="-1" ${index === 0 ? 'disabled' : ''} aria-label="Move season ${season.season} up"><i class="fa-solid fa-arrow-up"></i></button>
+          <button class="edit-btn move-season-btn" data-index="${index}" data-offset="1" ${index === seasons.length - 1 ? 'disabled' : ''} aria-label="Move season ${season.season} down"><i class="fa-solid fa-arrow-down"></i></button>
+          <button class="delete-btn delete-season-btn" data-season="${season.season}">Delete Season</button>
+        </div>
+      </div>
+      <table class="movie-table episodes-table">
+        <thead>
+          <tr>
+            <th>#</th>
+            <th>Title</th>
+            <th>Duration</th>
+            <th>File</th>
+            <th>Actions</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${season.episodes.length ? season.episodes.map(ep => `
+          <tr>
+            <td>${ep.episode}</td>
+            <td>${DOMPurify.sanitize(ep.title || 'Untitled')}</td>
+            <td>${DOMPurify.sanitize(formatDuration(ep.duration) || 'N/A')}</td>
+            <td class="episode-file">${DOMPurify.sanitize(ep.file_path || 'N/A')}${codecWarning(ep.media)}</td>
+            <td class="actions">
+              <button class="edit-btn edit-episode-btn" data-season="${season.season}" data-episode="${ep.episode}">Edit</button>
+              <button class="delete-btn delete-episode-btn" data-season="${season.season}" data-episode="${ep.episode}">Delete</button>
+            </td>
+          </tr>
+          `).join('') : '<tr><td colspan="5">No episodes yet.</td></tr>'}
+        </tbody>
+      </table>
+    </div>
+  `).join('') : '<p>This series has no seasons yet. Add one to start uploading episodes.</p>';
+  attachSeasonListeners();
+}
+
+// Attach event listeners to season and episode controls
+function attachSeasonListeners() {
+  seasonsList.querySelectorAll('.move-season-btn').forEach(button => {
+    button.addEventListener('click', () => moveSeason(parseInt(button.dataset.index, 10), parseInt(button.dataset.offset, 10)));
+  });
+  seasonsList.querySelectorAll('.delete-season-btn').forEach(button => {
+    button.addEventListener('click', () => deleteSeason(parseInt(button.dataset.season, 10)));
+  });
+  seasonsList.querySelectorAll('.edit-episode-btn').forEach(button => {
+    button.addEventListener('click', () => editEpisode(parseInt(button.dataset.season, 10), parseInt(button.dataset.episode, 10)));
+  });
+  seasonsList.querySelectorAll('.delete-episode-btn').forEach(button => {
+    button.addEventListener('click', () => deleteEpisode(parseInt(button.dataset.season, 10), parseInt(button.dataset.episode, 10)));
+  });
+}
+
+// Run a season/episode request and show the series it returns
+async function applySeriesChange(request, successMessage) {
+  try {
+    loading.classList.remove('hidden');
+    displayError('series-general', '');
+    const series = await request();
+    seriesList = seriesList.map(s => (s.id === series.id ? series : s));
+    renderSeries(series);
+    if (successMessage) alert(successMessage);
+  } catch (error) {
+    console.error('Error updating series:', error);
+    displayError('series-general', error.message);
+  } finally {
+    loading.classList.add('hidden');
+  }
+}
+
+function addSeason() {
+  if (!currentSeries) return;
+  applySeriesChange(() => adminRequest(`/movies/${currentSeries.id}/seasons`, { method: 'POST', body: JSON.stringify({}) }));
+}
+
+// Swap a season with its neighbour; the server renumbers seasons in the new order
+function moveSeason(index, offset) {
+  const order = currentSeries.seasons.map(s => s.season);
+  const target = index + offset;
+  if (target < 0 || target >= order.length) return;
+  [order[index], order[target]] = [order[target], order[index]];
+  applySeriesChange(() => adminRequest(`/movies/${currentSeries.id}/seasons/order`, { method: 'PUT', body: JSON.stringify({ order }) }));
+}
+
+function deleteSeason(season) {
+  const count = currentSeries.seasons.find(s => s.season === season)?.episodes.length || 0;
+  if (!confirm(`Move season ${season}${count ? ` and its ${count} episode file${count === 1 ? '' : 's'}` : ''} to the trash?`)) return;
+  applySeriesChange(() => adminRequest(seasonUrl(season), { method: 'DELETE' }), 'Season moved to the trash.');
+}
+
+function deleteEpisode(season, episode) {
+  if (!confirm(`Move season ${season}, episode ${episode} and its file to the trash?`)) return;
+  applySeriesChange(() => adminRequest(`${seasonUrl(season)}/episodes/${episode}`, { method: 'DELETE' }), 'Episode moved to the trash.');
+}
+
+// Fill the episode form to edit an existing episode; leaving the file empty keeps its file
+function editEpisode(season, episode) {
+  const data = currentSeries.seasons.find(s => s.season === season)?.episodes.find(ep => ep.episode === episode);
+  if (!data) return;
+  editingEpisode = { season, episode };
+  episodeSeasonSelect.value = season;
+  episodeSeasonSelect.disabled = true;
+  document.getElementById('episode-number').value = data.episode;
+  document.getElementById('episode-title').value = data.title || '';
+  document.getElementById('episode-duration').value = formatDuration(data.duration);
+  document.getElementById('episode_file').value = '';
+  document.getElementById('episode_file').required = false;
+  document.getElementById('episode-form-title').textContent = `Edit Season ${season}, Episode ${episode}`;
+  showEpisodeSubtitles(season, data);
+  episodeSaveButton.disabled = !episodeForm.checkValidity();
+  episodeFormContainer.scrollIntoView({ behavior: 'smooth' });
+}
+
+// Subtitles of the episode being edited. A change only touches the episode's subtitles, so the
+// series is updated in place rather than re-rendered, which would close the episode form.
+function showEpisodeSubtitles(season, episode) {
+  showSubtitleManager(document.getElementById('episode-subtitles'), episode,
+    episode && `${seasonUrl(season)}/episodes/${episode.episode}/subtitles`, (series) => {
+      seriesList = seriesList.map(s => (s.id === series.id ? series : s));
+      currentSeries = series;
+      showEpisodeSubtitles(season, series.seasons.find(s => s.season === season)?.episodes.find(ep => ep.episode === episode.episode) || null);
+    });
+}
+
+// Upload a new episode or save changes to the one being edited
+async function saveEpisode(event) {
+  event.preventDefault();
+  if (isSubmittingEpisode || !currentSeries) return;
+  episodeForm.querySelectorAll('.error-message').forEach(el => el.classList.add('hidden'));
+
+  const formData = new FormData(episodeForm);
+  const episode = {
+    title: (formData.get('title') || '').trim(),
+    episode: formData.get('episode'),
+    file: formData.get('episode_file')?.size ? formData.get('episode_file') : null
+  };
+  const validationError = validateEpisodeForm(episode);
+  if (validationError) {
+    displayError(validationError.field, validationError.message);
+    return;
+  }
+
+  const season = editingEpisode ? editingEpisode.season : parseInt(episodeSeasonSelect.value, 10);
+  formData.delete('season');
+  formData.set('title', DOMPurify.sanitize(episode.title));
+  formData.set('duration', withDurationUnit(DOMPurify.sanitize(formData.get('duration') || '')));
+  if (!episode.episode) formData.delete('episode');
+  if (!episode.file) formData.delete('episode_file');
+  const url = editingEpisode
+    ? `${seasonUrl(season)}/episodes/${editingEpisode.episode}`
+    : `${seasonUrl(season)}/episodes`;
+
+  isSubmittingEpisode = true;
+  const wasEditing = !!editingEpisode;
+  try {
+    progressBarContainer.classList.toggle('hidden', !episode.file);
+    progressBar.value = 0;
+    progressText.textContent = '0%';
+    const series = await uploadWithProgress(url, formData);
+    seriesList = seriesList.map(s => (s.id === series.id ? series : s));
+    renderSeries(series);
+    alert(wasEditing ? 'Episode updated successfully!' : 'Episode added successfully!');
+  } catch (error) {
+    console.error('Error saving episode:', error);
+    displayError('episode-general', error.message);
+  } finally {
+    progressBarContainer.classList.add('hidden');
+    isSubmittingEpisode = false;
+  }
+}
+
+function resetEpisodeForm() {
+  episodeForm.reset();
+  editingEpisode = null;
+  episodeSeasonSelect.disabled = false;
+  document.getElementById('episode_file').required = true;
+  document.getElementById('episode-form-title').textContent = 'Add Episode';
+  showEpisodeSubtitles(null, null);
+  episodeForm.querySelectorAll('.error-message').forEach(el => el.classList.add('hidden'));
+  episodeSaveButton.disabled = true;
+}
+
+// Initialize
+function initSeriesTab() {
+  if (!seriesSelect || !seasonsList || !episodeForm) return;
+  seriesSelect.addEventListener('change', () => {
+    renderSeries(seriesList.find(s => s.id === parseInt(seriesSelect.value, 10)) || null);
+  });
+  addSeasonButton.addEventListener('click', addSeason);
+  episodeForm.addEventListener('input', () => { episodeSaveButton.disabled = !episodeForm.checkValidity(); });
+  episodeForm.addEventListener('submit', saveEpisode);
+  document.getElementById('episode_file').addEventListener('change', (e) => {
+    prefillFromFile(e.target.files[0], { duration: document.getElementById('episode-duration') });
+  });
+  episodeForm.querySelector('.cancel-btn').addEventListener('click', resetEpisodeForm);
+  tabLoaders.series = loadSeriesList;
+}
+
+document.addEventListener('DOMContentLoaded', initSeriesTab);
@@ -0,0 +1,92 @@
+// Subtitle tracks of the title or episode being edited in the Movies and Series tabs: the
+// uploaded tracks, each removable, and a form to upload another as SubRip (.srt) or WebVTT (.vtt),
+// which the server stores as WebVTT. Tracks extracted from the media file itself come and go with
+// the file and are not listed. Shares displayError, adminRequest, uploadWithProgress and the
+// loading element with manage-movies.js; manage-series.js uses showSubtitleManager for episodes.
+
+const SUBTITLE_MAX_BYTES = 2 * 1024 * 1024;
+
+function validateSubtitleFile(file) {
+  if (!file?.size) return 'Subtitle file is required.';
+  if (!/\.(srt|vtt)$/i.test(file.name)) return 'Subtitle file must be SubRip (.srt) or WebVTT (.vtt).';
+  if (file.size > SUBTITLE_MAX_BYTES) return 'Subtitle file must be under 2MB.';
+  return null;
+}
+
+// Shows the tracks of `entry` (a title or episode) in `container`, or hides it for null. `url` is
+// the entry's subtitles route; `onChange(movie)` gets the title the server returns after each
+// upload or removal.
+function showSubtitleManager(container, entry, url, onChange) {
+  container.classList.toggle('hidden', !entry);
+  if (!entry) {
+    container.innerHTML = '';
+    return;
+  }
+  const prefix = container.id;
+  const tracks = entry.subtitles || [];
+  container.innerHTML = `
+    <h4>Subtitles</h4>
+    <ul class="subtitle-list">
+      ${tracks.length ? tracks.map(track => `
+      <li>
+        <span>${DOMPurify.sanitize(track.label || track.language)} <small>(${DOMPurify.sanitize(track.language)})</small></span>
+        <button type="button" class="delete-btn remove-subtitle-btn" data-language="${DOMPurify.sanitize(track.language)}">Remove</button>
+      </li>
+      `).join('') : '<li>No uploaded subtitles yet.</li>'}
+    </ul>
+    <form class="form-grid subtitle-form">
+      <div class="form-group">
+        <label for="${prefix}-file">Subtitle File (.srt or .vtt)</label>
+        <input type="file" id="${prefix}-file" name="subtitle_file" accept=".srt,.vtt" required>
+        <span id="${prefix}-file-error" class="error-message hidden"></span>
+      </div>
+      <div class="form-group">
+        <label for="${prefix}-language">Language Code</label>
+        <input type="text" id="${prefix}-language" name="language" maxlength="20" placeholder="e.g. en or pt-BR" pattern="[a-zA-Z]{2,3}(-[a-zA-Z0-9]{2,8})*" required>
+        <span id="${prefix}-language-error" class="error-message hidden"></span>
+      </div>
+      <div class="form-group">
+        <label for="${prefix}-label">Label</label>
+        <input type="text" id="${prefix}-label" name="label" maxlength="50" placeholder="e.g. English">
+      </div>
+      <div class="form-group">
+        <span id="${prefix}-general-error" class="error-message hidden"></span>
+      </div>
+      <div class="form-buttons">
+        <button type="submit" class="save-btn">Upload Subtitles</button>
+      </div>
+    </form>
+  `;
+
+  const applyChange = async (request) => {
+    try {
+      loading.classList.remove('hidden');
+      displayError(`${prefix}-general`, '');
+      onChange(await request());
+    } catch (error) {
+      console.error('Error updating subtitles:', error);
+      displayError(`${prefix}-general`, error.message);
+    } finally {
+      loading.classList.add('hidden');
+    }
+  };
+
+  container.querySelectorAll('.remove-subtitle-btn').forEach(button => {
+    button.addEventListener('click', () => {
+      if (!confirm(`Move the ${button.dataset.language} subtitles to the trash?`)) return;
+      applyChange(() => adminRequest(`${url}/${encodeURIComponent(button.dataset.language)}`, { method: 'DELETE' }));
+    });
+  });
+
+  const subtitleForm = container.querySelector('.subtitle-form');
+  subtitleForm.addEventListener('submit', (event) => {
+    event.preventDefault();
+    const formData = new FormData(subtitleForm);
+    const fileError = validateSubtitleFile(formData.get('subtitle_file'));
+    displayError(`${prefix}-file`, fileError || '');
+    if (fileError) return;
+    formData.set('language', DOMPurify.sanitize(formData.get('language') || '').trim());
+    formData.set('label', DOMPurify.sanitize(formData.get('label') || '').trim());
+    applyChange(() => uploadWithProgress(url, formData));
+  });
+}
@@ -0,0 +1,100 @@
+// Trash tab: deleted titles, seasons, episodes, subtitles and replaced media files, which can be
+// restored or purged for good until they expire. Shares displayError, adminRequest, loadMovies and
+// the loading element with manage-movies.js, and formatBackupSize with manage-backups.js.
+
+// State
+let trashItems = [];
+
+// DOM Elements
+const trashTableBody = document.getElementById('trash-table-body');
+const emptyTrashBtn = document.getElementById('empty-trash-btn');
+
+if (!trashTableBody) console.error('Trash table body not found');
+
+const TRASH_KINDS = { title: 'Title', episodes: 'Episodes', file: 'Replaced file', subtitles: 'Subtitles' };
+
+function renderTrash(retentionDays) {
+  document.getElementById('trash-retention').textContent =
+    `Deleted titles and replaced media files are kept here for ${retentionDays} day${retentionDays === 1 ? '' : 's'}, then purged.`;
+  trashTableBody.innerHTML = trashItems.length ? trashItems.map(item => `
+    <tr>
+      <td>
+        <strong>${DOMPurify.sanitize(item.label)}</strong><br>
+        <small>${TRASH_KINDS[item.kind] || DOMPurify.sanitize(item.kind)}</small>
+      </td>
+      <td>${new Date(item.deletedAt).toLocaleString()}${item.deletedBy ? ` by ${DOMPurify.sanitize(item.deletedBy)}` : ''}</td>
+      <td>${item.files.length ? `${item.files.length} (${formatBackupSize(item.size)})` : 'None'}</td>
+      <td>${new Date(item.expiresAt).toLocaleDateString()}</td>
+      <td class="actions">
+        <button class="edit-btn restore-trash-btn" data-id="${item.id}">Restore</button>
+        <button class="delete-btn purge-trash-btn" data-id="${item.id}">Delete Forever</button>
+      </td>
+    </tr>
+  `).join('') : '<tr><td colspan="5">The trash is empty.</td></tr>';
+  emptyTrashBtn.disabled = !trashItems.length;
+  trashTableBody.querySelectorAll('.restore-trash-btn').forEach(button => {
+    button.addEventListener('click', () => restoreTrashItem(button.dataset.id));
+  });
+  trashTableBody.querySelectorAll('.purge-trash-btn').forEach(button => {
+    button.addEventListener('click', () => purgeTrashItem(button.dataset.id));
+  });
+}
+
+async function loadTrash() {
+  try {
+    loading.classList.remove('hidden');
+    displayError('trash-general', '');
+    const data = await adminRequest('/admin/trash');
+    trashItems = data.items;
+    renderTrash(data.retentionDays);
+  } catch (error) {
+    console.error('Error loading trash:', error);
+    displayError('trash-general', error.message);
+  } finally {
+    loading.classList.add('hidden');
+  }
+}
+
+// Runs a trash change, then reloads the trash and the catalog it may have changed
+async function applyTrashChange(request, successMessage) {
+  try {
+    loading.classList.remove('hidden');
+    displayError('trash-general', '');
+    await request();
+    await loadTrash();
+    await loadMovies();
+    alert(successMessage);
+  } catch (error) {
+    console.error('Error updating trash:', error);
+    displayError('trash-general', error.message);
+  } finally {
+    loading.classList.add('hidden');
+  }
+}
+
+function restoreTrashItem(id) {
+  const item = trashItems.find(entry => entry.id === id);
+  if (!confirm(`Restore ${item.label}?`)) return;
+  applyTrashChange(() => adminRequest(`/admin/trash/${encodeURIComponent(id)}/restore`, { method: 'POST', body: JSON.stringify({}) }),
+    `${item.label} was restored.`);
+}
+
+function purgeTrashItem(id) {
+  const item = trashItems.find(entry => entry.id === id);
+  if (!confirm(`Delete ${item.label} and its files for good? This cannot be undone.`)) return;
+  applyTrashChange(() => adminRequest(`/admin/trash/${encodeURIComponent(id)}`, { method: 'DELETE' }), `${item.label} was deleted for good.`);
+}
+
+function emptyTrash() {
+  if (!confirm(`Delete all ${trashItems.length} item${trashItems.length === 1 ? '' : 's'} in the trash for good? This cannot be undone.`)) return;
+  applyTrashChange(() => adminRequest('/admin/trash', { method: 'DELETE' }), 'The trash was emptied.');
+}
+
+// Initialize
+function initTrashTab() {
+  if (!trashTableBody || !emptyTrashBtn) return;
+  emptyTrashBtn.addEventListener('click', emptyTrash);
+  tabLoaders.trash = loadTrash;
+}
+
+document.addEventListener('DOMContentLoaded', initTrashTab);
@@ -0,0 +1,174 @@
+// Users tab: account administration for admins. Shares displayError, sortRows,
+// attachSortHandlers and adminRequest with manage-movies.js.
+
+// State
+const userSort = { column: null, direction: 1 };
+let isSubmittingUser = false;
+
+// DOM Elements
+const userForm = document.getElementById('user-form');
+const userSaveButton = document.querySelector('#user-form .save-btn');
+const usersTableBody = document.getElementById('users-table-body');
+
+if (!userForm) console.error('User form not found');
+if (!usersTableBody) console.error('Users table body not found');
+
+const userStatus = (user) => user.disabled ? 'Disabled' : user.locked ? 'Locked' : 'Active';
+
+// Validate new user form
+function validateUserForm(user) {
+  if (!/^[a-zA-Z0-9._-]{3,30}$/.test(user.username)) {
+    return { field: 'user-username', message: 'Username must be 3-30 letters, numbers, dots, dashes or underscores.' };
+  }
+  if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(user.email)) return { field: 'user-email', message: 'Enter a valid email address.' };
+  if (user.password.length < 6) return { field: 'user-password', message: 'Password must be at least 6 characters.' };
+  return null;
+}
+
+// Load users from server
+async function loadUsers() {
+  try {
+    loading.classList.remove('hidden');
+    displayError('users-general', '');
+    const users = await adminRequest('/admin/users');
+    const rows = users.map(user => ({ ...user, status: userStatus(user) }));
+    const currentUser = getUsername();
+    usersTableBody.innerHTML = sortRows(rows, userSort, ['id']).map(user => {
+      const isSelf = user.username === currentUser;
+      return `
+      <tr>
+        <td>${user.id}</td>
+        <td>${DOMPurify.sanitize(user.username)}</td>
+        <td>${DOMPurify.sanitize(user.email || 'N/A')}</td>
+        <td>
+          <select class="role-select" data-id="${user.id}" ${isSelf ? 'disabled' : ''}>
+            ${['viewer', 'editor', 'admin'].map(role => `<option value="${role}" ${role === user.role ? 'selected' : ''}>${role}</option>`).join('')}
+          </select>
+        </td>
+        <td>${user.status}${user.locked ? ` until ${new Date(user.lockedUntil).toLocaleTimeString()}` : ''}</td>
+        <td class="actions">
+          ${isSelf ? '' : `<button class="edit-btn toggle-btn" data-id="${user.id}" data-disabled="${user.disabled}">${user.disabled ? 'Enable' : 'Disable'}</button>`}
+          <button class="edit-btn reset-btn" data-id="${user.id}">Reset Password</button>
+          ${user.locked ? `<button class="edit-btn unlock-btn" data-id="${user.id}">Unlock</button>` : ''}
+          ${isSelf ? '' : `<button class="delete-btn" data-id="${user.id}">Delete</button>`}
+        </td>
+      </tr>
+    `;
+    }).join('');
+    attachUserButtonListeners();
+  } catch (error) {
+    console.error('Error loading users:', error);
+    usersTableBody.innerHTML = `<tr><td colspan="6">${DOMPurify.sanitize(error.message)}</td></tr>`;
+  } finally {
+    loading.classList.add('hidden');
+  }
+}
+
+// Attach event listeners to users table controls
+function attachUserButtonListeners() {
+  usersTableBody.querySelectorAll('.role-select').forEach(select => {
+    select.addEventListener('change', () => updateUser(parseInt(select.dataset.id, 10), { role: select.value }));
+  });
+  usersTableBody.querySelectorAll('.toggle-btn').forEach(button => {
+    button.addEventListener('click', () => updateUser(parseInt(button.dataset.id, 10), { disabled: button.dataset.disabled !== 'true' }));
+  });
+  usersTableBody.querySelectorAll('.reset-btn').forEach(button => {
+    button.addEventListener('click', () => resetUserPassword(parseInt(button.dataset.id, 10)));
+  });
+  usersTableBody.querySelectorAll('.unlock-btn').forEach(button => {
+    button.addEventListener('click', () => unlockUser(parseInt(button.dataset.id, 10)));
+  });
+  usersTableBody.querySelectorAll('.delete-btn').forEach(button => {
+    button.addEventListener('click', () => deleteUser(parseInt(button.dataset.id, 10)));
+  });
+}
+
+// Run an admin action, then reload; failures show above the table
+async function runUserAction(action) {
+  try {
+    loading.classList.remove('hidden');
+    await action();
+  } catch (error) {
+    console.error('User action failed:', error);
+    displayError('users-general', error.message);
+    return;
+  } finally {
+    loading.classList.add('hidden');
+  }
+  await loadUsers();
+}
+
+function updateUser(id, changes) {
+  return runUserAction(() => adminRequest(`/admin/users/${id}`, { method: 'PUT', body: JSON.stringify(changes) }));
+}
+
+function resetUserPassword(id) {
+  const password = prompt('New password (at least 6 characters):');
+  if (password === null) return;
+  return runUserAction(async () => {
+    await adminRequest(`/admin/users/${id}/reset-password`, { method: 'POST', body: JSON.stringify({ password }) });
+    alert('Password reset. The user has been signed out everywhere.');
+  });
+}
+
+function unlockUser(id) {
+  return runUserAction(() => adminRequest(`/admin/lockouts/${encodeURIComponent(`account:${id}`)}`, { method: 'DELETE' }));
+}
+
+function deleteUser(id) {
+  if (!confirm('Are you sure you want to delete this user?')) return;
+  return runUserAction(() => adminRequest(`/admin/users/${id}`, { method: 'DELETE' }));
+}
+
+// Create user
+async function addUser(event) {
+  event.preventDefault();
+  if (isSubmittingUser) return;
+  userForm.querySelectorAll('.error-message').forEach(el => el.classList.add('hidden'));
+
+  const formData = new FormData(userForm);
+  const user = {
+    username: formData.get('username').trim(),
+    email: formData.get('email').trim(),
+    password: formData.get('password'),
+    role: formData.get('role')
+  };
+  const validationError = validateUserForm(user);
+  if (validationError) {
+    displayError(validationError.field, validationError.message);
+    return;
+  }
+
+  isSubmittingUser = true;
+  try {
+    loading.classList.remove('hidden');
+    await adminRequest('/admin/users', { method: 'POST', body: JSON.stringify(user) });
+    resetUserForm();
+    await loadUsers();
+    alert('User created successfully!');
+  } catch (error) {
+    console.error('Error creating user:', error);
+    displayError('users-general', error.message);
+  } finally {
+    loading.classList.add('hidden');
+    isSubmittingUser = false;
+  }
+}
+
+function resetUserForm() {
+  userForm.reset();
+  userForm.querySelectorAll('.error-message').forEach(el => el.classList.add('hidden'));
+  userSaveButton.disabled = true;
+}
+
+// Initialize
+function initUsersTab() {
+  if (!userForm || !usersTableBody) return;
+  userForm.addEventListener('input', () => { userSaveButton.disabled = !userForm.checkValidity(); });
+  userForm.addEventListener('submit', addUser);
+  userForm.querySelector('.cancel-btn').addEventListener('click', resetUserForm);
+  attachSortHandlers(document.querySelector('#users-panel .users-table'), userSort, loadUsers);
+  tabLoaders.users = loadUsers;
+}
+
+document.addEventListener('DOMContentLoaded', initUsersTab);
@@ -6,90 +6,38 @@ const debounce = (func, wait) => {
   };
 };
 
-const getToken = () => localStorage.getItem('jwt_token');
-
-const handleUnauthorized = () => {
-  localStorage.removeItem('jwt_token');
-  window.location.href = '/login.html';
-};
-
-const isTokenValid = () => {
-  const token = getToken();
-  if (!token) return false;
-  try {
-    const payloadBase64 = token.split('.')[1];
-    if (!payloadBase64) throw new Error('Invalid JWT format');
-    const payload = JSON.parse(atob(payloadBase64));
-    const now = Math.floor(Date.now() / 1000);
-    return payload.exp > now && payload.username;
-  } catch (error) {
-    console.warn('Invalid token format:', error);
-    return false;
-  }
-};
-
-const getUsernameFromToken = () => {
-  const token = getToken();
-  if (!token) return null;
-  try {
-    const payloadBase64 = token.split('.')[1];
-    if (!payloadBase64) return null;
-    const payload = JSON.parse(atob(payloadBase64));
-    return payload.username || null;
-  } catch (error) {
-    console.warn('Failed to parse username from token:', error);
-    return null;
-  }
+// The episode a title page shows: the one named in its URL, or the first one of a series
+const findEpisode = (movie, route) => {
+  const season = route.season
+    ? movie.seasons?.find(s => s.season === route.season)
+    : movie.seasons?.[0];
+  const episode = route.episode
+    ? season?.episodes.find(ep => ep.episode === route.episode)
+    : season?.episodes[0];
+  return episode ? { season: season.season, episode: episode.episode, file_path: episode.file_path } : null;
 };
 
-const fetchWithRetry = async (url, retries = 3, delay = 1000) => {
-  const cacheKey = `movies_data_${url}`;
-  const cacheTimestampKey = `${cacheKey}_timestamp`;
-  const cacheDuration = parseInt(window.env?.CACHE_DURATION) || 60 * 60 * 1000;
+// The server converts files browsers cannot play (.mkv, .avi, .mov and the like) to mp4 in the
+// background. ffmpeg.wasm is only the fallback for .mkv files it has no prepared copy of yet, so
+// it is loaded the first time one needs it.
+const FFMPEG_WASM_URL = 'https://unpkg.com/@ffmpeg/ffmpeg@0.11.6/dist/ffmpeg.min.js';
+let ffmpeg = null;
 
-  const cached = localStorage.getItem(cacheKey);
-  const cachedTimestamp = localStorage.getItem(cacheTimestampKey);
-  const now = Date.now();
+const isMkv = (path) => /\.mkv$/i.test(path);
 
-  if (cached && cachedTimestamp && now - parseInt(cachedTimestamp) < cacheDuration) {
-    try {
-      return JSON.parse(cached);
-    } catch (error) {
-      console.warn("Invalid cached data, fetching fresh:", error);
-    }
-  }
-
-  const token = getToken();
-  const headers = token ? { 'Authorization': `Bearer ${token}` } : {};
-  for (let i = 0; i < retries; i++) {
-    try {
-      const response = await fetch(url, { headers });
-      if (response.status === 401) {
-        handleUnauthorized();
-        throw new Error('Unauthorized: Redirecting to login');
-      }
-      if (!response.ok) throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-      const data = await response.json();
-      try {
-        localStorage.setItem(cacheKey, JSON.stringify(data));
-        localStorage.setItem(cacheTimestampKey, now.toString());
-      } catch (error) {
-        console.warn("Failed to cache data:", error);
-      }
-      return data;
-    } catch (error) {
-      console.error(`Fetch attempt ${i + 1} failed for ${url}:`, error);
-      if (i === retries - 1 || error.message.includes('Unauthorized')) throw error;
-      await new Promise(resolve => setTimeout(resolve, delay));
-    }
-  }
-};
-
-const { createFFmpeg, fetchFile } = FFmpeg;
-const ffmpeg = createFFmpeg({ log: true });
+const loadFfmpegWasm = () => new Promise((resolve, reject) => {
+  if (window.FFmpeg) return resolve(window.FFmpeg);
+  const script = document.createElement('script');
+  script.src = FFMPEG_WASM_URL;
+  script.onload = () => resolve(window.FFmpeg);
+  script.onerror = () => reject(new Error(`Failed to load ${FFMPEG_WASM_URL}`));
+  document.head.appendChild(script);
+});
 
 const transcodeMkvToMp4 = async (filePath) => {
   try {
+    const { createFFmpeg, fetchFile } = await loadFfmpegWasm();
+    if (!ffmpeg) ffmpeg = createFFmpeg({ log: true });
     if (!ffmpeg.isLoaded()) await ffmpeg.load();
     const response = await fetch(filePath);
     if (!response.ok) throw new Error(`Failed to fetch ${filePath}: ${response.statusText}`);
@@ -120,15 +68,16 @@ const initNavbar = () => {
     return;
   }
 
-  const username = getUsernameFromToken();
+  const username = getUsername();
   if (username) {
     usernameSpan.textContent = DOMPurify.sanitize(username);
   }
 
+  const role = getRole();
   const manageMoviesLink = document.querySelector('a[href="/manage-movies.html"]');
-  if (manageMoviesLink && username !== 'admin') {
+  if (manageMoviesLink && !['admin', 'editor'].includes(role)) {
     manageMoviesLink.style.display = 'none';
-    console.log('Manage Movies link hidden for non-admin user:', username);
+    console.log(`Manage Movies link hidden for ${role} user:`, username);
   }
 
   const toggleMenu = () => {
@@ -164,11 +113,8 @@ const initNavbar = () => {
     });
   });
 
-  logoutBtn.addEventListener('click', () => {
-    localStorage.removeItem('jwt_token');
-    console.log('User logged out, redirecting to /login.html');
-    window.location.href = '/login.html';
-  });
+  logoutBtn.addEventListener('click', logout);
+  initNavbarSearch();
 };
 
 const setupCarousel = (carouselId, items) => {
@@ -184,25 +130,25 @@ const setupCarousel = (carouselId, items) => {
 
   wrapper.innerHTML = validItems.length
     ? validItems.map(item => {
-        const filePath = item.file_path;
+        const url = item.url || titleUrl(item);
         const title = item.episode ? `${item.title} (S${item.season}E${item.episode})` : item.title;
         const poster = item.poster || '/assets/images/logo2.svg';
         return `
         <div class="swiper-slide">
           <div class="card">
             <div class="img">
-              <a href="movie-detail.html?file=${encodeURIComponent(filePath)}" aria-label="Watch ${DOMPurify.sanitize(title || 'No title')}">
+              <a href="${url}" aria-label="Watch ${DOMPurify.sanitize(title || 'No title')}">
                 <img src="${DOMPurify.sanitize(poster)}" alt="${DOMPurify.sanitize(title || 'No title')}" loading="lazy" onerror="this.src='/assets/images/logo2.svg'">
               </a>
             </div>
             <div class="title">
-              <a href="movie-detail.html?file=${encodeURIComponent(filePath)}" aria-label="Watch ${DOMPurify.sanitize(title || 'No title')}"><h4>${DOMPurify.sanitize(title || 'Untitled')}</h4></a>
+              <a href="${url}" aria-label="Watch ${DOMPurify.sanitize(title || 'No title')}"><h4>${DOMPurify.sanitize(title || 'Untitled')}</h4></a>
               <span>${DOMPurify.sanitize(item.year || 'N/A')}</span>
             </div>
             <div class="footer">
-              <span class="rating-badge">${DOMPurify.sanitize(item.rating || 'N/A')}</span>
+              <span class="rating-badge">${DOMPurify.sanitize(formatRating(item.rating) || 'N/A')}</span>
               <div class="time-rating">
-                <span><i class="fa-regular fa-clock"></i> ${DOMPurify.sanitize(item.duration || 'N/A')}</span>
+                <span><i class="fa-regular fa-clock"></i> ${DOMPurify.sanitize(formatDuration(item.duration) || 'N/A')}</span>
               </div>
             </div>
             <div class="genres">${DOMPurify.sanitize(item.genres?.join(', ') || 'N/A')}</div>
@@ -238,13 +184,7 @@ const setupCarousel = (carouselId, items) => {
 };
 
 const setupRelatedContent = async (currentMovie, filePath) => {
-  const baseUrl = window.env?.API_BASE_URL || window.location.origin;
   try {
-    const data = await fetchWithRetry(`${baseUrl}/assets/data/movies.json`);
-    if (!Array.isArray(data)) {
-      throw new Error("Invalid data format: Expected an array");
-    }
-
     let relatedItems = [];
     let subtitleText = 'Explore';
     let titleText = 'Related Content';
@@ -257,6 +197,8 @@ const setupRelatedContent = async (currentMovie, filePath) => {
         relatedItems = season.episodes
           .filter(ep => ep.file_path !== decodeURIComponent(filePath))
           .map(ep => ({
+            id: currentMovie.id,
+            url: titleUrl(currentMovie, { season: season.season, episode: ep.episode }),
             title: ep.title,
             file_path: ep.file_path,
             poster: currentMovie.poster,
@@ -269,8 +211,11 @@ const setupRelatedContent = async (currentMovie, filePath) => {
           }));
       }
     } else {
-      relatedItems = data
-        .filter(item => item.id !== currentMovie.id && item.genres.some(g => currentMovie.genres.includes(g)))
+      // One top-rated query per genre, merged and re-ranked, stands in for "shares any genre"
+      const byGenre = await Promise.all((currentMovie.genres || []).map(genre => fetchTitles({ genre, sort: "rating", order: "desc", limit: 9 })));
+      const seen = new Set([currentMovie.id]);
+      relatedItems = byGenre.flatMap(({ items }) => items)
+        .filter(item => !seen.has(item.id) && seen.add(item.id))
         .sort((a, b) => parseFloat(b.rating) - parseFloat(a.rating))
         .slice(0, 8);
     }
@@ -288,9 +233,8 @@ const setupRelatedContent = async (currentMovie, filePath) => {
 };
 
 const loadMovieDetail = async () => {
-  const urlParams = new URLSearchParams(window.location.search);
-  const filePath = urlParams.get("file");
-  console.log("File path from URL:", filePath);
+  const route = parseTitlePath(window.location.pathname);
+  console.log("Title from URL:", route);
 
   const videoPopup = document.querySelector("#video-popup");
   const closePopupBtn = document.querySelector("#close-popup");
@@ -303,6 +247,9 @@ const loadMovieDetail = async () => {
   const unlockScreenBtn = document.querySelector("#unlock-screen");
   const autoplayCheckbox = document.querySelector("#autoplay");
   const subtitlesSelect = document.querySelector("#subtitles");
+  const qualitySelect = document.querySelector("#quality");
+  const qualityLabel = document.querySelector('label[for="quality"]');
+  const subtitlesLabel = document.querySelector('label[for="subtitles"]');
   const watchNowBtn = document.querySelector("#watch-now");
   const mkvHelp = document.querySelector("#mkv-help");
   const filterBtn = document.querySelector(".filter-btn");
@@ -324,8 +271,8 @@ const loadMovieDetail = async () => {
     episodeSelect: document.querySelector("#episode-select"),
   };
 
-  if (!filePath || filePath === "undefined" || !videoPopup || !closePopupBtn || !shareBtn || !settingsBtn || !settingsMenu || !playbackSpeed || !volumeSlider || !lockScreenBtn || !unlockScreenBtn || !autoplayCheckbox || !subtitlesSelect || !watchNowBtn || !mkvHelp || !filterBtn || !filterDropdown || !Object.values(elements).every(el => el)) {
-    console.error("Invalid file path or missing required elements for movie detail page");
+  if (!route || !videoPopup || !closePopupBtn || !shareBtn || !settingsBtn || !settingsMenu || !playbackSpeed || !volumeSlider || !lockScreenBtn || !unlockScreenBtn || !autoplayCheckbox || !subtitlesSelect || !subtitlesLabel || !qualitySelect || !qualityLabel || !watchNowBtn || !mkvHelp || !filterBtn || !filterDropdown || !Object.values(elements).every(el => el)) {
+    console.error("Invalid title URL or missing required elements for movie detail page");
     if (elements.title) {
       elements.title.textContent = "Error: Invalid Content";
       elements.description && (elements.description.textContent = "No valid content selected. Please go back and select a movie or series.");
@@ -351,20 +298,13 @@ const loadMovieDetail = async () => {
     }
   });
 
-  const baseUrl = window.env?.API_BASE_URL || window.location.origin;
   try {
-    const data = await fetchWithRetry(`${baseUrl}/assets/data/movies.json`);
-    if (!Array.isArray(data)) {
-      throw new Error("Invalid data format: Expected an array");
-    }
+    const movie = await fetchTitle(route.id);
+    const currentEpisode = movie?.seasons?.length ? findEpisode(movie, route) : null;
+    const filePath = currentEpisode?.file_path || movie?.file_path;
 
-    const movie = data.find(item => 
-      item.file_path === decodeURIComponent(filePath) || 
-      (item.seasons && item.seasons.some(season => season.episodes.some(ep => ep.file_path === decodeURIComponent(filePath))))
-    );
-
-    if (!movie) {
-      console.error("Movie not found for file path:", filePath);
+    if (!movie || !filePath) {
+      console.error("Title not found:", route);
       elements.title.textContent = "Movie not found.";
       elements.description.textContent = "The requested content could not be found.";
       videoPopup.setAttribute("hidden", "");
@@ -372,11 +312,184 @@ const loadMovieDetail = async () => {
       return;
     }
 
+    // Media is served by /stream through signed links, addressed by title id (and season/episode)
+    // rather than file path. The URLs are built by the server and not passed through DOMPurify,
+    // which would escape their &.
+    const mediaLinkFor = async (path, type = 'stream') => {
+      const decoded = decodeURIComponent(path);
+      const season = (movie.seasons || []).find(s => s.episodes.some(ep => ep.file_path === decoded));
+      const episode = season?.episodes.find(ep => ep.file_path === decoded);
+      try {
+        return await getMediaLinkInfo(movie.id, { type, episode: episode ? { season: season.season, episode: episode.episode } : null });
+      } catch (error) {
+        console.error(`Failed to get ${type} link:`, error);
+        return null;
+      }
+    };
+    const downloadUrlFor = async (path) => (await mediaLinkFor(path, 'download'))?.url || '#';
+
+    // Files the server has packaged play as adaptive HLS streams. Otherwise the stream link plays
+    // the original, or the server's prepared mp4 once the file has been converted; until then
+    // .mkv files are remuxed in the browser, once per page, and other files the server is still
+    // converting (link.prepared is false) resolve to { pending: true }. Resolves to a Video.js
+    // source, or null when there is nothing to play. Sources carry the seek-bar thumbnails track
+    // when the server has made one, and the subtitle tracks there are.
+    const transcoded = new Map();
+    const playableSourceFor = async (path) => {
+      const link = await mediaLinkFor(path);
+      if (link?.hls) return { type: 'application/x-mpegURL', src: link.hls, thumbnails: link.thumbnails, subtitles: link.subtitles };
+      if (!link || link.prepared !== false) {
+        return link ? { type: 'video/mp4', src: link.url, thumbnails: link.thumbnails, subtitles: link.subtitles } : null;
+      }
+      if (!isMkv(path)) return { pending: true, preparing: link.preparing };
+      if (!transcoded.has(path)) {
+        elements.description.textContent = link.preparing
+          ? "This file is still being prepared for streaming. Converting it in your browser meanwhile, please wait..."
+          : "Transcoding MKV file, please wait...";
+        transcoded.set(path, transcodeMkvToMp4(link.url));
+      }
+      const source = await transcoded.get(path);
+      if (!source) transcoded.delete(path);
+      return source ? { type: 'video/mp4', src: source, thumbnails: link.thumbnails, subtitles: link.subtitles } : null;
+    };
+
+    const showTranscodeFailure = async (path, kind) => {
+      console.warn("MKV transcoding failed");
+      elements.description.textContent = `This ${kind} (.mkv) could not be transcoded. Please download and play using VLC.`;
+      elements.download.href = await downloadUrlFor(path);
+      elements.download.removeAttribute("hidden");
+      mkvHelp.removeAttribute("hidden");
+      watchNowBtn.disabled = true;
+    };
+
+    // Explains why `source` from playableSourceFor cannot be played; false when it can
+    const reportUnplayable = async (path, source, kind) => {
+      if (source?.pending) {
+        elements.description.textContent = source.preparing
+          ? `This ${kind} is still being prepared for streaming. Please check back in a few minutes, or download it and play using VLC.`
+          : `This ${kind} has not been prepared for streaming yet. Please download and play using VLC.`;
+        elements.download.href = await downloadUrlFor(path);
+        elements.download.removeAttribute("hidden");
+        watchNowBtn.disabled = true;
+        return true;
+      }
+      if (!source && isMkv(path)) {
+        await showTranscodeFailure(path, kind);
+        return true;
+      }
+      return false;
+    };
+
+    // HLS renditions show up as quality levels. "Auto" leaves the choice to the player, which
+    // switches with the bandwidth; picking a height pins playback to that rendition.
+    const qualityLevels = videoPlayer.qualityLevels();
+    const updateQualityOptions = () => {
+      const levels = Array.from({ length: qualityLevels.length }, (_, i) => qualityLevels[i]);
+      const heights = [...new Set(levels.map(level => level.height).filter(Boolean))].sort((a, b) => b - a);
+      const current = levels[qualityLevels.selectedIndex]?.height;
+      const selected = heights.includes(parseInt(qualitySelect.value)) ? qualitySelect.value : "auto";
+      qualitySelect.innerHTML = `<option value="auto">Auto${current ? ` (${current}p)` : ""}</option>` +
+        heights.map(height => `<option value="${height}">${height}p</option>`).join("");
+      qualitySelect.value = selected;
+      qualitySelect.hidden = qualityLabel.hidden = heights.length < 2;
+    };
+    qualityLevels.on("addqualitylevel", updateQualityOptions);
+    qualityLevels.on("removequalitylevel", updateQualityOptions);
+    qualityLevels.on("change", updateQualityOptions);
+
+    qualitySelect.addEventListener("change", () => {
+      const height = parseInt(qualitySelect.value);
+      for (let i = 0; i < qualityLevels.length; i++) {
+        qualityLevels[i].enabled = !height || qualityLevels[i].height === height;
+      }
+      console.log("Quality set to:", qualitySelect.value);
+    });
+
+    // Seek-bar previews: the thumbnails track is a WebVTT file whose cues name a region of a
+    // sprite sheet (sprite_000.jpg#xywh=x,y,w,h). Hovering the progress bar shows the tile for
+    // the time under the pointer.
+    let thumbnailCues = [];
+    const thumbnailPreview = document.createElement("div");
+    thumbnailPreview.className = "vjs-thumbnail-preview";
+    thumbnailPreview.hidden = true;
+    const progressControl = videoPlayer.controlBar.progressControl;
+    progressControl.el().appendChild(thumbnailPreview);
+
+    const parseVttTime = (text) => text.split(":").reduce((total, part) => total * 60 + parseFloat(part), 0);
+    const loadThumbnails = async (url) => {
+      thumbnailCues = [];
+      if (!url) return;
+      try {
+        const response = await fetch(url);
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        const cues = (await response.text()).split(/\r?\n\r?\n/);
+        thumbnailCues = cues.map(cue => {
+          const match = cue.match(/([\d:.]+)\s+-->\s+([\d:.]+)\s*\n\s*(\S+)#xywh=(\d+),(\d+),(\d+),(\d+)/);
+          if (!match) return null;
+          const [, start, end, image, x, y, w, h] = match;
+          return { start: parseVttTime(start), end: parseVttTime(end), image: new URL(image, url).href, x, y, w: parseInt(w), h: parseInt(h) };
+        }).filter(Boolean);
+      } catch (error) {
+        console.warn("Failed to load seek-bar thumbnails:", error);
+      }
+    };
+
+    progressControl.on("mousemove", (event) => {
+      const duration = videoPlayer.duration();
+      const bar = progressControl.el().getBoundingClientRect();
+      const time = Math.min(Math.max((event.clientX - bar.left) / bar.width, 0), 1) * duration;
+      const cue = duration ? thumbnailCues.find(entry => time >= entry.start && time < entry.end) : null;
+      thumbnailPreview.hidden = !cue;
+      if (!cue) return;
+      Object.assign(thumbnailPreview.style, {
+        width: `${cue.w}px`,
+        height: `${cue.h}px`,
+        backgroundImage: `url("${cue.image}")`,
+        backgroundPosition: `-${cue.x}px -${cue.y}px`,
+        left: `${Math.min(Math.max(event.clientX - bar.left - cue.w / 2, 0), bar.width - cue.w)}px`
+      });
+    });
+    progressControl.on("mouseleave", () => { thumbnailPreview.hidden = true; });
+
+    // Subtitle tracks come with each source: uploaded ones and those extracted from the file. The
+    // menu lists the ones the current title or episode has, and the language picked last stays
+    // picked from one episode to the next where it exists.
+    let subtitleTracks = [];
+    let subtitleLanguage = "off";
+    const showSubtitles = (value) => {
+      subtitleTracks.forEach((trackEl, i) => {
+        trackEl.track.mode = String(i) === value ? "showing" : "disabled";
+      });
+    };
+    const loadSubtitles = (tracks = []) => {
+      subtitleTracks.forEach(trackEl => videoPlayer.removeRemoteTextTrack(trackEl));
+      subtitleTracks = tracks.map(track => videoPlayer.addRemoteTextTrack({
+        kind: "subtitles",
+        src: track.src,
+        srclang: track.language,
+        label: track.label
+      }, true));
+      subtitlesSelect.innerHTML = `<option value="off">Off</option>` + tracks.map((track, i) =>
+        `<option value="${i}">${DOMPurify.sanitize(track.label || track.language)}</option>`).join("");
+      const kept = tracks.findIndex(track => track.language === subtitleLanguage);
+      subtitlesSelect.value = kept === -1 ? "off" : String(kept);
+      subtitlesSelect.hidden = subtitlesLabel.hidden = !tracks.length;
+      showSubtitles(subtitlesSelect.value);
+    };
+
+    const playSource = (source) => {
+      videoPlayer.src(source ? { type: source.type, src: source.src } : []);
+      loadThumbnails(source?.thumbnails);
+      loadSubtitles(source?.subtitles);
+      qualitySelect.value = "auto";
+      updateQualityOptions();
+    };
+
     document.querySelector('.movie-detail').style.backgroundImage = `linear-gradient(rgba(0, 0, 0, 0.7), rgba(0, 0, 0, 0.7)), url(${DOMPurify.sanitize(movie.poster || '/assets/images/movie-detail-bg.webp')})`;
     elements.poster.src = DOMPurify.sanitize(movie.poster || "/assets/images/logo2.svg");
     elements.poster.alt = DOMPurify.sanitize(movie.title || "No title");
     elements.title.textContent = DOMPurify.sanitize(movie.title || "Untitled");
-    elements.rating.textContent = DOMPurify.sanitize(movie.rating || "N/A");
+    elements.rating.textContent = DOMPurify.sanitize(formatRating(movie.rating) || "N/A");
     elements.resolution.textContent = DOMPurify.sanitize(movie.resolution || "N/A");
     elements.year.textContent = DOMPurify.sanitize(movie.year || "Unknown");
     elements.description.textContent = DOMPurify.sanitize(movie.description || "No description available.");
@@ -393,22 +506,10 @@ const loadMovieDetail = async () => {
 
     const showVideo = async () => {
       console.log("showVideo called");
-      let videoSrc = filePath;
-      if (filePath.endsWith('.mkv')) {
-        elements.description.textContent = "Transcoding MKV file, please wait...";
-        videoSrc = await transcodeMkvToMp4(filePath);
-        if (!videoSrc) {
-          console.warn("MKV transcoding failed");
-          elements.description.textContent = "This video (.mkv) could not be transcoded. Please download and play using VLC.";
-          elements.download.href = DOMPurify.sanitize(filePath);
-          elements.download.removeAttribute("hidden");
-          mkvHelp.removeAttribute("hidden");
-          watchNowBtn.disabled = true;
-          return;
-        }
-      }
+      const source = await playableSourceFor(filePath);
+      if (await reportUnplayable(filePath, source, "video")) return;
 
-      videoPlayer.src({ type: 'video/mp4', src: DOMPurify.sanitize(videoSrc) });
+      playSource(source);
       videoPopup.removeAttribute("hidden");
       videoPlayer.play().catch(error => {
         console.warn("Playback error:", error);
@@ -465,13 +566,10 @@ const loadMovieDetail = async () => {
 
     subtitlesSelect.addEventListener("change", () => {
       console.log("Subtitles set to:", subtitlesSelect.value);
-      const tracks = videoPlayer.textTracks();
-      for (let i = 0; i < tracks.length; i++) {
-        tracks[i].mode = tracks[i].language === subtitlesSelect.value ? 'showing' : 'disabled';
-      }
+      subtitleLanguage = subtitleTracks[parseInt(subtitlesSelect.value)]?.track.language || "off";
+      showSubtitles(subtitlesSelect.value);
     });
 
-    const isMkv = filePath.endsWith('.mkv');
     if (movie.category === "tv-series" && movie.seasons) {
       elements.seasonEpisodeSelection.removeAttribute("hidden");
       elements.episodes.textContent = `Series • ${movie.seasons.length} Season${movie.seasons.length > 1 ? "s" : ""}`;
@@ -492,26 +590,15 @@ const loadMovieDetail = async () => {
         ).join("");
 
         const selectedEpisode = season.episodes.find(ep => ep.file_path === decodeURIComponent(filePath)) || season.episodes[0];
-        let videoSrc = selectedEpisode.file_path;
-        if (selectedEpisode.file_path.endsWith('.mkv')) {
-          elements.description.textContent = "Transcoding MKV file, please wait...";
-          videoSrc = await transcodeMkvToMp4(selectedEpisode.file_path);
-          if (!videoSrc) {
-            console.warn("MKV transcoding failed");
-            elements.description.textContent = "This episode (.mkv) could not be transcoded. Please download and play using VLC.";
-            elements.download.href = DOMPurify.sanitize(selectedEpisode.file_path);
-            elements.download.removeAttribute("hidden");
-            mkvHelp.removeAttribute("hidden");
-            watchNowBtn.disabled = true;
-            return;
-          }
-        }
+        const source = await playableSourceFor(selectedEpisode.file_path);
+        if (await reportUnplayable(selectedEpisode.file_path, source, "episode")) return;
 
-        videoPlayer.src({ type: 'video/mp4', src: DOMPurify.sanitize(videoSrc) });
-        elements.duration.textContent = DOMPurify.sanitize(selectedEpisode.duration || "N/A");
-        elements.download.href = DOMPurify.sanitize(selectedEpisode.file_path);
+        playSource(source);
+        elements.duration.textContent = DOMPurify.sanitize(formatDuration(selectedEpisode.duration) || "N/A");
+        elements.download.href = await downloadUrlFor(selectedEpisode.file_path);
         videoPlayer.load();
         watchNowBtn.disabled = false;
+        window.history.replaceState(null, '', titleUrl(movie, { season: season.season, episode: selectedEpisode.episode }));
       };
 
       updateEpisodes();
@@ -520,65 +607,42 @@ const loadMovieDetail = async () => {
       elements.episodeSelect.addEventListener("change", async () => {
         const selectedOption = elements.episodeSelect.options[elements.episodeSelect.selectedIndex];
         const epFilePath = selectedOption.dataset.file;
-        let videoSrc = epFilePath;
-        if (epFilePath.endsWith('.mkv')) {
-          elements.description.textContent = "Transcoding MKV file, please wait...";
-          videoSrc = await transcodeMkvToMp4(epFilePath);
-          if (!videoSrc) {
-            console.warn("MKV transcoding failed");
-            elements.description.textContent = "This episode (.mkv) could not be transcoded. Please download and play using VLC.";
-            elements.download.href = DOMPurify.sanitize(epFilePath);
-            elements.download.removeAttribute("hidden");
-            mkvHelp.removeAttribute("hidden");
-            watchNowBtn.disabled = true;
-            return;
-          }
-        }
+        const source = await playableSourceFor(epFilePath);
+        if (await reportUnplayable(epFilePath, source, "episode")) return;
 
-        videoPlayer.src({ type: 'video/mp4', src: DOMPurify.sanitize(videoSrc) });
+        playSource(source);
         const selectedSeason = parseInt(elements.seasonSelect.value);
         const episodeData = movie.seasons
           .find(s => s.season === selectedSeason)
           .episodes.find(ep => ep.episode === parseInt(elements.episodeSelect.value));
-        elements.duration.textContent = DOMPurify.sanitize(episodeData.duration || "N/A");
-        elements.download.href = DOMPurify.sanitize(epFilePath);
+        elements.duration.textContent = DOMPurify.sanitize(formatDuration(episodeData.duration) || "N/A");
+        elements.download.href = await downloadUrlFor(epFilePath);
         videoPlayer.load();
         watchNowBtn.disabled = false;
-        window.history.replaceState(null, '', `movie-detail.html?file=${encodeURIComponent(epFilePath)}`);
+        window.history.replaceState(null, '', titleUrl(movie, { season: selectedSeason, episode: episodeData.episode }));
       });
 
       watchNowBtn.addEventListener("click", showVideo);
     } else {
+      window.history.replaceState(null, '', titleUrl(movie));
       elements.seasonEpisodeSelection.setAttribute("hidden", "");
       elements.episodes.textContent = movie.category === "movie" ? "Movie" : movie.category === "music" ? "Music" : "Series";
-      let videoSrc = filePath;
-      if (isMkv) {
-        elements.description.textContent = "Transcoding MKV file, please wait...";
-        videoSrc = await transcodeMkvToMp4(filePath);
-        if (!videoSrc) {
-          console.warn("MKV transcoding failed");
-          elements.description.textContent = "This video (.mkv) could not be transcoded. Please download and play using VLC.";
-          elements.download.href = DOMPurify.sanitize(filePath);
-          elements.download.removeAttribute("hidden");
-          mkvHelp.removeAttribute("hidden");
-          watchNowBtn.disabled = true;
-          return;
-        }
-      }
+      const source = await playableSourceFor(filePath);
+      if (await reportUnplayable(filePath, source, "video")) return;
 
-      videoPlayer.src({ type: 'video/mp4', src: DOMPurify.sanitize(videoSrc || window.env?.FALLBACK_VIDEO_PATH || "/assets/video/fallback.mp4") });
+      playSource(source || { type: 'video/mp4', src: DOMPurify.sanitize(window.env?.FALLBACK_VIDEO_PATH || "/assets/video/fallback.mp4") });
       videoPlayer.load();
-      videoPlayer.on('error', (e) => {
+      videoPlayer.on('error', async (e) => {
         console.error("Video load error:", e);
         elements.description.textContent = "Failed to load video: The file may be corrupted or unsupported.";
         videoPlayer.src([]);
         watchNowBtn.disabled = true;
-        elements.download.href = DOMPurify.sanitize(filePath);
+        elements.download.href = await downloadUrlFor(filePath);
         elements.download.removeAttribute("hidden");
         mkvHelp.removeAttribute("hidden");
       });
-      elements.duration.textContent = DOMPurify.sanitize(movie.duration || "N/A");
-      elements.download.href = DOMPurify.sanitize(filePath);
+      elements.duration.textContent = DOMPurify.sanitize(formatDuration(movie.duration) || "N/A");
+      elements.download.href = await downloadUrlFor(filePath);
       watchNowBtn.disabled = false;
       watchNowBtn.addEventListener("click", showVideo);
     }
@@ -628,8 +692,8 @@ const initBackToTop = () => {
   });
 };
 
-document.addEventListener("DOMContentLoaded", () => {
-  if (!isTokenValid()) {
+document.addEventListener("DOMContentLoaded", async () => {
+  if (!(await ensureSession())) {
     handleUnauthorized();
     return;
   }
@@ -0,0 +1,89 @@
+let isSubmitting = false;
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const USERNAME_PATTERN = /^[a-zA-Z0-9_.-]{3,30}$/;
+
+function displayError(fieldId, message) {
+  const errorElement = document.getElementById(`${fieldId}-error`);
+  if (errorElement) {
+    errorElement.textContent = message;
+    errorElement.classList.toggle('hidden', !message);
+    if (message && fieldId !== 'general') {
+      document.getElementById(fieldId).focus();
+    }
+  }
+}
+
+function validateRegistration({ username, email, password, confirmPassword }) {
+  if (!USERNAME_PATTERN.test(username)) {
+    return { field: 'username', message: 'Username must be 3-30 letters, numbers, dots, dashes or underscores' };
+  }
+  if (!EMAIL_PATTERN.test(email)) return { field: 'email', message: 'Enter a valid email address' };
+  if (password.length < 6) return { field: 'password', message: 'Password must be at least 6 characters' };
+  if (password !== confirmPassword) return { field: 'confirm-password', message: 'Passwords do not match' };
+  return null;
+}
+
+async function handleRegister(event) {
+  event.preventDefault();
+  if (isSubmitting) return;
+  isSubmitting = true;
+
+  const loading = document.getElementById('loading');
+  const saveButton = document.querySelector('.save-btn');
+  document.querySelectorAll('.error-message').forEach(el => el.classList.add('hidden'));
+
+  const account = {
+    username: DOMPurify.sanitize(document.getElementById('username').value.trim()),
+    email: DOMPurify.sanitize(document.getElementById('email').value.trim()),
+    password: document.getElementById('password').value,
+    confirmPassword: document.getElementById('confirm-password').value
+  };
+  const validationError = validateRegistration(account);
+  if (validationError) {
+    displayError(validationError.field, validationError.message);
+    isSubmitting = false;
+    return;
+  }
+
+  loading.classList.remove('hidden');
+  saveButton.disabled = true;
+  try {
+    const response = await fetch(`${getApiBaseUrl()}/auth/register`, {
+      method: 'POST',
+      credentials: getAuthMode() === 'cookie' ? 'include' : 'same-origin',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ username: account.username, email: account.email, password: account.password, mode: getAuthMode() })
+    });
+    const data = await response.json();
+    if (!response.ok) throw new Error(data.error || `HTTP ${response.status}`);
+    saveSession(data);
+    console.log(`Registered and signed in as ${data.username}`);
+    window.location.href = '/index.html';
+  } catch (error) {
+    console.error('Registration error:', error);
+    displayError('general', error.message.startsWith('HTTP') ? 'Server error—try again later' : error.message);
+  } finally {
+    loading.classList.add('hidden');
+    saveButton.disabled = false;
+    isSubmitting = false;
+  }
+}
+
+function init() {
+  const form = document.getElementById('register-form');
+  if (!form) {
+    console.error('Register form not found');
+    return;
+  }
+
+  // Carry over the address typed into the "Join Now" box on the sign-in page
+  const prefilledEmail = new URLSearchParams(window.location.search).get('email');
+  if (prefilledEmail) {
+    document.getElementById('email').value = DOMPurify.sanitize(prefilledEmail);
+  }
+
+  form.addEventListener('submit', handleRegister);
+}
+
+document.addEventListener('DOMContentLoaded', init);
@@ -0,0 +1,137 @@
+// Navbar search: a search-as-you-type box backed by GET /api/search. initNavbar calls
+// initNavbarSearch on every page that has the main navbar.
+
+const SEARCH_RESULT_LIMIT = 8;
+
+const initNavbarSearch = () => {
+  const navList = document.querySelector(".navbar .nav-list");
+  if (!navList || navList.querySelector(".nav-search")) return;
+
+  const container = document.createElement("li");
+  container.className = "nav-search";
+  container.innerHTML = `
+    <form role="search" autocomplete="off">
+      <i class="fa-solid fa-magnifying-glass" aria-hidden="true"></i>
+      <input type="search" id="nav-search-input" placeholder="Search titles..." aria-label="Search titles"
+        role="combobox" aria-autocomplete="list" aria-expanded="false" aria-controls="nav-search-results">
+      <ul class="nav-search-results" id="nav-search-results" role="listbox" hidden></ul>
+    </form>
+  `;
+  navList.insertBefore(container, navList.querySelector(".dropdown") || navList.querySelector(".close"));
+
+  const form = container.querySelector("form");
+  const input = container.querySelector("input");
+  const results = container.querySelector(".nav-search-results");
+  let items = [];
+  let activeIndex = -1;
+  let latestRequest = 0;
+
+  const close = () => {
+    results.hidden = true;
+    input.setAttribute("aria-expanded", "false");
+    input.removeAttribute("aria-activedescendant");
+    activeIndex = -1;
+  };
+
+  const setActive = (index) => {
+    const options = results.querySelectorAll("[role='option']");
+    if (!options.length) return;
+    activeIndex = (index + options.length) % options.length;
+    options.forEach((option, i) => option.setAttribute("aria-selected", i === activeIndex ? "true" : "false"));
+    input.setAttribute("aria-activedescendant", options[activeIndex].id);
+    options[activeIndex].scrollIntoView({ block: "nearest" });
+  };
+
+  const render = (query) => {
+    results.innerHTML = "";
+    if (!items.length) {
+      const empty = document.createElement("li");
+      empty.className = "nav-search-empty";
+      empty.textContent = `No titles match "${query}"`;
+      results.appendChild(empty);
+    }
+    items.forEach((item, index) => {
+      const option = document.createElement("li");
+      option.id = `nav-search-option-${index}`;
+      option.setAttribute("role", "option");
+      option.setAttribute("aria-selected", "false");
+
+      const link = document.createElement("a");
+      link.href = titleUrl(item);
+      link.tabIndex = -1;
+      const poster = document.createElement("img");
+      poster.src = item.poster || "/assets/images/logo2.svg";
+      poster.alt = "";
+      poster.loading = "lazy";
+      poster.onerror = () => { poster.src = "/assets/images/logo2.svg"; };
+      const text = document.createElement("span");
+      const title = document.createElement("strong");
+      title.textContent = item.title || "Untitled";
+      const meta = document.createElement("small");
+      meta.textContent = [item.year, item.category === "tv-series" ? "Series" : item.category, item.genres?.slice(0, 2).join(", ")]
+        .filter(Boolean).join(" · ");
+      text.append(title, meta);
+      link.append(poster, text);
+      option.appendChild(link);
+      option.addEventListener("mousedown", (e) => e.preventDefault());
+      results.appendChild(option);
+    });
+    results.hidden = false;
+    input.setAttribute("aria-expanded", "true");
+    activeIndex = -1;
+  };
+
+  const search = debounce(async (query) => {
+    const requestId = ++latestRequest;
+    try {
+      const response = await fetchWithAuth(`${getApiBaseUrl()}/api/search?${new URLSearchParams({ q: query, limit: SEARCH_RESULT_LIMIT })}`);
+      if (response.status === 401) {
+        handleUnauthorized();
+        return;
+      }
+      if (!response.ok) throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+      const data = await response.json();
+      // Ignore responses that arrive after the user has typed something newer
+      if (requestId !== latestRequest || input.value.trim() !== query) return;
+      items = data.items || [];
+      render(query);
+    } catch (error) {
+      console.error("Search failed:", error);
+    }
+  }, 200);
+
+  input.addEventListener("input", () => {
+    const query = input.value.trim();
+    if (query.length < 2) {
+      latestRequest++;
+      items = [];
+      close();
+      return;
+    }
+    search(query);
+  });
+
+  input.addEventListener("keydown", (e) => {
+    if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+      if (results.hidden) return;
+      e.preventDefault();
+      setActive(activeIndex + (e.key === "ArrowDown" ? 1 : -1));
+    } else if (e.key === "Escape") {
+      close();
+    }
+  });
+
+  form.addEventListener("submit", (e) => {
+    e.preventDefault();
+    const item = items[activeIndex] || items[0];
+    if (item) window.location.href = titleUrl(item);
+  });
+
+  input.addEventListener("focus", () => {
+    if (items.length && input.value.trim().length >= 2) {
+      results.hidden = false;
+      input.setAttribute("aria-expanded", "true");
+    }
+  });
+  input.addEventListener("blur", close);
+};
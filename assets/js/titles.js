@@ -0,0 +1,81 @@
+// Title page URLs: /title/<id>-<slug> for a title and /title/<id>-<slug>/s<season>e<episode>
+// for an episode. The id is what identifies the title; the slug only makes links readable.
+// Mirrors slugify/titlePath in server.js. Also formats catalog fields for display and loads
+// titles from the catalog API (needs auth.js).
+
+const slugify = (text) => String(text || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+
+const titleUrl = (item, episode = null) => {
+  const slug = slugify(item.title);
+  const base = `/title/${encodeURIComponent(item.id)}${slug ? `-${slug}` : ''}`;
+  return episode ? `${base}/s${episode.season}e${episode.episode}` : base;
+};
+
+// Returns { id, season, episode } for a title page path, or null for any other path
+const parseTitlePath = (pathname) => {
+  const match = pathname.match(/^\/title\/(\d+)(?:-[^/]*)?(?:\/s(\d+)e(\d+))?\/?$/i);
+  if (!match) return null;
+  return {
+    id: parseInt(match[1]),
+    season: match[2] ? parseInt(match[2]) : null,
+    episode: match[3] ? parseInt(match[3]) : null
+  };
+};
+
+// Durations are stored in seconds; text from an older cached catalog is shown as it is
+const formatDuration = (duration) => {
+  if (typeof duration !== 'number') return duration || '';
+  const minutes = Math.round(duration / 60);
+  return minutes >= 60 ? `${Math.floor(minutes / 60)}h ${minutes % 60}m` : `${minutes} min`;
+};
+
+const formatRating = (rating) => (typeof rating === 'number' ? rating.toFixed(1) : rating || '');
+
+// Duration inputs without a unit mean minutes; the server reads "92 min", "1h 32m" or "1:32:00"
+const withDurationUnit = (text) => (/^\d+$/.test(String(text || '').trim()) ? `${String(text).trim()} min` : text || '');
+
+// Catalog API requests. Responses are not cached: listings are paged and filtered per request,
+// and a title page must show edits, subtitles and episodes as soon as they are saved.
+const fetchWithRetry = async (url, retries = 3, delay = 1000) => {
+  for (let i = 0; i < retries; i++) {
+    try {
+      const response = await fetchWithAuth(url);
+      if (response.status === 401) {
+        handleUnauthorized();
+        throw new Error('Unauthorized: Redirecting to login');
+      }
+      if (!response.ok) throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+      return await response.json();
+    } catch (error) {
+      console.error(`Fetch attempt ${i + 1} failed for ${url}:`, error);
+      if (i === retries - 1 || error.message.includes('Unauthorized')) throw error;
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+};
+
+// Queries the catalog API; params map onto GET /api/titles filters (category, genre, yearFrom,
+// yearTo, minRating, file, sort, order, limit, cursor)
+const fetchTitles = async (params = {}) => {
+  const baseUrl = window.env?.API_BASE_URL || window.location.origin;
+  const query = new URLSearchParams(Object.entries(params).filter(([, value]) => value !== undefined && value !== null && value !== ''));
+  const data = await fetchWithRetry(`${baseUrl}/api/titles?${query}`);
+  if (!Array.isArray(data?.items)) {
+    throw new Error("Invalid data format: Expected a list of titles");
+  }
+  return data;
+};
+
+const fetchTitle = async (id) => {
+  const baseUrl = window.env?.API_BASE_URL || window.location.origin;
+  try {
+    return await fetchWithRetry(`${baseUrl}/api/titles/${encodeURIComponent(id)}`, 1);
+  } catch (error) {
+    console.error(`Failed to load title ${id}:`, error);
+    return null;
+  }
+};
+
+// Earlier versions cached every API response in localStorage without ever removing one
+Object.keys(localStorage).filter(key => key.startsWith('movies_data_')).forEach(key => localStorage.removeItem(key));
@@ -0,0 +1,68 @@
+// Minimal RFC 4180 CSV reading and writing for catalog import/export.
+
+// Spreadsheet apps run cells that start with these characters as formulas, so exported cells get
+// a leading apostrophe, which parseCsv removes again
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+function escapeCell(value) {
+  let text = value === undefined || value === null ? '' : String(value);
+  if (FORMULA_PREFIX.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) || text !== text.trim() ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// rows: array of arrays of cells
+function toCsv(rows) {
+  return rows.map(row => row.map(escapeCell).join(',')).join('\r\n') + '\r\n';
+}
+
+// Returns an array of rows (arrays of strings). Quoted cells may contain commas, quotes ("")
+// and line breaks; blank lines are skipped.
+function parseCsv(text) {
+  const input = text.replace(/^\uFEFF/, '');
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  let i = 0;
+
+  const endCell = () => {
+    row.push(/^'[=+\-@\t\r]/.test(cell) ? cell.slice(1) : cell);
+    cell = '';
+  };
+  const endRow = () => {
+    endCell();
+    if (row.length > 1 || row[0] !== '') rows.push(row);
+    row = [];
+  };
+
+  while (i < input.length) {
+    const char = input[i];
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i += 2;
+        continue;
+      }
+      if (char === '"') quoted = false;
+      else cell += char;
+      i++;
+      continue;
+    }
+    if (char === '"' && cell === '') {
+      quoted = true;
+    } else if (char === ',') {
+      endCell();
+    } else if (char === '\r' || char === '\n') {
+      endRow();
+      if (char === '\r' && input[i + 1] === '\n') i++;
+    } else {
+      cell += char;
+    }
+    i++;
+  }
+  if (quoted) throw new Error('Unterminated quoted field');
+  if (cell !== '' || row.length) endRow();
+  return rows;
+}
+
+module.exports = { parseCsv, toCsv };
@@ -0,0 +1,311 @@
+// Runs the local ffmpeg binary (FFMPEG_PATH, default "ffmpeg" on the PATH) for media preparation
+// jobs, and ffprobe (FFPROBE_PATH) to read what an upload contains. Progress is read from
+// `-progress pipe:1`; the last lines ffmpeg logged end up in the error when it fails.
+const { spawn } = require('child_process');
+const fs = require('fs').promises;
+const path = require('path');
+
+const STDERR_LINES = 20;
+const PROBE_TIMEOUT = 30 * 1000;
+
+const parseTimestamp = (text) => text.split(':').reduce((total, part) => total * 60 + parseFloat(part), 0);
+
+// Resolves to { duration } once ffmpeg exits cleanly. `duration` (seconds) turns its position
+// into a 0-100 `onProgress`; without it the duration ffmpeg reports for the first input is used,
+// and resolved. Aborting `signal` stops ffmpeg.
+function runFfmpeg(args, { ffmpegPath = 'ffmpeg', duration, onProgress, signal } = {}) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(ffmpegPath, ['-hide_banner', '-nostdin', '-y', '-nostats', '-progress', 'pipe:1', ...args], {
+      stdio: ['ignore', 'pipe', 'pipe'],
+      signal
+    });
+    let total = duration;
+    let stderr = [];
+    let stdoutRest = '';
+
+    child.stdout.on('data', chunk => {
+      const lines = (stdoutRest + chunk).split('\n');
+      stdoutRest = lines.pop();
+      lines.forEach(line => {
+        const [key, value] = line.trim().split('=');
+        if ((key === 'out_time_us' || key === 'out_time_ms') && total && onProgress) {
+          const seconds = parseInt(value, 10) / 1e6;
+          if (seconds >= 0) onProgress(Math.min(99, Math.floor(seconds / total * 100)));
+        }
+      });
+    });
+    child.stderr.on('data', chunk => {
+      const text = chunk.toString();
+      const reported = text.match(/Duration: (\d+:\d{2}:\d{2}(?:\.\d+)?)/);
+      if (!total && reported) total = parseTimestamp(reported[1]);
+      stderr = [...stderr, ...text.split('\n').filter(line => line.trim())].slice(-STDERR_LINES);
+    });
+
+    child.on('error', error => {
+      if (error.name === 'AbortError') return reject(Object.assign(new Error('Cancelled'), { code: 'ABORT_ERR' }));
+      if (error.code === 'ENOENT') {
+        return reject(Object.assign(new Error(`ffmpeg was not found at "${ffmpegPath}"; install it or set FFMPEG_PATH`), { code: 'ENOENT' }));
+      }
+      reject(error);
+    });
+    child.on('close', code => {
+      if (code === 0) {
+        if (onProgress) onProgress(100);
+        return resolve({ duration: total });
+      }
+      if (signal?.aborted) return;
+      reject(new Error(`ffmpeg exited with code ${code}: ${stderr.slice(-3).join(' | ') || 'no output'}`));
+    });
+  });
+}
+
+// Checks that ffmpeg (or ffprobe, which takes the same flag) runs at all; resolves to its version
+// line, or null
+function ffmpegVersion(ffmpegPath = 'ffmpeg') {
+  return new Promise(resolve => {
+    const child = spawn(ffmpegPath, ['-version'], { stdio: ['ignore', 'pipe', 'ignore'] });
+    let output = '';
+    child.stdout.on('data', chunk => { output += chunk; });
+    child.on('error', () => resolve(null));
+    child.on('close', code => resolve(code === 0 ? output.split('\n')[0] : null));
+  });
+}
+
+const toInteger = (value) => {
+  const number = Math.round(parseFloat(value));
+  return Number.isFinite(number) ? number : undefined;
+};
+
+// The parts of ffprobe's report the catalog keeps. Cover art in audio files shows up as a video
+// stream and is skipped. Subtitle tracks keep their stream index, which extractSubtitles takes.
+function summarizeProbe({ format = {}, streams = [] }) {
+  const video = streams.find(stream => stream.codec_type === 'video' && !stream.disposition?.attached_pic);
+  return {
+    container: format.format_name,
+    duration: toInteger(format.duration ?? video?.duration),
+    bitrate: toInteger(format.bit_rate),
+    width: video?.width,
+    height: video?.height,
+    videoCodec: video?.codec_name,
+    audioTracks: streams.filter(stream => stream.codec_type === 'audio').map(stream => ({
+      codec: stream.codec_name,
+      channels: stream.channels,
+      language: stream.tags?.language
+    })),
+    subtitleTracks: streams.filter(stream => stream.codec_type === 'subtitle').map(stream => ({
+      index: stream.index,
+      codec: stream.codec_name,
+      language: stream.tags?.language,
+      title: stream.tags?.title
+    }))
+  };
+}
+
+// Resolves to { container, duration (seconds), bitrate (bit/s), width, height, videoCodec,
+// audioTracks: [{ codec, channels, language }], subtitleTracks: [{ index, codec, language, title }] };
+// fields ffprobe does not report are undefined
+function probeMedia(input, { ffprobePath = 'ffprobe' } = {}) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(ffprobePath, ['-v', 'error', '-print_format', 'json', '-show_format', '-show_streams', input], {
+      stdio: ['ignore', 'pipe', 'pipe'],
+      timeout: PROBE_TIMEOUT
+    });
+    let output = '';
+    let stderr = '';
+    child.stdout.on('data', chunk => { output += chunk; });
+    child.stderr.on('data', chunk => { stderr += chunk; });
+    child.on('error', error => {
+      if (error.code === 'ENOENT') {
+        return reject(Object.assign(new Error(`ffprobe was not found at "${ffprobePath}"; install it or set FFPROBE_PATH`), { code: 'ENOENT' }));
+      }
+      reject(error);
+    });
+    child.on('close', (code, signal) => {
+      if (code !== 0) {
+        const reason = signal ? `was stopped (${signal})` : `exited with code ${code}`;
+        return reject(new Error(`ffprobe ${reason}: ${stderr.trim().split('\n').pop() || 'no output'}`));
+      }
+      try {
+        resolve(summarizeProbe(JSON.parse(output)));
+      } catch (error) {
+        reject(new Error(`ffprobe printed unreadable output: ${error.message}`));
+      }
+    });
+  });
+}
+
+// Writes to a temp file beside `output` and renames it into place, so a player never picks up a
+// half-written file
+async function writeOutput(output, write) {
+  await fs.mkdir(path.dirname(output), { recursive: true });
+  const tempFile = `${output}.${process.pid}.${Date.now()}.tmp${path.extname(output)}`;
+  try {
+    await write(tempFile);
+    await fs.rename(tempFile, output);
+  } catch (error) {
+    await fs.unlink(tempFile).catch(() => {});
+    throw error;
+  }
+}
+
+// The folder-sized counterpart of writeOutput: `build(tempDir)` fills a folder beside
+// `outputDir`, which then replaces `outputDir` as a whole
+async function writeOutputDir(outputDir, build) {
+  const tempDir = `${outputDir}.${process.pid}.${Date.now()}.tmp`;
+  try {
+    const result = await build(tempDir);
+    await fs.rm(outputDir, { recursive: true, force: true });
+    await fs.rename(tempDir, outputDir);
+    return result;
+  } catch (error) {
+    await fs.rm(tempDir, { recursive: true, force: true }).catch(() => {});
+    throw error;
+  }
+}
+
+// An mp4 every browser plays: the first video and audio streams, AAC audio, and the index at the
+// front so playback starts before the whole file has loaded. The video is copied when the mp4
+// container can hold it, as the browser remux did, and encoded to H.264 otherwise or when
+// `encode` is set (for codecs that fit in mp4 but that browsers cannot decode, like HEVC).
+function convertToMp4(input, output, { encode = false, ...options } = {}) {
+  const streams = ['-i', input, '-map', '0:v:0', '-map', '0:a:0?', '-sn', '-dn'];
+  const audio = ['-c:a', 'aac', '-b:a', '192k', '-ac', '2'];
+  const mp4 = ['-movflags', '+faststart', '-f', 'mp4'];
+  return writeOutput(output, async (tempFile) => {
+    if (!encode) {
+      try {
+        return await runFfmpeg([...streams, '-c:v', 'copy', ...audio, ...mp4, tempFile], options);
+      } catch (error) {
+        if (error.code === 'ABORT_ERR' || error.code === 'ENOENT') throw error;
+      }
+    }
+    await runFfmpeg([...streams, '-c:v', 'libx264', '-preset', 'veryfast', '-crf', '23', '-pix_fmt', 'yuv420p', ...audio, ...mp4, tempFile], options);
+  });
+}
+
+// Video bitrates (kbit/s) for the rendition heights HLS packaging knows; every rendition also
+// carries the first audio stream as 128k stereo AAC
+const HLS_BITRATES = { 1080: 5000, 720: 2800, 480: 1400, 360: 800, 240: 400 };
+const HLS_SEGMENT_SECONDS = 6;
+
+const hlsArgs = (input, dir, heights, audio) => {
+  const split = `[0:v:0]split=${heights.length}${heights.map((h, i) => `[s${i}]`).join('')}`;
+  const scales = heights.map((height, i) => `[s${i}]scale=-2:${height}[v${i}]`);
+  return [
+    '-i', input, '-filter_complex', [split, ...scales].join(';'),
+    ...heights.flatMap((height, i) => [
+      '-map', `[v${i}]`,
+      ...(audio ? ['-map', '0:a:0'] : []),
+      `-b:v:${i}`, `${HLS_BITRATES[height]}k`,
+      `-maxrate:v:${i}`, `${Math.round(HLS_BITRATES[height] * 1.07)}k`,
+      `-bufsize:v:${i}`, `${HLS_BITRATES[height] * 1.5}k`
+    ]),
+    '-c:v', 'libx264', '-preset', 'veryfast', '-profile:v', 'main', '-pix_fmt', 'yuv420p',
+    // Keyframes on segment boundaries keep the renditions switchable at every segment
+    '-sc_threshold', '0', '-force_key_frames', `expr:gte(t,n_forced*${HLS_SEGMENT_SECONDS})`,
+    ...(audio ? ['-c:a', 'aac', '-b:a', '128k', '-ac', '2'] : []),
+    '-sn', '-dn',
+    '-f', 'hls', '-hls_time', String(HLS_SEGMENT_SECONDS), '-hls_playlist_type', 'vod',
+    '-hls_flags', 'independent_segments',
+    '-hls_segment_filename', path.join(dir, '%v', 'seg_%04d.ts'),
+    '-master_pl_name', 'master.m3u8',
+    '-var_stream_map', heights.map((height, i) => `v:${i}${audio ? `,a:${i}` : ''},name:${height}p`).join(' '),
+    path.join(dir, '%v', 'index.m3u8')
+  ];
+};
+
+// Encodes one rendition per height in `heights` (keys of HLS_BITRATES) into `outputDir`:
+// master.m3u8 plus a <height>p/ folder of segments and a playlist each, swapped in when ffmpeg is
+// done. Sources without audio are packaged video-only. Resolves to the rendition names.
+function packageHls(input, outputDir, { heights, ...options }) {
+  if (!heights?.length || heights.some(height => !HLS_BITRATES[height])) {
+    return Promise.reject(new Error(`HLS renditions must be among ${Object.keys(HLS_BITRATES).join(', ')}`));
+  }
+  return writeOutputDir(outputDir, async (tempDir) => {
+    const prepare = async () => {
+      await fs.rm(tempDir, { recursive: true, force: true });
+      await Promise.all(heights.map(height => fs.mkdir(path.join(tempDir, `${height}p`), { recursive: true })));
+    };
+    await prepare();
+    try {
+      await runFfmpeg(hlsArgs(input, tempDir, heights, true), options);
+    } catch (error) {
+      if (error.code === 'ABORT_ERR' || error.code === 'ENOENT') throw error;
+      await prepare();
+      await runFfmpeg(hlsArgs(input, tempDir, heights, false), options);
+    }
+    return heights.map(height => `${height}p`);
+  });
+}
+
+// A representative frame as a JPEG poster, at most 720 pixels high. ffmpeg's thumbnail filter
+// picks the most typical of the 100 frames from `at` seconds on, which passes over fades and
+// black frames.
+function extractPoster(input, output, { at = 0, ...options } = {}) {
+  return writeOutput(output, tempFile => runFfmpeg([
+    '-ss', String(at), '-i', input,
+    '-vf', "thumbnail=100,scale=-2:'min(720,ih)'",
+    '-frames:v', '1', '-q:v', '3', '-f', 'image2', tempFile
+  ], options));
+}
+
+const vttTimestamp = (seconds) => new Date(Math.round(seconds * 1000)).toISOString().slice(11, 23);
+
+// Seek-bar previews: a frame every `interval` seconds, fitted into width x height tiles and laid
+// out `columns` x `rows` to a sheet (sprite_000.jpg, sprite_001.jpg, ...), plus thumbnails.vtt,
+// whose cues point each time range at its tile with a #xywh= fragment. Resolves to the number
+// of tiles.
+function buildThumbnails(input, outputDir, { interval = 10, width = 160, height = 90, columns = 10, rows = 10, ...options } = {}) {
+  return writeOutputDir(outputDir, async (tempDir) => {
+    await fs.mkdir(tempDir, { recursive: true });
+    const fit = `scale=${width}:${height}:force_original_aspect_ratio=decrease,pad=${width}:${height}:(ow-iw)/2:(oh-ih)/2`;
+    const { duration } = await runFfmpeg([
+      '-i', input, '-an', '-sn', '-dn',
+      '-vf', `fps=1/${interval},${fit},tile=${columns}x${rows}`,
+      '-q:v', '5', '-start_number', '0', '-f', 'image2', path.join(tempDir, 'sprite_%03d.jpg')
+    ], options);
+
+    const sheets = (await fs.readdir(tempDir)).filter(name => /^sprite_\d+\.jpg$/.test(name)).sort();
+    const perSheet = columns * rows;
+    const tiles = Math.min(sheets.length * perSheet, duration ? Math.ceil(duration / interval) : Infinity);
+    const cues = Array.from({ length: tiles }, (_, i) => {
+      const tile = i % perSheet;
+      const start = i * interval;
+      const end = duration ? Math.min(start + interval, duration) : start + interval;
+      const xywh = [(tile % columns) * width, Math.floor(tile / columns) * height, width, height].join(',');
+      return `${vttTimestamp(start)} --> ${vttTimestamp(end)}\n${sheets[Math.floor(i / perSheet)]}#xywh=${xywh}`;
+    });
+    await fs.writeFile(path.join(tempDir, 'thumbnails.vtt'), ['WEBVTT', ...cues].join('\n\n') + '\n');
+    return tiles;
+  });
+}
+
+// Text subtitle streams (SubRip, ASS, mov_text...) converted to WebVTT, one track_<index>.vtt per
+// stream index in `indexes`, in a single pass over the file. Styling ffmpeg cannot carry over to
+// WebVTT is dropped. Resolves to the file names.
+function extractSubtitles(input, outputDir, { indexes, ...options }) {
+  if (!indexes?.length) return Promise.reject(new Error('No subtitle streams to extract'));
+  return writeOutputDir(outputDir, async (tempDir) => {
+    await fs.mkdir(tempDir, { recursive: true });
+    const files = indexes.map(index => `track_${index}.vtt`);
+    await runFfmpeg([
+      '-i', input,
+      ...indexes.flatMap((index, i) => ['-map', `0:${index}`, '-c:s', 'webvtt', '-f', 'webvtt', path.join(tempDir, files[i])])
+    ], options);
+    return files;
+  });
+}
+
+module.exports = {
+  runFfmpeg,
+  ffmpegVersion,
+  probeMedia,
+  writeOutput,
+  writeOutputDir,
+  convertToMp4,
+  packageHls,
+  extractPoster,
+  buildThumbnails,
+  extractSubtitles,
+  HLS_BITRATES
+};
@@ -0,0 +1,118 @@
+// Bulk catalog import: reading CSV and JSON files into rows and planning what each row does to
+// the catalog, so a dry run can report it before anything is written. CSV carries the flat
+// metadata columns below; JSON is the catalog format itself, so it also round-trips series seasons.
+const { parseCsv } = require('./csv');
+const { validateMovie, validateEpisode } = require('./schema');
+const { diffFields } = require('./storage');
+
+const CATALOG_COLUMNS = ['id', 'title', 'category', 'year', 'rating', 'duration', 'resolution', 'genres', 'description', 'file_path', 'poster'];
+
+// Rows as objects keyed by column; a JSON entry that is not an object becomes null
+function parseImportRows(text, format) {
+  if (format === 'json') {
+    const data = JSON.parse(text);
+    if (!Array.isArray(data)) throw new Error('expected an array of titles');
+    return data.map(row => (row && typeof row === 'object' && !Array.isArray(row) ? row : null));
+  }
+  const [header, ...lines] = parseCsv(text);
+  if (!header) throw new Error('the file is empty');
+  const columns = header.map(column => column.trim().toLowerCase());
+  const unknown = columns.filter(column => !CATALOG_COLUMNS.includes(column));
+  if (unknown.length) throw new Error(`unknown column${unknown.length > 1 ? 's' : ''}: ${unknown.join(', ')}`);
+  if (!columns.includes('id') && !columns.includes('title')) throw new Error('an id or title column is required');
+  return lines.map(cells => Object.fromEntries(columns.map((column, i) => [column, cells[i] ?? ''])));
+}
+
+function validateSeasons(seasons) {
+  if (!Array.isArray(seasons)) throw new Error('seasons must be an array');
+  const seasonNumbers = new Set();
+  return seasons.map(season => {
+    const number = Number(season?.season);
+    if (!Number.isInteger(number) || number < 1 || seasonNumbers.has(number)) {
+      throw new Error('Each season needs a unique, positive season number');
+    }
+    seasonNumbers.add(number);
+    const episodeNumbers = new Set();
+    const episodes = (season.episodes || []).map(ep => {
+      const episode = validateEpisode({
+        episode: ep?.episode,
+        title: String(ep?.title ?? ''),
+        file_path: ep?.file_path ? String(ep.file_path) : '',
+        duration: ep?.duration ?? ''
+      });
+      if (episodeNumbers.has(episode.episode)) throw new Error(`Season ${number} lists episode ${episode.episode} twice`);
+      episodeNumbers.add(episode.episode);
+      return episode;
+    });
+    return { season: number, episodes };
+  });
+}
+
+// Works out what each row would do without writing anything. A row updates the title with its
+// id, or else the one title with the same name, and creates a new title when neither matches.
+// Columns left out of the file keep their current values on update. resolvePath maps a
+// file_path onto a media file, or returns null for paths outside the media folders.
+async function planImport(rows, movies, { resolvePath }) {
+  const matchedBy = new Map();
+  const plan = [];
+  for (const [index, row] of rows.entries()) {
+    const entry = { row: index + 1, title: row?.title ? String(row.title) : '' };
+    try {
+      if (!row) throw new Error('Each entry must be an object');
+      let existing = null;
+      if (row.id !== undefined && row.id !== '') {
+        const id = Number(row.id);
+        if (!Number.isInteger(id)) throw new Error('id must be a whole number');
+        existing = movies.find(m => m.id === id);
+        if (!existing) throw new Error(`No title with id ${id}`);
+      } else if (row.title) {
+        const name = String(row.title).trim().toLowerCase();
+        const matches = movies.filter(m => (m.title || '').trim().toLowerCase() === name);
+        if (matches.length > 1) throw new Error(`Matches ${matches.length} titles with this name; add an id to choose one`);
+        existing = matches[0] || null;
+      }
+      if (existing && matchedBy.has(existing.id)) {
+        throw new Error(`Updates the same title (id ${existing.id}) as row ${matchedBy.get(existing.id)}`);
+      }
+
+      const { id, seasons, ...current } = existing || {};
+      const fields = { ...current };
+      CATALOG_COLUMNS.filter(column => column !== 'id' && row[column] !== undefined).forEach(column => {
+        const value = row[column];
+        fields[column] = Array.isArray(value) || typeof value === 'number' ? value : String(value ?? '').trim();
+      });
+      const movie = validateMovie(fields);
+      if (movie.file_path && !resolvePath(movie.file_path)) throw new Error('file_path must point into a media folder');
+      if (movie.category === 'tv-series') {
+        movie.seasons = row.seasons !== undefined ? validateSeasons(row.seasons) : seasons || [];
+      }
+
+      entry.title = movie.title;
+      if (existing) {
+        entry.id = existing.id;
+        entry.action = Object.keys(diffFields(existing, { ...movie, id: existing.id })).length ? 'update' : 'unchanged';
+        matchedBy.set(existing.id, entry.row);
+      } else {
+        entry.action = 'create';
+      }
+      entry.movie = movie;
+    } catch (error) {
+      entry.action = 'error';
+      entry.error = error.message;
+    }
+    plan.push(entry);
+  }
+  return plan;
+}
+
+const importReport = (plan, dryRun) => ({
+  dryRun,
+  total: plan.length,
+  created: plan.filter(e => e.action === 'create').length,
+  updated: plan.filter(e => e.action === 'update').length,
+  unchanged: plan.filter(e => e.action === 'unchanged').length,
+  failed: plan.filter(e => e.action === 'error').length,
+  rows: plan.map(({ row, action, id = null, title, error }) => ({ row, action, id, title, ...(error ? { error } : {}) }))
+});
+
+module.exports = { CATALOG_COLUMNS, parseImportRows, planImport, importReport };
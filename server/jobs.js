@@ -0,0 +1,131 @@
+// Background jobs for media preparation (mp4 conversions, HLS packaging, thumbnails, subtitle
+// extraction and poster frames). Jobs run one at a time in the order they were queued, and the
+// list is saved to a JSON file so queued work survives a restart; a job that was running when the
+// server stopped is queued again. Finished jobs are kept as history, up to `historySize`.
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const { writeFileAtomic, createQueue } = require('./storage');
+
+const ACTIVE = ['queued', 'running'];
+
+// handlers: { [type]: async (job, { onProgress, signal }) => result }. A handler reports progress
+// as 0-100 and must stop when `signal` is aborted.
+function createJobQueue({ file, handlers, historySize = 200 }) {
+  const enqueueWrite = createQueue();
+  let jobs = [];
+  let running = null;
+
+  const save = () => enqueueWrite(async () => {
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await writeFileAtomic(file, JSON.stringify(jobs, null, 2));
+  }).catch(error => console.error('Failed to save jobs:', error));
+
+  const trimHistory = () => {
+    const finished = jobs.filter(job => !ACTIVE.includes(job.status));
+    const expired = new Set(finished.slice(0, Math.max(0, finished.length - historySize)));
+    if (expired.size) jobs = jobs.filter(job => !expired.has(job));
+  };
+
+  const finish = (job, status, fields = {}) => {
+    Object.assign(job, { status, finishedAt: new Date().toISOString() }, fields);
+    trimHistory();
+  };
+
+  async function runNext() {
+    if (running) return;
+    const job = jobs.find(entry => entry.status === 'queued');
+    if (!job) return;
+
+    const controller = new AbortController();
+    running = { job, controller };
+    Object.assign(job, { status: 'running', progress: 0, startedAt: new Date().toISOString(), error: undefined });
+    await save();
+    try {
+      const result = await handlers[job.type](job, {
+        onProgress: (progress) => { job.progress = progress; },
+        signal: controller.signal
+      });
+      finish(job, 'done', { progress: 100, result });
+      console.log(`Job ${job.id} (${job.type} ${job.label}) done`);
+    } catch (error) {
+      if (controller.signal.aborted) {
+        finish(job, 'cancelled');
+      } else {
+        finish(job, 'failed', { error: error.message });
+        console.error(`Job ${job.id} (${job.type} ${job.label}) failed:`, error.message);
+      }
+    }
+    running = null;
+    await save();
+    runNext();
+  }
+
+  // Queues a job unless one of the same type and key is already waiting or running; returns
+  // that one instead
+  async function enqueue(type, { key, label, params = {} }) {
+    if (!handlers[type]) throw new Error(`Unknown job type: ${type}`);
+    const existing = jobs.find(job => job.type === type && job.key === key && ACTIVE.includes(job.status));
+    if (existing) return existing;
+    const job = {
+      id: crypto.randomBytes(8).toString('hex'),
+      type,
+      key,
+      label,
+      params,
+      status: 'queued',
+      progress: 0,
+      createdAt: new Date().toISOString()
+    };
+    jobs.push(job);
+    await save();
+    runNext();
+    return job;
+  }
+
+  return {
+    // Loads saved jobs and starts working through the queue
+    async init() {
+      try {
+        jobs = JSON.parse(await fs.readFile(file, 'utf8'));
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+        jobs = [];
+      }
+      jobs.filter(job => job.status === 'running').forEach(job => {
+        Object.assign(job, { status: 'queued', progress: 0 });
+      });
+      runNext();
+    },
+
+    list: () => [...jobs].reverse(),
+    get: (id) => jobs.find(job => job.id === id) || null,
+
+    enqueue,
+
+    // Stops a running job or drops a queued one; returns false for finished jobs
+    async cancel(id) {
+      const job = jobs.find(entry => entry.id === id);
+      if (!job || !ACTIVE.includes(job.status)) return false;
+      if (running?.job === job) {
+        running.controller.abort();
+        return true;
+      }
+      finish(job, 'cancelled');
+      await save();
+      return true;
+    },
+
+    // Queues a failed or cancelled job again as a new job
+    async retry(id) {
+      const job = jobs.find(entry => entry.id === id);
+      if (!job || !['failed', 'cancelled'].includes(job.status)) return null;
+      return enqueue(job.type, job);
+    },
+
+    // Whether a job of `type` for `key` is waiting or running
+    isPending: (type, key) => jobs.some(job => job.type === type && job.key === key && ACTIVE.includes(job.status))
+  };
+}
+
+module.exports = { createJobQueue };
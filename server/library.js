@@ -0,0 +1,274 @@
+// Media library helpers: mapping catalog paths onto the hub folders, and scanning those folders
+// for files the catalog does not reference yet. The scan turns such files into draft entries
+// that an admin reviews and publishes (POST /admin/scan, or `node scan-library.js`).
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const { writeFileAtomic, createQueue } = require('./storage');
+
+const MEDIA_EXTENSIONS = new Set(['.mp4', '.m4v', '.mkv', '.webm', '.mov', '.avi', '.mp3', '.m4a', '.aac', '.wav', '.flac', '.ogg', '.opus']);
+
+// Release tags that say nothing about the title
+const NOISE_WORDS = /\b(?:blu-?ray|brrip|bdrip|web-?rip|web-?dl|hdrip|dvdrip|hdtv|x26[45]|h\.?26[45]|hevc|aac|ac3|yify|proper|repack|extended|unrated)\b/gi;
+const RESOLUTION = /\b(\d{3,4})p\b/i;
+const UHD = /\b4k\b/i;
+const YEAR = /\b((?:19|20)\d{2})\b/g;
+// S01E02, s1e2, 1x02
+const EPISODE_CODE = /\bs(\d{1,2})\s*e(\d{1,3})\b|\b(\d{1,2})x(\d{2,3})\b/i;
+// sn1, s01, season 1
+const SEASON_DIR = /^(?:sn?|season)\s*(\d{1,2})$/i;
+// ep1, e01, episode 1, optionally followed by the episode title
+const EPISODE_NAME = /^(?:ep?|episode)\s*(\d{1,3})(?:\s+(.*))?$/i;
+const LEADING_NUMBER = /^(\d{1,3})(?:\s+(.*))?$/;
+
+// Older catalog entries use these prefixes for the animation folder
+const LEGACY_MOUNTS = { animation: ['/hub/animation/'] };
+
+// [prefix, dir] pairs for the library roots, including the legacy prefixes
+function mediaMounts(roots) {
+  return roots.flatMap(root => [root.mount, ...(LEGACY_MOUNTS[root.category] || [])].map(mount => [mount, root.dir]));
+}
+
+const isInside = (file, dir) => file === dir || file.startsWith(dir + path.sep);
+
+// Catalog paths use the public /hub/<category> prefixes; `mounts` maps them onto directories.
+// Returns null for anything outside the mounts or inside one of the `excluded` directories
+// (the trash, prepared copies and posters can be configured to live under a media folder).
+function resolveMediaPath(filePath, mounts, excluded = []) {
+  if (!filePath) return null;
+  const [prefix, baseDir] = mounts.find(([mount]) => filePath.toLowerCase().startsWith(mount)) || [];
+  if (!baseDir) return null;
+  const resolved = path.resolve(baseDir, filePath.slice(prefix.length));
+  if (!resolved.startsWith(baseDir + path.sep)) return null;
+  return excluded.some(dir => dir && isInside(resolved, path.resolve(dir))) ? null : resolved;
+}
+
+// "Absolute_Deception_480P" -> "Absolute Deception"; tidies whatever is left once the
+// resolution, year and episode markers have been cut out
+const cleanTitle = (text) => text
+  .replace(NOISE_WORDS, ' ')
+  .replace(/[[\](){}]/g, ' ')
+  .replace(/\s+/g, ' ')
+  .replace(/^[\s-]+|[\s-]+$/g, '');
+
+// Reads what it can from one file or folder name: title, year, resolution and, for episodes,
+// season, episode and episode title. Missing parts are left undefined.
+function parseName(name) {
+  let text = ` ${name.replace(/[._]+/g, ' ')} `;
+  const info = {};
+
+  const resolution = text.match(RESOLUTION);
+  if (resolution) {
+    info.resolution = `${resolution[1]}p`;
+    text = text.replace(RESOLUTION, ' ');
+  } else if (UHD.test(text)) {
+    info.resolution = '2160p';
+    text = text.replace(UHD, ' ');
+  }
+
+  const code = text.match(EPISODE_CODE);
+  if (code) {
+    info.season = parseInt(code[1] || code[3], 10);
+    info.episode = parseInt(code[2] || code[4], 10);
+    info.episodeTitle = cleanTitle(text.slice(code.index + code[0].length)) || undefined;
+    text = text.slice(0, code.index);
+  }
+
+  // The last year after the title ends it ("Blade Runner 2049 2017 Extended"); a title that is
+  // only a year stays a title
+  const year = [...text.matchAll(YEAR)].reverse().find(match => cleanTitle(text.slice(0, match.index)));
+  if (year) {
+    info.year = year[1];
+    text = text.slice(0, year.index);
+  }
+
+  info.title = cleanTitle(text);
+  return info;
+}
+
+// Parses a path relative to a hub folder, with forward slashes. Series folders are expected to
+// look like `Show.2022/sn1/ep1.mkv` (or `Show/S01E01.mkv`, or `Show.S01E01.mkv` on its own).
+function parseMediaName(relativePath, { series = false } = {}) {
+  const segments = relativePath.split('/');
+  const fileName = segments.pop().replace(/\.[^.]+$/, '');
+  const file = parseName(fileName);
+  if (!series || !segments.length) return file;
+
+  const show = parseName(segments[0]);
+  const info = {
+    title: show.title,
+    year: show.year,
+    resolution: file.resolution || show.resolution,
+    season: file.season,
+    episode: file.episode,
+    episodeTitle: file.episodeTitle
+  };
+  segments.slice(1).forEach(segment => {
+    const season = segment.replace(/[._]+/g, ' ').trim().match(SEASON_DIR);
+    if (season && info.season === undefined) info.season = parseInt(season[1], 10);
+  });
+  if (info.episode === undefined) {
+    const name = fileName.replace(/[._]+/g, ' ').trim();
+    const episode = name.match(EPISODE_NAME) || name.match(LEADING_NUMBER);
+    if (episode) {
+      info.episode = parseInt(episode[1], 10);
+      info.episodeTitle = episode[2] ? cleanTitle(episode[2]) || undefined : undefined;
+    } else if (file.title && file.title !== show.title) {
+      info.episodeTitle = file.title;
+    }
+  }
+  return info;
+}
+
+// Every media file below `dir`, skipping hidden files and folders. A missing folder is empty.
+async function listMediaFiles(dir) {
+  let entries;
+  try {
+    entries = await fs.readdir(dir, { withFileTypes: true });
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+  const files = [];
+  for (const entry of entries.sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true }))) {
+    if (entry.name.startsWith('.')) continue;
+    const fullPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) files.push(...await listMediaFiles(fullPath));
+    else if (entry.isFile() && MEDIA_EXTENSIONS.has(path.extname(entry.name).toLowerCase())) files.push(fullPath);
+  }
+  return files;
+}
+
+const catalogFiles = (movies) => movies.flatMap(movie => [
+  movie.file_path,
+  ...(movie.seasons || []).flatMap(season => (season.episodes || []).map(ep => ep.file_path))
+]).filter(Boolean);
+
+const draftId = (key) => crypto.createHash('sha1').update(key.toLowerCase()).digest('hex').slice(0, 12);
+const sameTitle = (a, b) => (a || '').trim().toLowerCase() === (b || '').trim().toLowerCase();
+
+// Groups a show's files into seasons. Files without an episode number, or whose number is
+// already taken, are numbered after the others in their season.
+function buildSeasons(episodes) {
+  const seasons = new Map();
+  episodes.forEach(ep => {
+    const number = ep.season ?? 1;
+    if (!seasons.has(number)) seasons.set(number, []);
+    seasons.get(number).push(ep);
+  });
+  return [...seasons].sort(([a], [b]) => a - b).map(([season, files]) => {
+    const taken = new Set();
+    const numbered = files.filter(ep => ep.episode !== undefined && !taken.has(ep.episode) && taken.add(ep.episode));
+    let next = Math.max(0, ...taken);
+    files.filter(ep => !numbered.includes(ep)).forEach(ep => { numbered.push({ ...ep, episode: ++next }); });
+    return {
+      season,
+      episodes: numbered.sort((a, b) => a.episode - b.episode).map(ep => ({
+        episode: ep.episode,
+        title: ep.episodeTitle || `Episode ${ep.episode}`,
+        file_path: ep.file_path
+      }))
+    };
+  });
+}
+
+// roots: [{ category, mount: '/hub/movies/', dir }]. Returns one draft per unlisted file, except
+// for tv-series where each show folder becomes one draft holding its new episodes. A series
+// draft whose title matches a catalog series carries that series' id as `seriesId`.
+async function scanLibrary({ roots, movies, ignored = [] }) {
+  const mounts = mediaMounts(roots);
+  const known = new Set(catalogFiles(movies).map(file => (resolveMediaPath(file, mounts) || file).toLowerCase()));
+  const skipped = new Set(ignored.map(file => file.toLowerCase()));
+  const drafts = [];
+  const shows = new Map();
+
+  for (const root of roots) {
+    for (const file of await listMediaFiles(root.dir)) {
+      if (known.has(file.toLowerCase())) continue;
+      const relativePath = path.relative(root.dir, file).split(path.sep).join('/');
+      const filePath = `${root.mount}${relativePath}`;
+      if (skipped.has(filePath.toLowerCase())) continue;
+
+      const series = root.category === 'tv-series';
+      const info = parseMediaName(relativePath, { series });
+      if (!series) {
+        drafts.push({
+          id: draftId(filePath),
+          key: filePath,
+          category: root.category,
+          title: info.title || relativePath,
+          year: info.year || '',
+          resolution: info.resolution || '',
+          file_path: filePath
+        });
+        continue;
+      }
+
+      // Loose files in the series folder are grouped by the show name in front of their S01E01
+      const showKey = relativePath.includes('/')
+        ? `${root.mount}${relativePath.split('/')[0]}`
+        : `${root.mount}${(info.title || relativePath).toLowerCase()}`;
+      if (!shows.has(showKey)) {
+        shows.set(showKey, { key: showKey, title: info.title || relativePath, year: info.year || '', resolution: info.resolution || '', episodes: [] });
+      }
+      const show = shows.get(showKey);
+      if (!show.resolution && info.resolution) show.resolution = info.resolution;
+      show.episodes.push({ ...info, file_path: filePath });
+    }
+  }
+
+  shows.forEach(show => {
+    const existing = movies.find(m => m.category === 'tv-series' && sameTitle(m.title, show.title));
+    drafts.push({
+      id: draftId(show.key),
+      key: show.key,
+      category: 'tv-series',
+      title: show.title,
+      year: show.year,
+      resolution: show.resolution,
+      seasons: buildSeasons(show.episodes),
+      ...(existing ? { seriesId: existing.id } : {})
+    });
+  });
+  return drafts;
+}
+
+// Drafts live in a small JSON file: { drafts: [...], ignored: [file paths dismissed by an admin] }.
+// Changes are queued like catalog writes so a scan and a publish cannot overwrite each other.
+function createDraftStore(file) {
+  const enqueue = createQueue();
+
+  async function load() {
+    try {
+      const data = JSON.parse(await fs.readFile(file, 'utf8'));
+      return { drafts: data.drafts || [], ignored: data.ignored || [] };
+    } catch (error) {
+      if (error.code === 'ENOENT') return { drafts: [], ignored: [] };
+      throw error;
+    }
+  }
+
+  return {
+    load,
+    // `fn` may change the state it is given; it is saved unless `fn` throws
+    update: (fn) => enqueue(async () => {
+      const state = await load();
+      const result = await fn(state);
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      await writeFileAtomic(file, JSON.stringify(state, null, 2));
+      return result;
+    })
+  };
+}
+
+// Replaces the stored drafts with a fresh scan. Drafts found again keep their first-seen date;
+// drafts whose files were published, deleted or dismissed drop out.
+const refreshDrafts = (store, options) => store.update(async state => {
+  const found = await scanLibrary({ ...options, ignored: state.ignored });
+  const firstSeen = new Map(state.drafts.map(draft => [draft.id, draft.foundAt]));
+  const now = new Date().toISOString();
+  state.drafts = found.map(draft => ({ ...draft, foundAt: firstSeen.get(draft.id) || now }));
+  return state.drafts;
+});
+
+module.exports = { mediaMounts, resolveMediaPath, parseMediaName, scanLibrary, createDraftStore, refreshDrafts, catalogFiles };
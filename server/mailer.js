@@ -0,0 +1,51 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+
+// A transport is an async function that delivers { from, to, subject, text }.
+// The default writes each message as an .eml file so mail can be read without an SMTP server.
+function outboxTransport(outboxDir) {
+  return async (message) => {
+    await fs.mkdir(outboxDir, { recursive: true });
+    const id = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+    const eml = [
+      `From: ${message.from}`,
+      `To: ${message.to}`,
+      `Subject: ${message.subject}`,
+      `Date: ${new Date().toUTCString()}`,
+      `Message-ID: <${id}@outbox.local>`,
+      'MIME-Version: 1.0',
+      'Content-Type: text/plain; charset=utf-8',
+      '',
+      message.text
+    ].join('\r\n');
+    const file = path.join(outboxDir, `${id}.eml`);
+    await fs.writeFile(file, eml);
+    console.log(`Mail to ${message.to} written to ${file}`);
+    return { id, file };
+  };
+}
+
+// `transport` is 'outbox' (default) or the path of a module, relative to the server
+// directory, whose export is a transport function.
+function createMailer({ transport = 'outbox', from, outboxDir }) {
+  const send = transport === 'outbox'
+    ? outboxTransport(outboxDir)
+    : require(path.resolve(__dirname, transport));
+  if (typeof send !== 'function') {
+    throw new Error(`Mail transport ${transport} does not export a function`);
+  }
+  // Header values never contain line breaks, so user input cannot add headers
+  const header = (value) => String(value).replace(/[\r\n]+/g, ' ');
+
+  return {
+    sendMail: ({ to, subject, text }) => send({
+      from: header(from),
+      to: header(to),
+      subject: header(subject),
+      text
+    })
+  };
+}
+
+module.exports = { createMailer, outboxTransport };
@@ -0,0 +1,39 @@
+// Copies the JSON catalog into the SQLite database used by STORAGE_BACKEND=sqlite.
+// Usage: node migrate-catalog.js [--force]   (--force replaces a database that already has rows)
+const fs = require('fs').promises;
+const path = require('path');
+const { createCatalogStore } = require('./storage');
+const { normalizeEntry, validateEntry } = require('./schema');
+
+require('dotenv').config();
+
+const rootDir = path.join(__dirname, '..');
+const jsonFile = path.join(rootDir, process.env.MOVIES_FILE_PATH || 'assets/data/movies.json');
+const sqliteFile = path.join(rootDir, process.env.SQLITE_FILE_PATH || 'assets/data/catalog.db');
+
+async function migrate() {
+  const movies = JSON.parse(await fs.readFile(jsonFile, 'utf8'));
+  if (!Array.isArray(movies)) throw new Error(`${jsonFile} does not contain an array`);
+  const ids = new Set(movies.map(m => m.id));
+  if (movies.some(m => !Number.isInteger(m.id)) || ids.size !== movies.length) {
+    throw new Error('Every movie needs a unique integer id before migrating');
+  }
+
+  const store = createCatalogStore({ backend: 'sqlite', sqliteFile, validate: validateEntry });
+  await store.init();
+  try {
+    const existing = await store.count();
+    if (existing && !process.argv.includes('--force')) {
+      throw new Error(`${sqliteFile} already holds ${existing} movies; rerun with --force to replace them`);
+    }
+    await store.transaction(tx => tx.replaceAll(movies.map(normalizeEntry)));
+    console.log(`Migrated ${movies.length} movies from ${jsonFile} to ${sqliteFile}`);
+  } finally {
+    store.close();
+  }
+}
+
+migrate().catch(error => {
+  console.error('Migration failed:', error.message);
+  process.exit(1);
+});
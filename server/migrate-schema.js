@@ -0,0 +1,55 @@
+// Normalizes catalog entries written before the catalog schema existed: numeric year and rating,
+// duration in seconds, lower-case genre arrays, and no empty optional fields. Entries that still
+// do not match the schema afterwards are left as they are and listed for manual fixing.
+// Usage: node migrate-schema.js [--dry-run]   (--dry-run only reports what would change)
+const fs = require('fs').promises;
+const path = require('path');
+const { createCatalogStore, writeFileAtomic } = require('./storage');
+const { normalizeEntry, schemaErrors } = require('./schema');
+
+require('dotenv').config();
+
+const rootDir = path.join(__dirname, '..');
+const jsonFile = path.join(rootDir, process.env.MOVIES_FILE_PATH || 'assets/data/movies.json');
+const sqliteFile = path.join(rootDir, process.env.SQLITE_FILE_PATH || 'assets/data/catalog.db');
+const backupDir = path.join(rootDir, process.env.BACKUP_DIR || 'assets/backups');
+const dryRun = process.argv.includes('--dry-run');
+
+async function migrate() {
+  const store = createCatalogStore({ backend: process.env.STORAGE_BACKEND || 'json', jsonFile, sqliteFile });
+  await store.init();
+  try {
+    const movies = await store.list();
+    const fixed = [];
+    const failed = [];
+    movies.forEach(movie => {
+      const entry = normalizeEntry(movie);
+      const errors = schemaErrors(entry);
+      if (errors.length) failed.push({ movie, errors });
+      else if (JSON.stringify(entry) !== JSON.stringify(movie)) fixed.push(entry);
+    });
+
+    if (fixed.length && !dryRun) {
+      // Same name pattern as the server's backups, so this one shows up in the admin Backups tab
+      await fs.mkdir(backupDir, { recursive: true });
+      const backupFile = path.join(backupDir, `movies-backup-${new Date().toISOString().replace(/[:.]/g, '-')}.json`);
+      await writeFileAtomic(backupFile, JSON.stringify(movies, null, 2));
+      console.log(`Backup created: ${backupFile}`);
+      await store.transaction(tx => fixed.forEach(entry => tx.update(entry.id, entry)));
+    }
+
+    console.log(`${dryRun ? 'Would normalize' : 'Normalized'} ${fixed.length} of ${movies.length} entries; ${movies.length - fixed.length - failed.length} already matched the schema`);
+    if (failed.length) {
+      console.log(`${failed.length} entr${failed.length === 1 ? 'y needs' : 'ies need'} fixing by hand:`);
+      failed.forEach(({ movie, errors }) => console.log(`  #${movie.id} ${movie.title || '(untitled)'}: ${errors.join('; ')}`));
+      process.exitCode = 1;
+    }
+  } finally {
+    store.close?.();
+  }
+}
+
+migrate().catch(error => {
+  console.error('Migration failed:', error.message);
+  process.exit(1);
+});
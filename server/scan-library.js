@@ -0,0 +1,44 @@
+// Scans the hub folders for media the catalog does not reference and saves them as drafts,
+// which admins review and publish from the Library tab of the admin panel.
+// Usage: node scan-library.js
+const path = require('path');
+const { createCatalogStore } = require('./storage');
+const { createDraftStore, refreshDrafts } = require('./library');
+
+require('dotenv').config();
+
+const rootDir = path.join(__dirname, '..');
+const dir = (envKey, fallback) => path.join(rootDir, process.env[envKey] || fallback);
+const roots = [
+  { category: 'movie', mount: '/hub/movies/', dir: dir('MOVIES_DIR', 'hub/MOVIES') },
+  { category: 'tv-series', mount: '/hub/series/', dir: dir('SERIES_DIR', 'hub/SERIES') },
+  { category: 'music', mount: '/hub/music/', dir: dir('MUSIC_DIR', 'hub/MUSIC') },
+  { category: 'animation', mount: '/hub/animations/', dir: dir('ANIMATIONS_DIR', 'hub/ANIMATION') }
+];
+
+async function scan() {
+  const catalog = createCatalogStore({
+    backend: process.env.STORAGE_BACKEND || 'json',
+    jsonFile: dir('MOVIES_FILE_PATH', 'assets/data/movies.json'),
+    sqliteFile: dir('SQLITE_FILE_PATH', 'assets/data/catalog.db')
+  });
+  await catalog.init();
+  try {
+    const draftStore = createDraftStore(dir('DRAFTS_FILE_PATH', 'assets/data/drafts.json'));
+    const drafts = await refreshDrafts(draftStore, { roots, movies: await catalog.list() });
+    drafts.forEach(draft => {
+      const files = draft.seasons
+        ? `${draft.seasons.reduce((count, s) => count + s.episodes.length, 0)} episode(s)${draft.seriesId ? ` for series ${draft.seriesId}` : ''}`
+        : draft.file_path;
+      console.log(`${draft.category}\t${draft.title}${draft.year ? ` (${draft.year})` : ''}\t${files}`);
+    });
+    console.log(`${drafts.length} draft${drafts.length === 1 ? '' : 's'} waiting for review`);
+  } finally {
+    catalog.close?.();
+  }
+}
+
+scan().catch(error => {
+  console.error('Library scan failed:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,272 @@
+// JSON Schema for catalog entries, and the normalization that turns form input, CSV cells and
+// legacy records (string years and ratings, "92 min" durations, comma-separated genres) into it.
+// The catalog store checks every record it writes against `movieSchema`.
+const { Validator } = require('jsonschema');
+
+const CATEGORIES = ['movie', 'tv-series', 'music', 'animation'];
+
+// What ffprobe found in the file when it was uploaded. `unsupported_codecs` lists the codecs
+// browsers cannot decode; such files play from a converted copy.
+const mediaInfoSchema = {
+  id: '/MediaInfo',
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    container: { type: 'string', maxLength: 100 },
+    width: { type: 'integer', minimum: 1 },
+    height: { type: 'integer', minimum: 1 },
+    video_codec: { type: 'string', maxLength: 50 },
+    audio_tracks: {
+      type: 'array',
+      items: {
+        type: 'object',
+        additionalProperties: false,
+        properties: {
+          codec: { type: 'string', maxLength: 50 },
+          channels: { type: 'integer', minimum: 1 },
+          language: { type: 'string', maxLength: 20 }
+        }
+      }
+    },
+    // Embedded subtitle streams; `index` is the stream's number in the file
+    subtitle_tracks: {
+      type: 'array',
+      items: {
+        type: 'object',
+        additionalProperties: false,
+        properties: {
+          index: { type: 'integer', minimum: 0 },
+          codec: { type: 'string', maxLength: 50 },
+          language: { type: 'string', maxLength: 20 },
+          title: { type: 'string', maxLength: 200 }
+        }
+      }
+    },
+    // Bits per second
+    bitrate: { type: 'integer', minimum: 0 },
+    unsupported_codecs: { type: 'array', items: { type: 'string', maxLength: 50 } },
+    probed_at: { type: 'string', format: 'date-time' }
+  }
+};
+
+// An uploaded subtitle track, stored as WebVTT. `language` is a code like "en" or "pt-BR".
+const subtitleSchema = {
+  id: '/Subtitle',
+  type: 'object',
+  required: ['language', 'path'],
+  additionalProperties: false,
+  properties: {
+    language: { type: 'string', pattern: '^[a-zA-Z]{2,3}(-[a-zA-Z0-9]{2,8})*$' },
+    label: { type: 'string', maxLength: 50 },
+    path: { type: 'string', minLength: 1 }
+  }
+};
+
+const episodeSchema = {
+  id: '/Episode',
+  type: 'object',
+  required: ['episode', 'title'],
+  additionalProperties: false,
+  properties: {
+    episode: { type: 'integer', minimum: 1 },
+    title: { type: 'string', minLength: 1, maxLength: 200 },
+    file_path: { type: 'string', minLength: 1 },
+    // Seconds
+    duration: { type: 'integer', minimum: 0 },
+    media: { $ref: '/MediaInfo' },
+    subtitles: { type: 'array', items: { $ref: '/Subtitle' } }
+  }
+};
+
+const seasonSchema = {
+  id: '/Season',
+  type: 'object',
+  required: ['season', 'episodes'],
+  additionalProperties: false,
+  properties: {
+    season: { type: 'integer', minimum: 1 },
+    episodes: { type: 'array', items: { $ref: '/Episode' } }
+  }
+};
+
+// `id` is assigned by the store on insert. Only tv-series titles have seasons.
+const movieSchema = {
+  id: '/Movie',
+  type: 'object',
+  required: ['title', 'category', 'genres'],
+  additionalProperties: false,
+  properties: {
+    id: { type: 'integer', minimum: 1 },
+    title: { type: 'string', minLength: 1, maxLength: 200 },
+    category: { enum: CATEGORIES },
+    year: { type: 'integer', minimum: 1870, maximum: 2100 },
+    rating: { type: 'number', minimum: 0, maximum: 10 },
+    // Seconds
+    duration: { type: 'integer', minimum: 0 },
+    resolution: { type: 'string', maxLength: 20 },
+    genres: {
+      type: 'array',
+      uniqueItems: true,
+      items: { type: 'string', minLength: 1, maxLength: 50, pattern: '^[^A-Z]+$' }
+    },
+    description: { type: 'string', maxLength: 1000 },
+    file_path: { type: 'string', minLength: 1 },
+    poster: { type: 'string', minLength: 1 },
+    seasons: { type: 'array', items: { $ref: '/Season' } },
+    media: { $ref: '/MediaInfo' },
+    subtitles: { type: 'array', items: { $ref: '/Subtitle' } }
+  },
+  if: { properties: { category: { const: 'tv-series' } }, required: ['category'] },
+  then: { required: ['seasons'] },
+  else: { not: { required: ['seasons'] } }
+};
+
+const validator = new Validator();
+validator.addSchema(mediaInfoSchema, '/MediaInfo');
+validator.addSchema(subtitleSchema, '/Subtitle');
+validator.addSchema(episodeSchema, '/Episode');
+validator.addSchema(seasonSchema, '/Season');
+
+// What admins see for a failed field; anything else falls back to the validator's wording
+const FIELD_MESSAGES = {
+  title: 'title is required and must be 200 characters or less',
+  category: `category must be one of ${CATEGORIES.join(', ')}`,
+  year: 'year must be a 4-digit year',
+  rating: 'rating must be a number between 0 and 10',
+  duration: 'duration must be a length like "92 min", "1h 32m" or "1:32:00"',
+  resolution: 'resolution must be 20 characters or less',
+  description: 'description must be 1000 characters or less',
+  genres: 'each genre must be 50 characters or less and listed once',
+  episode: 'episode number must be a positive whole number',
+  language: 'language must be a code like "en" or "pt-BR"',
+  label: 'subtitle label must be 50 characters or less',
+  season: 'season number must be a positive whole number'
+};
+
+function describeError(error) {
+  const location = error.path.filter(part => typeof part === 'number' || part === 'seasons' || part === 'episodes');
+  const field = [...error.path].reverse().find(part => typeof part === 'string');
+  const prefix = location.length ? `${error.property.replace(/^instance\./, '').replace(/\.[^.[]+$/, '')}: ` : '';
+  if (error.name === 'required') return `${prefix}${error.argument} is required`;
+  if (error.name === 'additionalProperties') return `${prefix}unknown field "${error.argument}"`;
+  if (error.name === 'not' && error.path.length === 0) return 'only tv-series titles have seasons';
+  return `${prefix}${FIELD_MESSAGES[field] || `${field || 'entry'} ${error.message}`}`;
+}
+
+// Problems with an entry as readable sentences; empty when it matches the schema
+function schemaErrors(value, schema = movieSchema) {
+  const errors = validator.validate(value, schema, { nestedErrors: false }).errors
+    // if/then/else failures repeat the more specific error they wrap
+    .filter(error => error.name !== 'if' && error.name !== 'then' && error.name !== 'else');
+  return [...new Set(errors.map(describeError))];
+}
+
+function validateEntry(value, schema = movieSchema) {
+  const errors = schemaErrors(value, schema);
+  if (errors.length) {
+    const message = errors.slice(0, 3).join('; ');
+    throw new Error(message.charAt(0).toUpperCase() + message.slice(1));
+  }
+}
+
+const DURATION_UNITS = { h: 3600, m: 60, s: 1 };
+
+// Seconds from "92 min", "1h 32m", "1 hour 5 minutes", "1:32:00", "45:10" or a plain number of
+// seconds. Anything else is returned unchanged so the schema reports it.
+function parseDuration(value) {
+  if (typeof value === 'number') return Number.isFinite(value) ? Math.round(value) : value;
+  const text = String(value).trim().toLowerCase();
+  if (/^\d+$/.test(text)) return parseInt(text, 10);
+  if (/^\d+(:\d{1,2}){1,2}$/.test(text)) {
+    return text.split(':').reduce((total, part) => total * 60 + parseInt(part, 10), 0);
+  }
+  const parts = [...text.matchAll(/(\d+(?:\.\d+)?)\s*(h|hrs?|hours?|m|mins?|minutes?|s|secs?|seconds?)\b/g)];
+  if (!parts.length || text.replace(/(\d+(?:\.\d+)?)\s*(h|hrs?|hours?|m|mins?|minutes?|s|secs?|seconds?)\b/g, '').trim()) {
+    return value;
+  }
+  return Math.round(parts.reduce((total, [, amount, unit]) => total + parseFloat(amount) * DURATION_UNITS[unit[0]], 0));
+}
+
+// Whole numbers stay numbers; numeric strings become numbers; anything else is left for the schema
+const toNumber = (value, integer) => {
+  if (typeof value === 'number') return value;
+  const text = String(value).trim();
+  const pattern = integer ? /^\d+$/ : /^\d+(\.\d+)?$|^\.\d+$/;
+  return pattern.test(text) ? Number(text) : text;
+};
+
+const isBlank = (value) => value === undefined || value === null || (typeof value === 'string' && !value.trim());
+
+// Copies `fields` without blank optional values and with `convert` applied to the rest
+function compact(fields, convert) {
+  const result = {};
+  Object.entries(fields).forEach(([field, value]) => {
+    if (isBlank(value)) return;
+    result[field] = convert[field] ? convert[field](value) : typeof value === 'string' ? value.trim() : value;
+  });
+  return result;
+}
+
+function normalizeGenres(genres) {
+  const list = Array.isArray(genres) ? genres : String(genres ?? '').split(',');
+  return [...new Set(list.map(genre => String(genre).trim().toLowerCase()).filter(Boolean))];
+}
+
+function normalizeEpisode(episode) {
+  return compact(episode || {}, {
+    episode: value => toNumber(value, true),
+    duration: parseDuration
+  });
+}
+
+function normalizeSeason(season) {
+  const entry = compact(season || {}, {
+    season: value => toNumber(value, true),
+    episodes: episodes => (Array.isArray(episodes) ? episodes.map(normalizeEpisode) : episodes)
+  });
+  if (!entry.episodes) entry.episodes = [];
+  return entry;
+}
+
+// Returns a normalized copy of a catalog entry. Blank optional fields are dropped, genres always
+// become a lower-case array, and seasons are normalized down to their episodes.
+function normalizeEntry(movie) {
+  const entry = compact(movie || {}, {
+    year: value => toNumber(value, true),
+    rating: value => toNumber(value, false),
+    duration: parseDuration,
+    genres: normalizeGenres,
+    seasons: seasons => (Array.isArray(seasons) ? seasons.map(normalizeSeason) : seasons)
+  });
+  if (!entry.genres) entry.genres = [];
+  if (entry.category === 'tv-series' && !entry.seasons) entry.seasons = [];
+  return entry;
+}
+
+// Form fields, CSV cells and JSON all go through the normalization above ("92 min" becomes
+// 5520 seconds, "Drama, Action" becomes ["drama", "action"]) before being checked against the
+// schema. Both return the normalized copy and throw with a readable message when it does not fit.
+function validateMovie(movie) {
+  const entry = normalizeEntry(movie);
+  validateEntry(entry);
+  return entry;
+}
+
+function validateEpisode(episode) {
+  const entry = normalizeEpisode(episode);
+  validateEntry(entry, episodeSchema);
+  return entry;
+}
+
+module.exports = {
+  movieSchema,
+  seasonSchema,
+  episodeSchema,
+  schemaErrors,
+  validateEntry,
+  normalizeEntry,
+  normalizeEpisode,
+  validateMovie,
+  validateEpisode,
+  parseDuration
+};
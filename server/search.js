@@ -0,0 +1,128 @@
+// In-memory full-text index over the catalog's titles, genres and descriptions. The catalog is
+// small enough to index whole, so the index is simply rebuilt from `catalog.list()` after every
+// change instead of being patched per title.
+
+// A match in the title counts more than one in the genres, which counts more than the description
+const FIELD_WEIGHTS = { title: 3, genres: 2, description: 1 };
+const EXACT = 1;
+const PREFIX = 0.8;
+const TYPO_PENALTY = 0.3;
+const TITLE_PREFIX_BONUS = 2;
+
+// Lower-cases and strips accents so "Pokémon" matches "pokemon"
+const normalize = (text) => String(text ?? '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+const tokenize = (text) => normalize(text).split(/[^a-z0-9]+/).filter(Boolean);
+
+// Short words must be spelled right; longer ones tolerate one or two typos
+const allowedTypos = (term) => (term.length < 4 ? 0 : term.length < 8 ? 1 : 2);
+
+// Optimal string alignment distance (Levenshtein plus adjacent transpositions), giving up as soon
+// as every path exceeds `max`
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let prevPrev = null;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      row[j] = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + cost);
+      if (prevPrev && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        row[j] = Math.min(row[j], prevPrev[j - 2] + 1);
+      }
+      rowMin = Math.min(rowMin, row[j]);
+    }
+    if (rowMin > max) return max + 1;
+    prevPrev = prev;
+    prev = row;
+  }
+  return prev[b.length];
+}
+
+// How well a query term matches an indexed token: 1 for an exact match, less for a prefix or a
+// near miss, 0 for no match. `partial` marks the term still being typed, which may also match
+// the start of a longer word with a typo in it.
+function matchQuality(term, token, partial) {
+  if (token === term) return EXACT;
+  if (token.startsWith(term) && (partial || term.length >= 3)) return PREFIX * (0.5 + 0.5 * term.length / token.length);
+  const typos = allowedTypos(term);
+  if (!typos) return 0;
+  const distance = editDistance(term, token, typos);
+  if (distance <= typos) return EXACT - TYPO_PENALTY * distance;
+  if (partial && token.length > term.length) {
+    const prefixDistance = editDistance(term, token.slice(0, term.length), typos);
+    if (prefixDistance <= typos) return PREFIX - TYPO_PENALTY * prefixDistance;
+  }
+  return 0;
+}
+
+function createSearchIndex() {
+  let documents = new Map();
+  // token -> Map(movie id -> weight of the heaviest field containing the token)
+  let postings = new Map();
+
+  function rebuild(movies) {
+    const nextDocuments = new Map();
+    const nextPostings = new Map();
+    movies.forEach(movie => {
+      nextDocuments.set(movie.id, { movie, title: tokenize(movie.title).join(' ') });
+      const fields = {
+        title: movie.title,
+        genres: (movie.genres || []).join(' '),
+        description: movie.description
+      };
+      Object.entries(fields).forEach(([field, text]) => {
+        tokenize(text).forEach(token => {
+          if (!nextPostings.has(token)) nextPostings.set(token, new Map());
+          const weights = nextPostings.get(token);
+          weights.set(movie.id, Math.max(weights.get(movie.id) || 0, FIELD_WEIGHTS[field]));
+        });
+      });
+    });
+    documents = nextDocuments;
+    postings = nextPostings;
+  }
+
+  // Every query term has to match something in a title for it to be returned. A title scores the
+  // best match of each term, weighted by field, plus a bonus when its name contains the query as typed.
+  function search(query, { limit = 10 } = {}) {
+    const terms = tokenize(query);
+    if (!terms.length) return { total: 0, results: [] };
+
+    let scores = null;
+    terms.forEach((term, index) => {
+      const partial = index === terms.length - 1;
+      const termScores = new Map();
+      postings.forEach((weights, token) => {
+        const quality = matchQuality(term, token, partial);
+        if (!quality) return;
+        weights.forEach((weight, id) => {
+          termScores.set(id, Math.max(termScores.get(id) || 0, quality * weight));
+        });
+      });
+      if (scores === null) {
+        scores = termScores;
+        return;
+      }
+      const combined = new Map();
+      scores.forEach((score, id) => {
+        if (termScores.has(id)) combined.set(id, score + termScores.get(id));
+      });
+      scores = combined;
+    });
+
+    const normalizedQuery = terms.join(' ');
+    const ranked = [...scores].map(([id, score]) => {
+      const { movie, title } = documents.get(id);
+      const bonus = ` ${title}`.includes(` ${normalizedQuery}`) ? TITLE_PREFIX_BONUS : 0;
+      return { movie, score: score + bonus };
+    }).sort((a, b) => b.score - a.score || (a.movie.title || '').localeCompare(b.movie.title || ''));
+
+    return { total: ranked.length, results: ranked.slice(0, limit) };
+  }
+
+  return { rebuild, search, get size() { return documents.size; } };
+}
+
+module.exports = { createSearchIndex };
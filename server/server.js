@@ -1,10 +1,24 @@
 const express = require('express');
 const fs = require('fs').promises;
 const path = require('path');
+const crypto = require('crypto');
 const cors = require('cors');
+const cookieParser = require('cookie-parser');
 const multer = require('multer');
 const jwt = require('jsonwebtoken');
 const bcrypt = require('bcryptjs');
+const { createMailer } = require('./mailer');
+const { createCatalogStore, writeFileAtomic, diffFields } = require('./storage');
+const { createSearchIndex } = require('./search');
+const { toCsv } = require('./csv');
+const { CATALOG_COLUMNS, parseImportRows, planImport, importReport } = require('./importer');
+const { validate: validateRequest, JsonSchemaValidation } = require('express-jsonschema');
+const { validateEntry, normalizeEntry, validateMovie, validateEpisode, schemaErrors } = require('./schema');
+const { mediaMounts: libraryMounts, resolveMediaPath: resolveLibraryPath, createDraftStore, refreshDrafts, catalogFiles } = require('./library');
+const { createTrash } = require('./trash');
+const { createJobQueue } = require('./jobs');
+const { convertToMp4, packageHls, extractPoster, buildThumbnails, extractSubtitles, probeMedia, ffmpegVersion, HLS_BITRATES } = require('./ffmpeg');
+const { toWebVtt } = require('./subtitles');
 
 require('dotenv').config();
 
@@ -14,13 +28,22 @@ const host = process.env.HOST || '0.0.0.0';
 const rootDir = path.join(__dirname, '..');
 const moviesFile = path.join(rootDir, process.env.MOVIES_FILE_PATH || 'assets/data/movies.json');
 const usersFile = path.join(rootDir, process.env.USERS_FILE_PATH || 'assets/data/users.json');
+const sessionsFile = path.join(rootDir, process.env.SESSIONS_FILE_PATH || 'assets/data/sessions.json');
+const auditFile = path.join(rootDir, process.env.AUDIT_LOG_PATH || 'assets/data/audit.jsonl');
+const catalogDbFile = path.join(rootDir, process.env.SQLITE_FILE_PATH || 'assets/data/catalog.db');
+const draftsFile = path.join(rootDir, process.env.DRAFTS_FILE_PATH || 'assets/data/drafts.json');
+const jobsFile = path.join(rootDir, process.env.JOBS_FILE_PATH || 'assets/data/jobs.json');
 const config = {
   moviesDir: path.join(rootDir, process.env.MOVIES_DIR || 'hub/MOVIES'),
   seriesDir: path.join(rootDir, process.env.SERIES_DIR || 'hub/SERIES'),
   musicDir: path.join(rootDir, process.env.MUSIC_DIR || 'hub/MUSIC'),
   animationsDir: path.join(rootDir, process.env.ANIMATIONS_DIR || 'hub/ANIMATION'),
   postersDir: path.join(rootDir, process.env.POSTERS_DIR || 'hub/POSTERS'),
-  backupDir: path.join(rootDir, process.env.BACKUP_DIR || 'assets/backups')
+  subtitlesDir: path.join(rootDir, process.env.SUBTITLES_DIR || 'hub/SUBTITLES'),
+  backupDir: path.join(rootDir, process.env.BACKUP_DIR || 'assets/backups'),
+  trashDir: path.join(rootDir, process.env.TRASH_DIR || 'hub/TRASH'),
+  preparedDir: path.join(rootDir, process.env.PREPARED_DIR || 'hub/PREPARED'),
+  mailOutboxDir: path.join(rootDir, process.env.MAIL_OUTBOX_DIR || 'outbox')
 };
 
 // Validate required environment variables
@@ -31,8 +54,77 @@ requiredEnv.forEach(key => {
   }
 });
 const SECRET_KEY = process.env.SECRET_KEY;
-const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '1h';
+// Access tokens are short-lived; clients renew them with a rotating refresh token
+const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_TTL = (parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30) * 24 * 60 * 60 * 1000;
+// How long a rotated refresh token still works, for tabs that refresh at the same moment
+const REFRESH_REUSE_GRACE = (parseInt(process.env.REFRESH_REUSE_GRACE_SECONDS) || 10) * 1000;
+// Cookie sessions: the access and refresh tokens live in HttpOnly cookies, csrf_token stays readable
+const AUTH_MODE = process.env.AUTH_MODE === 'cookie' ? 'cookie' : 'token';
+const SESSION_COOKIE = 'session';
+const REFRESH_COOKIE = 'refresh_token';
+const CSRF_COOKIE = 'csrf_token';
+const COOKIE_SECURE = process.env.COOKIE_SECURE
+  ? process.env.COOKIE_SECURE === 'true'
+  : process.env.NODE_ENV === 'production';
 const STATIC_MAX_AGE = parseInt(process.env.STATIC_MAX_AGE) || 86400000;
+const ROLES = ['admin', 'editor', 'viewer'];
+const LOGIN_MAX_ATTEMPTS = parseInt(process.env.LOGIN_MAX_ATTEMPTS) || 5;
+const LOGIN_IP_MAX_ATTEMPTS = parseInt(process.env.LOGIN_IP_MAX_ATTEMPTS) || 20;
+const LOGIN_ATTEMPT_WINDOW = (parseInt(process.env.LOGIN_ATTEMPT_WINDOW_MINUTES) || 15) * 60 * 1000;
+const LOGIN_LOCKOUT_BASE = (parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 1) * 60 * 1000;
+const LOGIN_LOCKOUT_MAX = 24 * 60 * 60 * 1000;
+const LOGIN_ATTEMPTS_LIMIT = 10000;
+const PASSWORD_RESET_TTL = (parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || 60) * 60 * 1000;
+const PASSWORD_RESET_COOLDOWN = 60 * 1000;
+// Signed media links let <video>, downloads and shared URLs reach media without a session
+const REQUIRE_SIGNED_MEDIA = process.env.REQUIRE_SIGNED_MEDIA === 'true';
+const MEDIA_LINK_TTL = (parseInt(process.env.MEDIA_LINK_TTL_MINUTES) || 240) * 60 * 1000;
+// Catalog backups beyond the newest BACKUP_MAX_COUNT, or older than BACKUP_MAX_AGE_DAYS (0 keeps
+// them regardless of age), are deleted after each new backup
+const BACKUP_MAX_COUNT = parseInt(process.env.BACKUP_MAX_COUNT) || 10;
+const BACKUP_MAX_AGE = (parseInt(process.env.BACKUP_MAX_AGE_DAYS) || 0) * 24 * 60 * 60 * 1000;
+// Deleted titles and replaced media files stay in the trash for TRASH_RETENTION_DAYS
+const TRASH_RETENTION_DAYS = parseInt(process.env.TRASH_RETENTION_DAYS) || 30;
+const TRASH_RETENTION = TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+const FFMPEG_PATH = process.env.FFMPEG_PATH || 'ffmpeg';
+const FFPROBE_PATH = process.env.FFPROBE_PATH || 'ffprobe';
+// Rendition heights HLS packaging makes for each video, tallest first, skipping those above the
+// title's resolution; HLS_RENDITIONS=off turns packaging off
+const HLS_RENDITIONS = process.env.HLS_RENDITIONS === 'off' ? [] : [...new Set((process.env.HLS_RENDITIONS || '720,480,360')
+  .split(',').map(height => parseInt(height)).filter(height => HLS_BITRATES[height]))].sort((a, b) => b - a);
+// Seek-bar previews show a frame for every THUMBNAIL_INTERVAL_SECONDS of video
+const THUMBNAIL_INTERVAL = parseInt(process.env.THUMBNAIL_INTERVAL_SECONDS) || 10;
+
+// STORAGE_BACKEND "json" (default) keeps the catalog in movies.json; "sqlite" uses catalog.db
+// (see migrate-catalog.js). The backup files are JSON either way.
+const catalog = createCatalogStore({
+  backend: process.env.STORAGE_BACKEND || 'json',
+  jsonFile: moviesFile,
+  sqliteFile: catalogDbFile,
+  validate: validateEntry
+});
+
+// The search index is rebuilt from the catalog at startup and after every catalog change
+const searchIndex = createSearchIndex();
+const rebuildSearchIndex = async () => {
+  try {
+    searchIndex.rebuild(await catalog.list());
+  } catch (error) {
+    console.error('Failed to rebuild search index:', error);
+  }
+};
+catalog.onChange(rebuildSearchIndex);
+
+const mailer = createMailer({
+  transport: process.env.MAIL_TRANSPORT,
+  from: process.env.MAIL_FROM || 'Creatives Films <no-reply@creatives.com>',
+  outboxDir: config.mailOutboxDir
+});
+
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', process.env.TRUST_PROXY);
+}
 
 // Add COOP and COEP headers for SharedArrayBuffer support
 app.use((req, res, next) => {
@@ -41,18 +133,21 @@ app.use((req, res, next) => {
   next();
 });
 
+const hashPassword = (password) => bcrypt.hash(password, 10);
+
 // Load and hash users from users.json
 async function loadUsers() {
   try {
     const data = await fs.readFile(usersFile, 'utf8');
     let users = JSON.parse(data);
-    // Hash passwords if not already hashed
+    // Hash passwords if not already hashed and assign a role to legacy entries
     users = await Promise.all(users.map(async (user, index) => {
+      const role = ROLES.includes(user.role) ? user.role : user.username === 'admin' ? 'admin' : 'viewer';
       if (!user.password.startsWith('$2b$') && !user.password.startsWith('$2a$')) {
-        const hashedPassword = await bcrypt.hash(user.password, 10);
-        return { ...user, id: user.id || index + 1, password: hashedPassword };
+        const hashedPassword = await hashPassword(user.password);
+        return { ...user, id: user.id || index + 1, role, password: hashedPassword };
       }
-      return { ...user, id: user.id || index + 1 };
+      return { ...user, id: user.id || index + 1, role };
     }));
     await fs.writeFile(usersFile, JSON.stringify(users, null, 2));
     return users;
@@ -63,13 +158,15 @@ async function loadUsers() {
         id: 1,
         username: 'admin',
         email: 'admin@creatives.com',
-        password: await bcrypt.hash('admin123', 10)
+        role: 'admin',
+        password: await hashPassword('admin123')
       },
       {
         id: 2,
         username: 'user1',
         email: 'user1@creatives.com',
-        password: await bcrypt.hash('user123', 10)
+        role: 'viewer',
+        password: await hashPassword('user123')
       }
     ];
     await fs.writeFile(usersFile, JSON.stringify(defaultUsers, null, 2));
@@ -78,6 +175,203 @@ async function loadUsers() {
 }
 let users = [];
 
+async function saveUsers() {
+  await writeFileAtomic(usersFile, JSON.stringify(users, null, 2));
+}
+
+// Strip credentials before a user record leaves the server
+const toPublicUser = ({ password, passwordReset, ...user }) => user;
+
+const USERNAME_PATTERN = /^[a-zA-Z0-9_.-]{3,30}$/;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const MIN_PASSWORD_LENGTH = 6;
+
+function validateAccount({ username, email, password }, { partial = false } = {}) {
+  if ((!partial || username !== undefined) && !USERNAME_PATTERN.test(username || '')) {
+    throw new Error('Username must be 3-30 characters: letters, numbers, dots, dashes or underscores');
+  }
+  if ((!partial || email !== undefined) && !EMAIL_PATTERN.test(email || '')) {
+    throw new Error('A valid email address is required');
+  }
+  if ((!partial || password !== undefined) && (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH)) {
+    throw new Error(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+  }
+}
+
+// Usernames and emails are unique case-insensitively; exceptId skips the user being updated
+function findAccountConflict({ username, email }, exceptId = null) {
+  const conflict = users.find(u => u.id !== exceptId && (
+    (username && u.username.toLowerCase() === username.toLowerCase()) ||
+    (email && u.email && u.email.toLowerCase() === email.toLowerCase())
+  ));
+  if (!conflict) return null;
+  return username && conflict.username.toLowerCase() === username.toLowerCase()
+    ? 'Username is already taken'
+    : 'Email is already registered';
+}
+
+// Refresh tokens are stored hashed; revokedTokens holds access token ids until they expire
+let sessions = { refreshTokens: [], revokedTokens: [] };
+
+async function loadSessions() {
+  try {
+    const data = JSON.parse(await fs.readFile(sessionsFile, 'utf8'));
+    return { refreshTokens: data.refreshTokens || [], revokedTokens: data.revokedTokens || [] };
+  } catch (error) {
+    console.log('Creating or resetting sessions.json');
+    const emptySessions = { refreshTokens: [], revokedTokens: [] };
+    await fs.writeFile(sessionsFile, JSON.stringify(emptySessions, null, 2));
+    return emptySessions;
+  }
+}
+
+async function saveSessions() {
+  const now = Date.now();
+  sessions.refreshTokens = sessions.refreshTokens.filter(t => t.expiresAt > now);
+  sessions.revokedTokens = sessions.revokedTokens.filter(t => t.expiresAt > now);
+  await writeFileAtomic(sessionsFile, JSON.stringify(sessions, null, 2));
+}
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const nextUserId = () => users.length ? Math.max(...users.map(u => u.id)) + 1 : 1;
+
+// An admin cannot lock the panel out of its last enabled admin account
+const isLastActiveAdmin = (user) => user.role === 'admin' && !user.disabled &&
+  users.filter(u => u.role === 'admin' && !u.disabled).length === 1;
+
+const signToken = (user) => jwt.sign(
+  { userId: user.id, username: user.username, role: user.role },
+  SECRET_KEY,
+  { expiresIn: JWT_EXPIRES_IN, jwtid: crypto.randomUUID() }
+);
+
+const issueAccessToken = (user) => {
+  const token = signToken(user);
+  return { token, expiresIn: JWT_EXPIRES_IN, expiresAt: jwt.decode(token).exp * 1000 };
+};
+
+// Issue an access token and a refresh token; every rotation of one login shares a family id
+async function issueSession(user, family = crypto.randomUUID()) {
+  const refreshToken = crypto.randomBytes(48).toString('base64url');
+  sessions.refreshTokens.push({
+    hash: hashToken(refreshToken),
+    userId: user.id,
+    family,
+    expiresAt: Date.now() + REFRESH_TOKEN_TTL
+  });
+  await saveSessions();
+  return { ...issueAccessToken(user), refreshToken };
+}
+
+// CSRF tokens are a nonce signed together with the user id, so one user's token is useless to another
+const signCsrfNonce = (nonce, userId) => crypto.createHmac('sha256', SECRET_KEY).update(`${nonce}.${userId}`).digest('base64url');
+
+const createCsrfToken = (userId) => {
+  const nonce = crypto.randomBytes(16).toString('base64url');
+  return `${nonce}.${signCsrfNonce(nonce, userId)}`;
+};
+
+function isValidCsrfToken(token, userId) {
+  const [nonce, signature] = String(token).split('.');
+  if (!nonce || !signature) return false;
+  const expected = Buffer.from(signCsrfNonce(nonce, userId));
+  const actual = Buffer.from(signature);
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+const cookieOptions = { httpOnly: true, secure: COOKIE_SECURE, sameSite: 'lax', path: '/' };
+
+function setSessionCookies(res, user, session) {
+  res.cookie(SESSION_COOKIE, session.token, { ...cookieOptions, maxAge: session.expiresAt - Date.now() });
+  if (session.refreshToken) {
+    res.cookie(REFRESH_COOKIE, session.refreshToken, { ...cookieOptions, sameSite: 'strict', path: '/auth', maxAge: REFRESH_TOKEN_TTL });
+  }
+  res.cookie(CSRF_COOKIE, createCsrfToken(user.id), { ...cookieOptions, httpOnly: false, sameSite: 'strict', maxAge: REFRESH_TOKEN_TTL });
+}
+
+function clearSessionCookies(res) {
+  res.clearCookie(SESSION_COOKIE, cookieOptions);
+  res.clearCookie(REFRESH_COOKIE, { ...cookieOptions, sameSite: 'strict', path: '/auth' });
+  res.clearCookie(CSRF_COOKIE, { ...cookieOptions, httpOnly: false, sameSite: 'strict' });
+}
+
+// Cookie clients get their tokens as cookies; the response body never carries them
+function sendSession(res, user, session, useCookies, extra = {}) {
+  const body = { ...extra, username: user.username, role: user.role, expiresAt: session.expiresAt };
+  if (useCookies) {
+    setSessionCookies(res, user, session);
+    return res.json({ ...body, mode: 'cookie' });
+  }
+  res.json({ ...body, token: session.token, refreshToken: session.refreshToken, expiresIn: session.expiresIn });
+}
+
+function revokeAccessToken(jti, exp) {
+  if (jti && !sessions.revokedTokens.some(t => t.jti === jti)) {
+    sessions.revokedTokens.push({ jti, expiresAt: exp * 1000 });
+  }
+}
+
+const revokeRefreshTokens = (predicate) => {
+  sessions.refreshTokens = sessions.refreshTokens.filter(t => !predicate(t));
+};
+
+// Failed login tracking keyed by `ip:<address>` and `account:<user id>`. Names that match no
+// account are tracked as `account:name:<hash of the name>` and lock the same way, so lockouts do
+// not reveal which usernames exist. Each time a key reaches its limit it is locked for twice as
+// long as the previous lockout.
+const loginAttempts = new Map();
+
+const loginAccountKey = (user, username) => (user
+  ? `account:${user.id}`
+  : `account:name:${crypto.createHash('sha256').update(String(username).trim().toLowerCase()).digest('hex').slice(0, 32)}`);
+
+// Drops entries that are unlocked and a day past their last failure. If a flood of addresses
+// still leaves more than LOGIN_ATTEMPTS_LIMIT, the oldest unlocked entries go first (a Map keeps
+// insertion order); active lockouts are never evicted early.
+function pruneLoginAttempts(now = Date.now()) {
+  for (const [key, entry] of loginAttempts) {
+    if (entry.lockedUntil <= now && now - entry.lastFailure > LOGIN_LOCKOUT_MAX) {
+      loginAttempts.delete(key);
+    }
+  }
+  for (const [key, entry] of loginAttempts) {
+    if (loginAttempts.size <= LOGIN_ATTEMPTS_LIMIT) break;
+    if (entry.lockedUntil <= now) loginAttempts.delete(key);
+  }
+}
+
+function getLoginLock(key) {
+  const entry = loginAttempts.get(key);
+  return entry && entry.lockedUntil > Date.now() ? entry.lockedUntil : 0;
+}
+
+function recordLoginFailure(key, label, maxAttempts) {
+  const now = Date.now();
+  let entry = loginAttempts.get(key);
+  if (!entry || now - entry.lastFailure > LOGIN_ATTEMPT_WINDOW) {
+    // Lockout history is forgotten after a full day without failures
+    const lockouts = entry && now - entry.lastFailure < LOGIN_LOCKOUT_MAX ? entry.lockouts : 0;
+    entry = { key, label, failures: 0, lockouts, lockedUntil: 0 };
+    loginAttempts.delete(key);
+    loginAttempts.set(key, entry);
+    if (loginAttempts.size > LOGIN_ATTEMPTS_LIMIT) pruneLoginAttempts(now);
+  }
+  entry.failures += 1;
+  entry.lastFailure = now;
+  if (entry.failures >= maxAttempts) {
+    entry.lockouts += 1;
+    entry.failures = 0;
+    entry.lockedUntil = now + Math.min(LOGIN_LOCKOUT_BASE * 2 ** (entry.lockouts - 1), LOGIN_LOCKOUT_MAX);
+    console.warn(`Login locked for ${label} until ${new Date(entry.lockedUntil).toISOString()} (lockout #${entry.lockouts})`);
+  }
+}
+
+setInterval(() => pruneLoginAttempts(), 10 * 60 * 1000).unref();
+
+// Compared against when no account matches so response timing does not reveal which usernames exist
+const DUMMY_PASSWORD_HASH = bcrypt.hashSync('not-a-real-password', 10);
+
 const corsOrigin = process.env.NODE_ENV === 'production'
   ? process.env.CORS_ORIGIN
   : '*';
@@ -85,19 +379,23 @@ app.use(cors({
   origin: corsOrigin,
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-CSRF-Token']
 }));
 
 app.use((req, res, next) => {
-  console.log(`[${new Date().toISOString()}] ${req.method} ${req.url}`);
+  console.log(`[${new Date().toISOString()}] ${req.method} ${req.url.replace(/([?&]sig=)[^&]+/, '$1[redacted]')}`);
   next();
 });
 
 app.use(express.urlencoded({ extended: true }));
 app.use(express.json());
+app.use(cookieParser());
 
+// Accepts a bearer token or, failing that, the session cookie
 function verifyToken(req, res, next) {
-  const token = req.headers.authorization?.split(' ')[1];
+  const bearerToken = req.headers.authorization?.split(' ')[1];
+  const token = bearerToken || req.cookies[SESSION_COOKIE];
+  req.authViaCookie = !bearerToken && !!token;
   if (!token) {
     console.log(`No token provided for ${req.path}`);
     if (req.path === '/manage-movies.html') {
@@ -107,8 +405,19 @@ function verifyToken(req, res, next) {
   }
   try {
     const decoded = jwt.verify(token, SECRET_KEY);
-    req.userId = decoded.userId;
-    req.username = decoded.username;
+    if (sessions.revokedTokens.some(t => t.jti === decoded.jti)) {
+      throw new Error('token has been revoked');
+    }
+    // Role and status come from the live record so admin changes apply before the token expires
+    const user = users.find(u => u.id === decoded.userId);
+    if (!user || user.disabled) {
+      throw new Error('account is missing or disabled');
+    }
+    req.userId = user.id;
+    req.username = user.username;
+    req.role = user.role;
+    req.tokenId = decoded.jti;
+    req.tokenExp = decoded.exp;
     next();
   } catch (error) {
     console.log(`Invalid token for ${req.path}: ${error.message}`);
@@ -119,14 +428,88 @@ function verifyToken(req, res, next) {
   }
 }
 
+// Browsers attach cookies to cross-site requests, so cookie-authenticated writes must echo
+// the csrf_token cookie in an X-CSRF-Token header. Bearer requests are not exposed to CSRF.
+function verifyCsrf(req, res, next) {
+  if (!req.authViaCookie) return next();
+  const headerToken = req.get('X-CSRF-Token');
+  if (!headerToken || headerToken !== req.cookies[CSRF_COOKIE] || !isValidCsrfToken(headerToken, req.userId)) {
+    console.log(`CSRF check failed for ${req.username} on ${req.method} ${req.path}`);
+    return sendError(res, 403, 'Forbidden: Invalid CSRF token');
+  }
+  next();
+}
+
+// The signature covers the URL path, the user it was issued to, the expiry and the download flag
+const signMediaUrl = (pathname, userId, expires, download) => crypto.createHmac('sha256', SECRET_KEY)
+  .update(`media|${pathname}|${userId}|${expires}|${download ? 1 : 0}`)
+  .digest('base64url');
+
+// Only the exact value createMediaLink writes counts, so ?download=0 is a stream
+const isDownloadLink = (req) => req.query.download === '1';
+
+function createMediaLink(pathname, userId, { download = false, ttl = MEDIA_LINK_TTL } = {}) {
+  const expires = Date.now() + ttl;
+  const params = new URLSearchParams({ uid: userId, expires, sig: signMediaUrl(pathname, userId, expires, download) });
+  if (download) params.set('download', '1');
+  return { url: `${pathname}?${params}`, expiresAt: expires };
+}
+
+const encodeUrlPath = (filePath) => filePath.split('/').map(encodeURIComponent).join('/');
+
+// Returns the user a media link was issued to, or null if it is forged, expired or the account is disabled
+function verifyMediaSignature(req) {
+  const { uid, expires, sig } = req.query;
+  if (![uid, expires, sig].every(value => typeof value === 'string')) return null;
+  if (!(parseInt(expires) > Date.now())) return null;
+  const pathname = req.originalUrl.split('?')[0];
+  const expected = Buffer.from(signMediaUrl(pathname, parseInt(uid), parseInt(expires), isDownloadLink(req)));
+  const actual = Buffer.from(sig);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+  const user = users.find(u => u.id === parseInt(uid));
+  return user && !user.disabled ? user : null;
+}
+
+// Media routes take a signed link or, unless REQUIRE_SIGNED_MEDIA is on, a normal session
+function verifyMediaAccess(req, res, next) {
+  if (req.query.sig) {
+    const user = verifyMediaSignature(req);
+    if (!user) {
+      console.log(`Rejected media link for ${req.path}`);
+      return sendError(res, 403, 'Media link is invalid or has expired');
+    }
+    req.userId = user.id;
+    req.username = user.username;
+    req.role = user.role;
+    return next();
+  }
+  if (REQUIRE_SIGNED_MEDIA) return sendError(res, 403, 'A signed media link is required');
+  verifyToken(req, res, next);
+}
+
+// Route-level authorization; must run after verifyToken
+function requireRole(...roles) {
+  return (req, res, next) => {
+    if (!roles.includes(req.role)) {
+      console.log(`Forbidden: ${req.username} (${req.role}) attempted ${req.method} ${req.path}`);
+      if (req.path === '/manage-movies.html') {
+        return res.redirect('/index.html');
+      }
+      return res.status(403).json({ error: 'Forbidden: Insufficient permissions' });
+    }
+    next();
+  };
+}
+
 const storage = multer.diskStorage({
   destination: async (req, file, cb) => {
     let uploadDir;
     const category = req.body.category;
-    if (!category || !['movie', 'tv-series', 'music', 'animation'].includes(category)) {
+    if (file.fieldname === 'episode_file') {
+      uploadDir = config.seriesDir;
+    } else if (!category || !['movie', 'tv-series', 'music', 'animation'].includes(category)) {
       return cb(new Error('Invalid category: must be movie, tv-series, music, or animation'));
-    }
-    if (file.fieldname === 'movie_file') {
+    } else if (file.fieldname === 'movie_file') {
       uploadDir = category === 'movie' ? config.moviesDir :
                   category === 'tv-series' ? config.seriesDir :
                   category === 'music' ? config.musicDir :
@@ -149,7 +532,7 @@ const storage = multer.diskStorage({
   }
 });
 
-const upload = multer({
+const uploadOptions = {
   storage,
   limits: {
     fileSize: parseInt(process.env.MULTER_FILE_SIZE_LIMIT) || 500 * 1024 * 1024,
@@ -159,71 +542,137 @@ const upload = multer({
     parts: parseInt(process.env.MULTER_PARTS_LIMIT) || 22
   },
   fileFilter: (req, file, cb) => {
-    if (file.fieldname === 'movie_file' && !file.mimetype.startsWith('video/') && !file.mimetype.startsWith('audio/')) {
-      return cb(new Error('Movie file must be video or audio'));
+    if (['movie_file', 'episode_file'].includes(file.fieldname) && !file.mimetype.startsWith('video/') && !file.mimetype.startsWith('audio/')) {
+      return cb(new Error(`${file.fieldname === 'movie_file' ? 'Movie' : 'Episode'} file must be video or audio`));
     }
     if (file.fieldname === 'poster_file' && !file.mimetype.startsWith('image/')) {
       return cb(new Error('Poster file must be an image'));
     }
     cb(null, true);
   }
-}).fields([{ name: 'movie_file', maxCount: 1 }, { name: 'poster_file', maxCount: 1 }]);
+};
+const upload = multer(uploadOptions).fields([{ name: 'movie_file', maxCount: 1 }, { name: 'poster_file', maxCount: 1 }]);
+const uploadEpisode = multer(uploadOptions).single('episode_file');
 
-async function ensureMoviesFile() {
+// A fresh SQLite catalog starts from movies.json if that file has entries
+async function initCatalog() {
+  await catalog.init();
+  if (catalog.backend !== 'sqlite' || await catalog.count()) return;
   try {
-    await fs.access(moviesFile);
-    const content = await fs.readFile(moviesFile, 'utf8');
-    JSON.parse(content);
+    const movies = JSON.parse(await fs.readFile(moviesFile, 'utf8'));
+    if (Array.isArray(movies) && movies.length) {
+      await catalog.transaction(tx => tx.replaceAll(movies.map(normalizeEntry)));
+      console.log(`Imported ${movies.length} movies from ${moviesFile} into ${catalogDbFile}`);
+    }
   } catch (error) {
-    console.log('Creating or resetting movies.json');
-    await fs.writeFile(moviesFile, JSON.stringify([], null, 2));
+    if (error.code !== 'ENOENT') throw error;
+  }
+}
+
+// Entries written before the catalog schema existed are normalized whenever they are next saved;
+// migrate-schema.js normalizes them all at once and reports the ones it cannot fix
+async function warnAboutLegacyEntries() {
+  const legacy = (await catalog.list()).filter(movie => schemaErrors(movie).length);
+  if (legacy.length) {
+    console.warn(`${legacy.length} catalog entries do not match the catalog schema; run "npm run migrate-schema" to normalize them`);
   }
 }
 
+// Backups are named after the time they were taken: movies-backup-2025-01-31T12-00-00-000Z.json
+const BACKUP_NAME = /^movies-backup-(\d{4}-\d{2}-\d{2})T(\d{2})-(\d{2})-(\d{2})-(\d{3})Z\.json$/;
+const backupTime = (name) => {
+  const match = name.match(BACKUP_NAME);
+  return match ? Date.parse(`${match[1]}T${match[2]}:${match[3]}:${match[4]}.${match[5]}Z`) : null;
+};
+
+// Resolves to the backup's file name, or null when it could not be written
 async function backupMoviesFile() {
   try {
     await fs.mkdir(config.backupDir, { recursive: true });
     const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-    const backupFile = path.join(config.backupDir, `movies-backup-${timestamp}.json`);
-    await fs.copyFile(moviesFile, backupFile);
+    const name = `movies-backup-${timestamp}.json`;
+    const backupFile = path.join(config.backupDir, name);
+    await writeFileAtomic(backupFile, JSON.stringify(await catalog.list(), null, 2));
     console.log(`Backup created: ${backupFile}`);
     await cleanupOldBackups();
+    return name;
   } catch (error) {
     console.error('Failed to create backup:', error);
+    return null;
   }
 }
 
-async function cleanupOldBackups(maxBackups = 10) {
+// Newest first; other files in the backup folder are left alone
+async function listBackups() {
+  let files;
   try {
-    const backups = (await fs.readdir(config.backupDir)).sort().reverse();
-    if (backups.length > maxBackups) {
-      for (const file of backups.slice(maxBackups)) {
-        await fs.unlink(path.join(config.backupDir, file));
-      }
+    files = await fs.readdir(config.backupDir);
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+  return files.filter(name => backupTime(name) !== null).sort().reverse();
+}
+
+async function cleanupOldBackups() {
+  try {
+    const now = Date.now();
+    const expired = (await listBackups()).filter((name, index) =>
+      index >= BACKUP_MAX_COUNT || (BACKUP_MAX_AGE && now - backupTime(name) > BACKUP_MAX_AGE));
+    for (const name of expired) {
+      await fs.unlink(path.join(config.backupDir, name));
     }
   } catch (error) {
     console.error('Failed to clean up old backups:', error);
   }
 }
 
-async function validateMovie(movie) {
-  if (!movie.title || movie.title.trim() === '') throw new Error('Title is required');
-  if (!['movie', 'tv-series', 'music', 'animation'].includes(movie.category)) throw new Error('Invalid category');
-  if (movie.year && !/^\d{4}$/.test(movie.year)) throw new Error('Year must be a 4-digit number');
-  if (movie.rating && (isNaN(movie.rating) || movie.rating < 0 || movie.rating > 10)) {
-    throw new Error('Rating must be between 0 and 10');
+// Only names listed by listBackups are accepted, so a name never reaches outside the backup folder.
+// Backups taken before the schema migration are normalized like any other input.
+async function readBackup(name) {
+  if (!(await listBackups()).includes(name)) return null;
+  const movies = JSON.parse(await fs.readFile(path.join(config.backupDir, name), 'utf8'));
+  if (!Array.isArray(movies) || movies.some(m => !Number.isInteger(m?.id)) || new Set(movies.map(m => m.id)).size !== movies.length) {
+    throw new Error(`${name} is not a valid catalog backup`);
   }
-  if (movie.description && movie.description.length > 1000) {
-    throw new Error('Description must be 1000 characters or less');
+  return movies.map(normalizeEntry);
+}
+
+// The audit log is append-only JSON lines. A failed write is logged but does not undo
+// the catalog change it describes.
+async function recordAudit(req, action, movieId, before, after) {
+  const entry = {
+    timestamp: new Date().toISOString(),
+    userId: req.userId,
+    username: req.username,
+    action,
+    movieId,
+    changes: diffFields(before, after)
+  };
+  try {
+    await fs.mkdir(path.dirname(auditFile), { recursive: true });
+    await fs.appendFile(auditFile, JSON.stringify(entry) + '\n');
+  } catch (error) {
+    console.error('Failed to write audit entry:', error);
   }
-  if (movie.genres) {
-    movie.genres = movie.genres.split(',').map(g => g.trim()).filter(g => g);
-    if (movie.genres.some(g => g.length > 50)) {
-      throw new Error('Each genre must be 50 characters or less');
-    }
-  } else {
-    movie.genres = [];
+}
+
+async function readAuditLog() {
+  let content;
+  try {
+    content = await fs.readFile(auditFile, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
   }
+  return content.split('\n').filter(line => line.trim()).flatMap(line => {
+    try {
+      return [JSON.parse(line)];
+    } catch (error) {
+      console.warn('Skipping malformed audit entry:', line.slice(0, 80));
+      return [];
+    }
+  });
 }
 
 const sendError = (res, status, message) => {
@@ -239,7 +688,8 @@ configRouter.get('/config', (req, res) => {
     window.env = {
       CACHE_DURATION: "${process.env.CACHE_DURATION || '3600000'}",
       API_BASE_URL: "${process.env.API_BASE_URL || 'http://localhost:3000'}",
-      FALLBACK_VIDEO_PATH: "${process.env.FALLBACK_VIDEO_PATH || '/assets/video/fallback.mp4'}"
+      FALLBACK_VIDEO_PATH: "${process.env.FALLBACK_VIDEO_PATH || '/assets/video/fallback.mp4'}",
+      AUTH_MODE: "${AUTH_MODE}"
     };
   `);
 });
@@ -251,230 +701,2155 @@ app.use('/', configRouter);
 // Login endpoint supporting username or email
 app.post('/auth/login', express.json(), async (req, res) => {
   try {
-    const { username, password } = req.body;
+    const { username, password, mode } = req.body || {};
     if (!username || !password) {
       console.log('Login attempt with missing fields:', { username: !!username, password: !!password });
       return sendError(res, 400, 'Username or email and password are required');
     }
     const user = users.find(u => u.username === username || u.email === username);
-    if (!user) {
-      console.log(`Login failed: No user found for username/email: ${username}`);
-      return sendError(res, 401, 'Invalid username or email');
+    const ipKey = `ip:${req.ip}`;
+    const accountKey = loginAccountKey(user, username);
+    const lockedUntil = Math.max(getLoginLock(ipKey), getLoginLock(accountKey));
+    if (lockedUntil) {
+      console.log(`Login blocked for ${username} from ${req.ip}: locked until ${new Date(lockedUntil).toISOString()}`);
+      res.setHeader('Retry-After', Math.ceil((lockedUntil - Date.now()) / 1000));
+      return sendError(res, 429, 'Too many failed login attempts. Try again later.');
+    }
+
+    const isPasswordValid = await bcrypt.compare(password, user ? user.password : DUMMY_PASSWORD_HASH);
+    if (!user || !isPasswordValid) {
+      console.log(`Login failed for username/email: ${username} from ${req.ip}${user ? '' : ' (no such user)'}`);
+      recordLoginFailure(ipKey, req.ip, LOGIN_IP_MAX_ATTEMPTS);
+      recordLoginFailure(accountKey, user ? user.username : String(username).slice(0, 100), LOGIN_MAX_ATTEMPTS);
+      return sendError(res, 401, 'Invalid username or password');
     }
-    
-    const isPasswordValid = await bcrypt.compare(password, user.password);
-    if (!isPasswordValid) {
-      console.log(`Login failed: Invalid password for user: ${user.username}`);
-      return sendError(res, 401, 'Invalid password');
+    loginAttempts.delete(accountKey);
+    if (user.disabled) {
+      console.log(`Login refused for disabled user: ${user.username}`);
+      return sendError(res, 403, 'Account is disabled');
     }
 
-    const token = jwt.sign({ userId: user.id, username: user.username }, SECRET_KEY, { expiresIn: JWT_EXPIRES_IN });
-    console.log(`Login successful for user: ${user.username}, token issued`);
-    res.json({ token, username: user.username });
+    const session = await issueSession(user);
+    console.log(`Login successful for user: ${user.username} (${user.role}), ${mode === 'cookie' ? 'session cookie' : 'token'} issued`);
+    sendSession(res, user, session, mode === 'cookie');
   } catch (error) {
     console.error('POST /auth/login error:', error);
     sendError(res, 500, 'Server error');
   }
 });
 
-app.get('/assets/data/movies.json', async (req, res) => {
+app.post('/auth/register', async (req, res) => {
   try {
-    await ensureMoviesFile();
-    const movies = JSON.parse(await fs.readFile(moviesFile, 'utf8'));
-    res.json(movies);
+    const { password, mode } = req.body || {};
+    const username = (req.body?.username || '').trim();
+    const email = (req.body?.email || '').trim().toLowerCase();
+    validateAccount({ username, email, password });
+    const conflict = findAccountConflict({ username, email });
+    if (conflict) return sendError(res, 409, conflict);
+
+    const user = {
+      id: nextUserId(),
+      username,
+      email,
+      role: 'viewer',
+      password: await hashPassword(password)
+    };
+    users.push(user);
+    await saveUsers();
+    console.log(`Registered new user: ${user.username}`);
+    res.status(201);
+    sendSession(res, user, await issueSession(user), mode === 'cookie');
   } catch (error) {
-    console.error('GET /assets/data/movies.json error:', error);
-    sendError(res, 500, 'Failed to load movies');
+    console.error('POST /auth/register error:', error);
+    sendError(res, 400, error.message);
   }
 });
 
-// Restrict access to users.json
-app.get('/assets/data/users.json', (req, res) => {
-  console.log('Attempted access to restricted /assets/data/users.json');
-  sendError(res, 403, 'Access to user data is restricted');
+app.get('/auth/me', verifyToken, (req, res) => {
+  const user = users.find(u => u.id === req.userId);
+  if (!user) return sendError(res, 404, 'User not found');
+  res.json(toPublicUser(user));
 });
 
-app.use('/hub/movies', express.static(config.moviesDir, { maxAge: STATIC_MAX_AGE }));
-app.use('/hub/series', express.static(config.seriesDir, { maxAge: STATIC_MAX_AGE }));
-app.use('/hub/music', express.static(config.musicDir, { maxAge: STATIC_MAX_AGE }));
-app.use('/hub/animations', express.static(config.animationsDir, { maxAge: STATIC_MAX_AGE }));
-app.use('/hub/posters', express.static(config.postersDir, { maxAge: STATIC_MAX_AGE }));
-app.use('/assets', express.static(path.join(rootDir, 'assets'), {
-  maxAge: STATIC_MAX_AGE,
-  setHeaders: (res, filePath) => {
-    const ext = path.extname(filePath).toLowerCase();
-    const mimeTypes = {
-      '.css': 'text/css',
-      '.js': 'application/javascript',
-      '.svg': 'image/svg+xml',
-      '.jpg': 'image/jpeg',
-      '.png': 'image/png',
-      '.ico': 'image/x-icon'
-    };
-    res.setHeader('Content-Type', mimeTypes[ext] || 'application/octet-stream');
-    if (ext === '.js') {
-      res.setHeader('Cache-Control', 'no-cache, no-store, must-revalidate');
+app.get('/auth/csrf', verifyToken, (req, res) => {
+  const csrfToken = createCsrfToken(req.userId);
+  res.cookie(CSRF_COOKIE, csrfToken, { ...cookieOptions, httpOnly: false, sameSite: 'strict', maxAge: REFRESH_TOKEN_TTL });
+  res.json({ csrfToken });
+});
+
+app.put('/auth/me', verifyToken, verifyCsrf, async (req, res) => {
+  try {
+    const user = users.find(u => u.id === req.userId);
+    if (!user) return sendError(res, 404, 'User not found');
+    const username = req.body.username !== undefined ? String(req.body.username).trim() : undefined;
+    const email = req.body.email !== undefined ? String(req.body.email).trim().toLowerCase() : undefined;
+    validateAccount({ username, email }, { partial: true });
+    const conflict = findAccountConflict({ username, email }, user.id);
+    if (conflict) return sendError(res, 409, conflict);
+
+    if (username !== undefined) user.username = username;
+    if (email !== undefined) user.email = email;
+    await saveUsers();
+    console.log(`Profile updated for user ${user.id}: ${user.username}`);
+    // The username is embedded in the token, so hand out a fresh one
+    const session = issueAccessToken(user);
+    if (req.authViaCookie) {
+      res.cookie(SESSION_COOKIE, session.token, { ...cookieOptions, maxAge: session.expiresAt - Date.now() });
+      return res.json({ user: toPublicUser(user), expiresAt: session.expiresAt });
     }
+    res.json({ user: toPublicUser(user), token: session.token, expiresAt: session.expiresAt });
+  } catch (error) {
+    console.error('PUT /auth/me error:', error);
+    sendError(res, 400, error.message);
   }
-}));
-app.use('/', express.static(rootDir, { maxAge: STATIC_MAX_AGE, index: 'index.html' }));
-
-// Explicit route for index.html to ensure no auth check
-app.get('/index.html', (req, res) => {
-  const filePath = path.join(rootDir, 'index.html');
-  fs.access(filePath)
-    .then(() => res.sendFile(filePath))
-    .catch(() => {
-      console.log(`index.html not found at: ${filePath}`);
-      res.status(404).send('index.html not found');
-    });
 });
 
-app.post('/movies/add', verifyToken, upload, async (req, res) => {
+app.post('/auth/change-password', verifyToken, verifyCsrf, async (req, res) => {
   try {
-    if (!req.files || !req.files.movie_file) {
-      return sendError(res, 400, 'Movie file is required');
+    const user = users.find(u => u.id === req.userId);
+    if (!user) return sendError(res, 404, 'User not found');
+    const { currentPassword, newPassword } = req.body;
+    if (!currentPassword || !newPassword) {
+      return sendError(res, 400, 'Current and new password are required');
     }
-    const movie = {
-      title: req.body.title,
-      file_path: `/${req.body.category === 'movie' ? 'hub/movies' : req.body.category === 'tv-series' ? 'hub/series' : req.body.category === 'music' ? 'hub/music' : 'hub/animations'}/${req.files.movie_file[0].filename}`,
-      poster: req.files.poster_file ? `/hub/posters/${req.files.poster_file[0].filename}` : req.body.poster || '',
-      duration: req.body.duration || '',
-      year: req.body.year || '',
-      rating: req.body.rating || '',
-      resolution: req.body.resolution || '',
-      category: req.body.category,
-      genres: req.body.genres,
-      description: req.body.description || ''
-    };
-
-    await validateMovie(movie);
-    await ensureMoviesFile();
-    await backupMoviesFile();
-    const movies = JSON.parse(await fs.readFile(moviesFile, 'utf8'));
-    movie.id = movies.length ? Math.max(...movies.map(m => m.id)) + 1 : 1;
-    movies.push(movie);
-    await fs.writeFile(moviesFile, JSON.stringify(movies, null, 2));
-    res.json(movie);
+    if (!(await bcrypt.compare(currentPassword, user.password))) {
+      return sendError(res, 400, 'Current password is incorrect');
+    }
+    validateAccount({ password: newPassword }, { partial: true });
+    user.password = await hashPassword(newPassword);
+    await saveUsers();
+    // Sign out every other session; the caller continues on a fresh one
+    revokeRefreshTokens(t => t.userId === user.id);
+    revokeAccessToken(req.tokenId, req.tokenExp);
+    const session = await issueSession(user);
+    console.log(`Password changed for user: ${user.username}, other sessions revoked`);
+    sendSession(res, user, session, req.authViaCookie, { message: 'Password changed' });
   } catch (error) {
-    console.error('POST /movies/add error:', error);
+    console.error('POST /auth/change-password error:', error);
     sendError(res, 400, error.message);
   }
 });
 
-app.post('/movies/edit/:id', verifyToken, upload, async (req, res) => {
+// Always answers the same way so the endpoint cannot be used to discover accounts
+app.post('/auth/forgot', async (req, res) => {
+  const message = 'If an account matches, a reset link has been sent';
   try {
-    await ensureMoviesFile();
-    const movies = JSON.parse(await fs.readFile(moviesFile, 'utf8'));
-    const id = parseInt(req.params.id);
-    const index = movies.findIndex(m => m.id === id);
-    if (index === -1) return sendError(res, 404, 'Movie not found');
-
-    const oldMovie = movies[index];
-    const movie = {
-      title: req.body.title,
-      file_path: req.files.movie_file
-        ? `/${req.body.category === 'movie' ? 'hub/movies' : req.body.category === 'tv-series' ? 'hub/series' : req.body.category === 'music' ? 'hub/music' : 'hub/animations'}/${req.files.movie_file[0].filename}`
-        : req.body.file_path || oldMovie.file_path,
-      poster: req.files.poster_file ? `/hub/posters/${req.files.poster_file[0].filename}` : req.body.poster || oldMovie.poster,
-      duration: req.body.duration || '',
-      year: req.body.year || '',
-      rating: req.body.rating || '',
-      resolution: req.body.resolution || '',
-      category: req.body.category,
-      genres: req.body.genres,
-      description: req.body.description || ''
-    };
-
-    await validateMovie(movie);
-    await backupMoviesFile();
-    movies[index] = { ...movie, id };
-
-    if (req.files.movie_file && oldMovie.file_path) {
-      try {
-        await fs.unlink(path.join(rootDir, oldMovie.file_path.slice(1)));
-      } catch (error) {
-        console.warn('Failed to delete old movie file:', error);
-      }
+    const identifier = String(req.body?.email || req.body?.username || '').trim().toLowerCase();
+    if (!identifier) return sendError(res, 400, 'Email or username is required');
+    const user = users.find(u => u.email?.toLowerCase() === identifier || u.username.toLowerCase() === identifier);
+    if (!user || user.disabled || !user.email) {
+      console.log(`Password reset requested for unknown or disabled account: ${identifier}`);
+      return res.json({ message });
     }
-    if (req.files.poster_file && oldMovie.poster) {
-      try {
-        await fs.unlink(path.join(rootDir, oldMovie.poster.slice(1)));
-      } catch (error) {
-        console.warn('Failed to delete old poster file:', error);
-      }
+    if (user.passwordReset && Date.now() - user.passwordReset.issuedAt < PASSWORD_RESET_COOLDOWN) {
+      console.log(`Password reset for ${user.username} requested again within the cooldown`);
+      return res.json({ message });
     }
 
-    await fs.writeFile(moviesFile, JSON.stringify(movies, null, 2));
-    res.json(movies[index]);
+    // Only the hash is stored; the token itself exists solely in the email
+    const token = crypto.randomBytes(32).toString('base64url');
+    user.passwordReset = { hash: hashToken(token), issuedAt: Date.now(), expiresAt: Date.now() + PASSWORD_RESET_TTL };
+    await saveUsers();
+    // The token travels in the fragment so it never reaches server logs or Referer headers
+    const link = `${process.env.API_BASE_URL}/login.html#reset=${token}`;
+    await mailer.sendMail({
+      to: user.email,
+      subject: 'Reset your Creatives Films password',
+      text: [
+        `Hi ${user.username},`,
+        '',
+        'Someone asked to reset the password for your account. Use the link below to choose a new one:',
+        '',
+        link,
+        '',
+        `The link can be used once and expires in ${Math.round(PASSWORD_RESET_TTL / 60000)} minutes.`,
+        'If you did not ask for this, you can ignore this email.'
+      ].join('\r\n')
+    });
+    console.log(`Password reset link issued for user: ${user.username}`);
+    res.json({ message });
+  } catch (error) {
+    console.error('POST /auth/forgot error:', error);
+    sendError(res, 500, 'Could not send reset email');
+  }
+});
+
+app.post('/auth/reset', async (req, res) => {
+  try {
+    const { token, password } = req.body || {};
+    if (!token || !password) return sendError(res, 400, 'Token and new password are required');
+    const hash = hashToken(String(token));
+    const user = users.find(u => u.passwordReset?.hash === hash);
+    if (!user || user.disabled || user.passwordReset.expiresAt <= Date.now()) {
+      return sendError(res, 400, 'Reset link is invalid or has expired');
+    }
+    validateAccount({ password }, { partial: true });
+    user.password = await hashPassword(password);
+    delete user.passwordReset;
+    await saveUsers();
+    // A reset means the old password may be known to someone else: end every session
+    revokeRefreshTokens(t => t.userId === user.id);
+    await saveSessions();
+    loginAttempts.delete(`account:${user.id}`);
+    console.log(`Password reset completed for user: ${user.username}`);
+    res.json({ message: 'Password has been reset' });
   } catch (error) {
-    console.error('POST /movies/edit/:id error:', error);
+    console.error('POST /auth/reset error:', error);
     sendError(res, 400, error.message);
   }
 });
 
-app.delete('/movies/delete/:id', verifyToken, async (req, res) => {
+// Exchange a refresh token for a new pair. A token rotated within REFRESH_REUSE_GRACE is most
+// likely a second tab refreshing at the same time and gets a pair of its own in the same family;
+// presenting a rotated token any later revokes the whole family.
+app.post('/auth/refresh', async (req, res) => {
   try {
-    await ensureMoviesFile();
-    const movies = JSON.parse(await fs.readFile(moviesFile, 'utf8'));
-    const id = parseInt(req.params.id);
-    const index = movies.findIndex(m => m.id === id);
-    if (index === -1) return sendError(res, 404, 'Movie not found');
+    const useCookies = !req.body?.refreshToken && !!req.cookies[REFRESH_COOKIE];
+    const refreshToken = req.body?.refreshToken || req.cookies[REFRESH_COOKIE];
+    if (!refreshToken) return sendError(res, 400, 'Refresh token is required');
+    const rejectRefresh = () => {
+      if (useCookies) clearSessionCookies(res);
+      sendError(res, 401, 'Unauthorized: Invalid refresh token');
+    };
+    const record = sessions.refreshTokens.find(t => t.hash === hashToken(refreshToken));
+    if (!record || record.expiresAt <= Date.now()) {
+      return rejectRefresh();
+    }
+    if (record.rotatedAt && Date.now() - record.rotatedAt > REFRESH_REUSE_GRACE) {
+      console.warn(`Refresh token reuse detected for user ${record.userId}, revoking session family`);
+      revokeRefreshTokens(t => t.family === record.family);
+      await saveSessions();
+      return rejectRefresh();
+    }
+    const user = users.find(u => u.id === record.userId);
+    if (!user || user.disabled) {
+      revokeRefreshTokens(t => t.family === record.family);
+      await saveSessions();
+      return rejectRefresh();
+    }
+    if (record.rotatedAt) {
+      console.log(`Refresh token for user ${record.userId} reused within the grace period`);
+    } else {
+      record.rotatedAt = Date.now();
+    }
+    const session = await issueSession(user, record.family);
+    sendSession(res, user, session, useCookies);
+  } catch (error) {
+    console.error('POST /auth/refresh error:', error);
+    sendError(res, 500, 'Server error');
+  }
+});
 
-    const movie = movies[index];
-    if (movie.file_path) {
+// Logout works with an expired access token so clients can always end their session
+app.post('/auth/logout', async (req, res) => {
+  try {
+    const token = req.headers.authorization?.split(' ')[1] || req.cookies[SESSION_COOKIE];
+    if (token) {
       try {
-        await fs.unlink(path.join(rootDir, movie.file_path.slice(1)));
+        const decoded = jwt.verify(token, SECRET_KEY, { ignoreExpiration: true });
+        revokeAccessToken(decoded.jti, decoded.exp);
       } catch (error) {
-        console.warn('Failed to delete movie file:', error);
+        console.log(`Ignoring invalid access token on logout: ${error.message}`);
       }
     }
-    if (movie.poster) {
-      try {
-        await fs.unlink(path.join(rootDir, movie.poster.slice(1)));
-      } catch (error) {
-        console.warn('Failed to delete poster file:', error);
-      }
+    const refreshToken = req.body?.refreshToken || req.cookies[REFRESH_COOKIE];
+    const record = refreshToken && sessions.refreshTokens.find(t => t.hash === hashToken(refreshToken));
+    if (record) {
+      revokeRefreshTokens(t => t.family === record.family);
     }
-
-    await backupMoviesFile();
-    movies.splice(index, 1);
-    await fs.writeFile(moviesFile, JSON.stringify(movies, null, 2));
-    res.json({ message: 'Movie deleted' });
+    await saveSessions();
+    clearSessionCookies(res);
+    res.json({ message: 'Logged out' });
   } catch (error) {
-    console.error('DELETE /movies/delete/:id error:', error);
-    sendError(res, 500, 'Failed to delete movie');
+    console.error('POST /auth/logout error:', error);
+    sendError(res, 500, 'Server error');
   }
 });
 
-app.get('/login.html', (req, res) => {
-  const filePath = path.join(rootDir, 'login.html');
-  fs.access(filePath)
-    .then(() => res.sendFile(filePath))
-    .catch(() => {
-      console.log(`login.html not found at: ${filePath}`);
-      res.status(404).send('login.html not found');
-    });
+app.get('/admin/lockouts', verifyToken, requireRole('admin'), (req, res) => {
+  const now = Date.now();
+  const lockouts = [...loginAttempts.values()].map(entry => ({
+    key: entry.key,
+    type: entry.key.startsWith('ip:') ? 'ip' : 'account',
+    label: entry.label,
+    failures: entry.failures,
+    lockouts: entry.lockouts,
+    locked: entry.lockedUntil > now,
+    lockedUntil: entry.lockedUntil > now ? new Date(entry.lockedUntil).toISOString() : null,
+    lastFailure: new Date(entry.lastFailure).toISOString()
+  }));
+  res.json(lockouts);
 });
 
-app.get('/manage-movies.html', verifyToken, (req, res) => {
-  const filePath = path.join(rootDir, 'admin/manage-movies.html');
-  fs.access(filePath)
-    .then(() => res.sendFile(filePath))
-    .catch(() => {
-      console.log(`manage-movies.html not found at: ${filePath}`);
-      res.status(404).send('manage-movies.html not found');
-    });
+app.delete('/admin/lockouts/:key', verifyToken, requireRole('admin'), verifyCsrf, (req, res) => {
+  if (!loginAttempts.delete(req.params.key)) return sendError(res, 404, 'Lockout not found');
+  console.log(`Login lockout ${req.params.key} cleared by ${req.username}`);
+  res.json({ message: 'Lockout cleared' });
 });
 
-app.get('/favicon.ico', (req, res) => {
-  const faviconPath = path.join(rootDir, 'assets/images/favicon.ico');
-  fs.access(faviconPath)
-    .then(() => res.sendFile(faviconPath))
-    .catch(() => {
-      console.log('Favicon not found at:', faviconPath);
-      res.status(404).send('Favicon not found');
-    });
+// Newest first. Filters: userId, username, action, movieId, from/to (ISO dates), limit, offset
+app.get('/admin/audit', verifyToken, requireRole('admin'), async (req, res) => {
+  try {
+    const { userId, username, action, movieId, from, to } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 100, 1000);
+    const offset = parseInt(req.query.offset) || 0;
+    const fromTime = from ? Date.parse(from) : null;
+    const toTime = to ? Date.parse(to) : null;
+    if (Number.isNaN(fromTime) || Number.isNaN(toTime)) {
+      return sendError(res, 400, 'from and to must be valid dates');
+    }
+
+    const entries = (await readAuditLog()).filter(entry => {
+      const time = Date.parse(entry.timestamp);
+      return (!userId || entry.userId === parseInt(userId)) &&
+        (!username || entry.username?.toLowerCase() === username.toLowerCase()) &&
+        (!action || entry.action === action) &&
+        (!movieId || entry.movieId === parseInt(movieId)) &&
+        (fromTime === null || time >= fromTime) &&
+        (toTime === null || time <= toTime);
+    }).reverse();
+    res.json({ total: entries.length, entries: entries.slice(offset, offset + limit) });
+  } catch (error) {
+    console.error('GET /admin/audit error:', error);
+    sendError(res, 500, 'Failed to read audit log');
+  }
+});
+
+// Catalog backups: list them, compare one with the current catalog, and restore it
+app.get('/admin/backups', verifyToken, requireRole('admin'), async (req, res) => {
+  try {
+    const backups = await Promise.all((await listBackups()).map(async name => ({
+      name,
+      createdAt: new Date(backupTime(name)).toISOString(),
+      size: (await fs.stat(path.join(config.backupDir, name))).size
+    })));
+    res.json({ backups, retention: { maxCount: BACKUP_MAX_COUNT, maxAgeDays: BACKUP_MAX_AGE / (24 * 60 * 60 * 1000) } });
+  } catch (error) {
+    console.error('GET /admin/backups error:', error);
+    sendError(res, 500, 'Failed to list backups');
+  }
+});
+
+// What restoring `backup` would do to `movies`: titles it adds back, titles it removes and
+// field changes (from the current value to the backup's) for titles in both
+function diffCatalog(movies, backup) {
+  const current = new Map(movies.map(m => [m.id, m]));
+  const summary = (movie) => ({ id: movie.id, title: movie.title });
+  const changed = backup.filter(m => current.has(m.id)).map(movie => ({
+    ...summary(movie),
+    changes: diffFields(current.get(movie.id), movie)
+  })).filter(entry => Object.keys(entry.changes).length);
+  return {
+    added: backup.filter(m => !current.has(m.id)).map(summary),
+    removed: movies.filter(m => !backup.some(b => b.id === m.id)).map(summary),
+    changed,
+    unchanged: backup.length - changed.length - backup.filter(m => !current.has(m.id)).length
+  };
+}
+
+app.get('/admin/backups/:name/diff', verifyToken, requireRole('admin'), async (req, res) => {
+  try {
+    const backup = await readBackup(req.params.name);
+    if (!backup) return sendError(res, 404, 'Backup not found');
+    res.json({ name: req.params.name, ...diffCatalog(await catalog.list(), backup) });
+  } catch (error) {
+    console.error('GET /admin/backups/:name/diff error:', error);
+    sendError(res, 500, error.message);
+  }
+});
+
+// Replaces the whole catalog with the backup, after backing up the current catalog. Media and
+// poster files are not touched, so titles deleted since the backup may come back without them.
+app.post('/admin/backups/:name/restore', verifyToken, requireRole('admin'), verifyCsrf, async (req, res) => {
+  try {
+    // Read before backing up: the new backup's cleanup may delete the one being restored
+    const backup = await readBackup(req.params.name);
+    if (!backup) return sendError(res, 404, 'Backup not found');
+    const safetyBackup = await backupMoviesFile();
+    if (!safetyBackup) return sendError(res, 500, 'Could not back up the current catalog; nothing was restored');
+
+    const before = await catalog.transaction(tx => {
+      const movies = tx.list().slice();
+      tx.replaceAll(backup);
+      return movies;
+    });
+    const previous = new Map(before.map(m => [m.id, m]));
+    for (const movie of backup) {
+      const old = previous.get(movie.id);
+      if (!old) await recordAudit(req, 'create', movie.id, {}, movie);
+      else if (Object.keys(diffFields(old, movie)).length) await recordAudit(req, 'update', movie.id, old, movie);
+    }
+    for (const movie of before.filter(m => !backup.some(b => b.id === m.id))) {
+      await recordAudit(req, 'delete', movie.id, movie, {});
+    }
+    console.log(`Catalog restored from ${req.params.name} by ${req.username}; previous catalog saved as ${safetyBackup}`);
+    res.json({ message: 'Catalog restored', restored: req.params.name, backup: safetyBackup, ...diffCatalog(before, backup) });
+  } catch (error) {
+    console.error('POST /admin/backups/:name/restore error:', error);
+    sendError(res, 500, error.message);
+  }
+});
+
+const toAdminUser = (user) => {
+  const lockedUntil = getLoginLock(`account:${user.id}`);
+  return {
+    ...toPublicUser(user),
+    disabled: !!user.disabled,
+    locked: !!lockedUntil,
+    lockedUntil: lockedUntil ? new Date(lockedUntil).toISOString() : null
+  };
+};
+
+app.get('/admin/users', verifyToken, requireRole('admin'), (req, res) => {
+  res.json(users.map(toAdminUser));
+});
+
+app.post('/admin/users', verifyToken, requireRole('admin'), verifyCsrf, async (req, res) => {
+  try {
+    const username = String(req.body.username || '').trim();
+    const email = String(req.body.email || '').trim().toLowerCase();
+    const { password } = req.body;
+    const role = req.body.role || 'viewer';
+    validateAccount({ username, email, password });
+    if (!ROLES.includes(role)) return sendError(res, 400, `Role must be one of: ${ROLES.join(', ')}`);
+    const conflict = findAccountConflict({ username, email });
+    if (conflict) return sendError(res, 409, conflict);
+
+    const user = { id: nextUserId(), username, email, role, password: await hashPassword(password) };
+    users.push(user);
+    await saveUsers();
+    console.log(`User ${user.username} (${user.role}) created by ${req.username}`);
+    res.status(201).json(toAdminUser(user));
+  } catch (error) {
+    console.error('POST /admin/users error:', error);
+    sendError(res, 400, error.message);
+  }
+});
+
+// Update role, disabled flag, username or email
+app.put('/admin/users/:id', verifyToken, requireRole('admin'), verifyCsrf, async (req, res) => {
+  try {
+    const user = users.find(u => u.id === parseInt(req.params.id));
+    if (!user) return sendError(res, 404, 'User not found');
+    const { role, disabled } = req.body;
+    const username = req.body.username !== undefined ? String(req.body.username).trim() : undefined;
+    const email = req.body.email !== undefined ? String(req.body.email).trim().toLowerCase() : undefined;
+
+    if (role !== undefined && !ROLES.includes(role)) {
+      return sendError(res, 400, `Role must be one of: ${ROLES.join(', ')}`);
+    }
+    const demoting = role !== undefined && role !== 'admin';
+    if (user.id === req.userId && (demoting || disabled)) {
+      return sendError(res, 400, 'You cannot demote or disable your own account');
+    }
+    if ((demoting || disabled) && isLastActiveAdmin(user)) {
+      return sendError(res, 400, 'At least one active admin is required');
+    }
+    validateAccount({ username, email }, { partial: true });
+    const conflict = findAccountConflict({ username, email }, user.id);
+    if (conflict) return sendError(res, 409, conflict);
+
+    if (username !== undefined) user.username = username;
+    if (email !== undefined) user.email = email;
+    if (role !== undefined) user.role = role;
+    if (disabled !== undefined) {
+      user.disabled = !!disabled;
+      if (user.disabled) revokeRefreshTokens(t => t.userId === user.id);
+    }
+    await saveUsers();
+    await saveSessions();
+    console.log(`User ${user.username} updated by ${req.username}:`, { role, disabled, username, email });
+    res.json(toAdminUser(user));
+  } catch (error) {
+    console.error('PUT /admin/users/:id error:', error);
+    sendError(res, 400, error.message);
+  }
+});
+
+app.post('/admin/users/:id/reset-password', verifyToken, requireRole('admin'), verifyCsrf, async (req, res) => {
+  try {
+    const user = users.find(u => u.id === parseInt(req.params.id));
+    if (!user) return sendError(res, 404, 'User not found');
+    const { password = '' } = req.body;
+    validateAccount({ password }, { partial: true });
+    user.password = await hashPassword(password);
+    revokeRefreshTokens(t => t.userId === user.id);
+    loginAttempts.delete(`account:${user.id}`);
+    await saveUsers();
+    await saveSessions();
+    console.log(`Password for ${user.username} reset by ${req.username}`);
+    res.json({ message: 'Password reset' });
+  } catch (error) {
+    console.error('POST /admin/users/:id/reset-password error:', error);
+    sendError(res, 400, error.message);
+  }
+});
+
+app.delete('/admin/users/:id', verifyToken, requireRole('admin'), verifyCsrf, async (req, res) => {
+  try {
+    const index = users.findIndex(u => u.id === parseInt(req.params.id));
+    if (index === -1) return sendError(res, 404, 'User not found');
+    const user = users[index];
+    if (user.id === req.userId) return sendError(res, 400, 'You cannot delete your own account');
+    if (isLastActiveAdmin(user)) return sendError(res, 400, 'At least one active admin is required');
+    users.splice(index, 1);
+    revokeRefreshTokens(t => t.userId === user.id);
+    loginAttempts.delete(`account:${user.id}`);
+    await saveUsers();
+    await saveSessions();
+    console.log(`User ${user.username} deleted by ${req.username}`);
+    res.json({ message: 'User deleted' });
+  } catch (error) {
+    console.error('DELETE /admin/users/:id error:', error);
+    sendError(res, 500, 'Failed to delete user');
+  }
+});
+
+// With REQUIRE_SIGNED_MEDIA on, posters need signed URLs, so the catalog is only served to
+// signed-in users and its hosted poster paths are signed for them
+const catalogAuth = (req, res, next) => REQUIRE_SIGNED_MEDIA ? verifyToken(req, res, next) : next();
+
+const withSignedPoster = (movie, userId) => REQUIRE_SIGNED_MEDIA && movie.poster?.startsWith('/hub/')
+  ? { ...movie, poster: createMediaLink(encodeUrlPath(movie.poster), userId).url }
+  : movie;
+
+app.get('/assets/data/movies.json', catalogAuth, async (req, res) => {
+  try {
+    const movies = await catalog.list();
+    res.json(movies.map(movie => withSignedPoster(movie, req.userId)));
+  } catch (error) {
+    console.error('GET /assets/data/movies.json error:', error);
+    sendError(res, 500, 'Failed to load movies');
+  }
+});
+
+const TITLES_DEFAULT_LIMIT = 24;
+const TITLES_MAX_LIMIT = 100;
+const TITLE_SORT_FIELDS = ['title', 'year', 'rating', 'id'];
+
+const titleSortValue = (movie, field) => {
+  if (field === 'title') return (movie.title || '').toLowerCase();
+  if (field === 'id') return movie.id;
+  return parseFloat(movie[field]) || 0;
+};
+
+const compareSortValues = (a, b) => (a < b ? -1 : a > b ? 1 : 0);
+
+// Cursors are opaque to clients: the sort key and id of the last title on the previous page,
+// so the next page starts strictly after it even if titles are added or removed in between
+const encodeTitlesCursor = (movie, sort) => Buffer.from(JSON.stringify({ v: titleSortValue(movie, sort), id: movie.id })).toString('base64url');
+
+const decodeTitlesCursor = (cursor) => {
+  try {
+    const decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (!decoded || !Number.isInteger(decoded.id) || !['string', 'number'].includes(typeof decoded.v)) return null;
+    return decoded;
+  } catch {
+    return null;
+  }
+};
+
+const hasFilePath = (movie, filePath) => movie.file_path === filePath ||
+  (movie.seasons || []).some(season => (season.episodes || []).some(ep => ep.file_path === filePath));
+
+// GET /api/titles?category=&genre=&yearFrom=&yearTo=&minRating=&file=&sort=&order=&limit=&cursor=
+app.get('/api/titles', catalogAuth, async (req, res) => {
+  try {
+    const { category, genre, file, cursor } = req.query;
+    const sort = req.query.sort || 'title';
+    const order = req.query.order || (sort === 'rating' || sort === 'year' ? 'desc' : 'asc');
+    const limit = Math.min(parseInt(req.query.limit) || TITLES_DEFAULT_LIMIT, TITLES_MAX_LIMIT);
+    const yearFrom = req.query.yearFrom ? parseInt(req.query.yearFrom) : null;
+    const yearTo = req.query.yearTo ? parseInt(req.query.yearTo) : null;
+    const minRating = req.query.minRating ? parseFloat(req.query.minRating) : null;
+
+    if (!TITLE_SORT_FIELDS.includes(sort)) {
+      return sendError(res, 400, `sort must be one of: ${TITLE_SORT_FIELDS.join(', ')}`);
+    }
+    if (!['asc', 'desc'].includes(order)) return sendError(res, 400, 'order must be asc or desc');
+    if (Number.isNaN(yearFrom) || Number.isNaN(yearTo) || Number.isNaN(minRating)) {
+      return sendError(res, 400, 'yearFrom, yearTo and minRating must be numbers');
+    }
+    const after = cursor ? decodeTitlesCursor(cursor) : null;
+    if (cursor && !after) return sendError(res, 400, 'Invalid cursor');
+
+    const genreFilter = genre?.toLowerCase();
+    const direction = order === 'desc' ? -1 : 1;
+    // Ties on the sort key fall back to id so every title has a stable position
+    const compare = (a, b) => direction * compareSortValues(a.value, b.value) || a.id - b.id;
+
+    const matches = (await catalog.list()).filter(movie => {
+      const year = parseInt(movie.year);
+      return (!category || movie.category === category) &&
+        (!genreFilter || (movie.genres || []).some(g => g.toLowerCase() === genreFilter)) &&
+        (yearFrom === null || year >= yearFrom) &&
+        (yearTo === null || year <= yearTo) &&
+        (minRating === null || parseFloat(movie.rating) >= minRating) &&
+        (!file || hasFilePath(movie, file));
+    }).map(movie => ({ movie, value: titleSortValue(movie, sort), id: movie.id }))
+      .sort(compare);
+
+    const start = after ? matches.filter(entry => compare(entry, { value: after.v, id: after.id }) <= 0).length : 0;
+    const page = matches.slice(start, start + limit);
+    const hasMore = start + limit < matches.length;
+    res.json({
+      total: matches.length,
+      items: page.map(entry => withSignedPoster(entry.movie, req.userId)),
+      nextCursor: hasMore ? encodeTitlesCursor(page[page.length - 1].movie, sort) : null
+    });
+  } catch (error) {
+    console.error('GET /api/titles error:', error);
+    sendError(res, 500, 'Failed to load titles');
+  }
+});
+
+const SEARCH_DEFAULT_LIMIT = 10;
+const SEARCH_MAX_LIMIT = 50;
+
+// GET /api/search?q=&limit= — prefix and typo-tolerant matching, best matches first
+app.get('/api/search', catalogAuth, (req, res) => {
+  try {
+    const q = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+    const limit = Math.min(parseInt(req.query.limit) || SEARCH_DEFAULT_LIMIT, SEARCH_MAX_LIMIT);
+    if (q.length > 100) return sendError(res, 400, 'Search query is too long');
+    const { total, results } = searchIndex.search(q, { limit });
+    res.json({
+      query: q,
+      total,
+      items: results.map(({ movie, score }) => ({ ...withSignedPoster(movie, req.userId), score: Math.round(score * 100) / 100 }))
+    });
+  } catch (error) {
+    console.error('GET /api/search error:', error);
+    sendError(res, 500, 'Search failed');
+  }
+});
+
+app.get('/api/titles/:id', catalogAuth, async (req, res) => {
+  try {
+    const movie = await findMovie(req.params.id);
+    if (!movie) return sendError(res, 404, 'Title not found');
+    res.json(withSignedPoster(movie, req.userId));
+  } catch (error) {
+    console.error('GET /api/titles/:id error:', error);
+    sendError(res, 500, 'Failed to load title');
+  }
+});
+
+const MEDIA_TYPES = {
+  '.mp4': 'video/mp4',
+  '.m4v': 'video/mp4',
+  '.mkv': 'video/x-matroska',
+  '.webm': 'video/webm',
+  '.mov': 'video/quicktime',
+  '.avi': 'video/x-msvideo',
+  '.mp3': 'audio/mpeg',
+  '.m4a': 'audio/mp4',
+  '.aac': 'audio/aac',
+  '.wav': 'audio/wav',
+  '.flac': 'audio/flac',
+  '.ogg': 'audio/ogg',
+  '.opus': 'audio/opus'
+};
+
+// Catalog paths use the public /hub/<category> prefixes; map them onto the configured directories
+const libraryRoots = [
+  { category: 'movie', mount: '/hub/movies/', dir: config.moviesDir },
+  { category: 'tv-series', mount: '/hub/series/', dir: config.seriesDir },
+  { category: 'music', mount: '/hub/music/', dir: config.musicDir },
+  { category: 'animation', mount: '/hub/animations/', dir: config.animationsDir }
+];
+const mediaMounts = libraryMounts(libraryRoots);
+
+// Only files in the media folders are streamable, never the trash, prepared copies or posters
+const resolveMediaPath = (filePath) =>
+  resolveLibraryPath(filePath, mediaMounts, [config.trashDir, config.preparedDir, config.postersDir]);
+
+// Files browsers cannot play are converted to mp4 by background jobs running the local ffmpeg,
+// and every video is packaged as HLS renditions for adaptive playback and gets seek-bar
+// thumbnails. Prepared copies live in PREPARED_DIR, one folder per source file named after its
+// catalog path, and /stream serves them in place of, or beside, the source. Titles without a
+// poster get a frame of their video, and text subtitles embedded in a file are extracted as
+// WebVTT tracks.
+const CONVERT_EXTENSIONS = new Set(['.mkv', '.avi', '.mov', '.wmv', '.flv', '.mpg', '.mpeg', '.ts']);
+const VIDEO_EXTENSIONS = new Set([...CONVERT_EXTENSIONS, '.mp4', '.m4v', '.webm']);
+// Codecs every major browser decodes
+const BROWSER_VIDEO_CODECS = new Set(['h264', 'vp8', 'vp9', 'av1']);
+const BROWSER_AUDIO_CODECS = new Set(['aac', 'mp3', 'opus', 'vorbis', 'flac']);
+// Subtitle codecs ffmpeg turns into WebVTT; picture-based ones (PGS, DVD) are left in the file
+const TEXT_SUBTITLE_CODECS = new Set(['subrip', 'srt', 'ass', 'ssa', 'webvtt', 'mov_text', 'text']);
+const textSubtitleTracks = (media) => (media?.subtitle_tracks || []).filter(track => TEXT_SUBTITLE_CODECS.has(track.codec));
+// By container, or by the codecs ffprobe found (`media`, see probeUpload)
+const needsConversion = (filePath, media) => CONVERT_EXTENSIONS.has(path.extname(filePath || '').toLowerCase()) ||
+  !!media?.unsupported_codecs?.length;
+const isVideoFile = (filePath) => VIDEO_EXTENSIONS.has(path.extname(filePath || '').toLowerCase());
+const preparedDirFor = (filePath) => path.join(config.preparedDir, crypto.createHash('sha1').update(filePath).digest('hex').slice(0, 16));
+const preparedMp4For = (filePath) => path.join(preparedDirFor(filePath), 'video.mp4');
+const hlsDirFor = (filePath) => path.join(preparedDirFor(filePath), 'hls');
+const hlsMasterFor = (filePath) => path.join(hlsDirFor(filePath), 'master.m3u8');
+const thumbnailsDirFor = (filePath) => path.join(preparedDirFor(filePath), 'thumbnails');
+const thumbnailsVttFor = (filePath) => path.join(thumbnailsDirFor(filePath), 'thumbnails.vtt');
+const subtitlesDirFor = (filePath) => path.join(preparedDirFor(filePath), 'subtitles');
+const existingFile = (file) => fs.access(file).then(() => file, () => null);
+
+// Renditions for a title of the given resolution ("480p"); a title below the smallest one still
+// gets that one, and an unknown resolution gets them all
+const renditionsFor = (resolution) => {
+  const height = parseInt(resolution);
+  const heights = HLS_RENDITIONS.filter(rendition => !height || rendition <= height);
+  return heights.length ? heights : HLS_RENDITIONS.slice(-1);
+};
+
+// 1920x800 is still 1080p: the label is the height of a 16:9 frame as wide as the video
+const resolutionLabel = (width, height) => `${Math.round(Math.max(height, width * 9 / 16))}p`;
+
+const withoutUndefined = (object) => Object.fromEntries(Object.entries(object).filter(([, value]) => value !== undefined));
+
+// Probes an uploaded file and returns the catalog fields it fills: duration, resolution and
+// `media`. These replace whatever was typed in the form. Without ffprobe, or for a file it cannot
+// read, nothing is filled in and the typed values stay.
+async function probeUpload(file) {
+  try {
+    const info = await probeMedia(file, { ffprobePath: FFPROBE_PATH });
+    const codecs = [
+      ...(info.videoCodec && !BROWSER_VIDEO_CODECS.has(info.videoCodec) ? [info.videoCodec] : []),
+      ...(info.audioTracks[0] && !BROWSER_AUDIO_CODECS.has(info.audioTracks[0].codec) ? [info.audioTracks[0].codec] : [])
+    ];
+    const media = withoutUndefined({
+      container: info.container,
+      width: info.width,
+      height: info.height,
+      video_codec: info.videoCodec,
+      audio_tracks: info.audioTracks.map(withoutUndefined),
+      subtitle_tracks: info.subtitleTracks.map(withoutUndefined),
+      bitrate: info.bitrate,
+      unsupported_codecs: codecs,
+      probed_at: new Date().toISOString()
+    });
+    return withoutUndefined({
+      duration: info.duration || undefined,
+      resolution: info.width && info.height ? resolutionLabel(info.width, info.height) : undefined,
+      media
+    });
+  } catch (error) {
+    console.warn(`Could not probe ${path.basename(file)}: ${error.message}`);
+    return {};
+  }
+}
+
+const sourceFileFor = async (job) => {
+  const input = resolveMediaPath(job.params.source);
+  if (!input || !(await existingFile(input))) throw new Error(`${job.params.source} no longer exists`);
+  return input;
+};
+
+const mediaJobs = createJobQueue({
+  file: jobsFile,
+  handlers: {
+    transcode: async (job, { onProgress, signal }) => {
+      await convertToMp4(await sourceFileFor(job), preparedMp4For(job.params.source), {
+        encode: job.params.encode,
+        ffmpegPath: FFMPEG_PATH,
+        duration: job.params.duration,
+        onProgress,
+        signal
+      });
+    },
+    hls: async (job, { onProgress, signal }) => {
+      const renditions = await packageHls(await sourceFileFor(job), hlsDirFor(job.params.source), {
+        heights: job.params.heights,
+        ffmpegPath: FFMPEG_PATH,
+        duration: job.params.duration,
+        onProgress,
+        signal
+      });
+      return { renditions };
+    },
+    thumbnails: async (job, { onProgress, signal }) => {
+      const tiles = await buildThumbnails(await sourceFileFor(job), thumbnailsDirFor(job.params.source), {
+        interval: THUMBNAIL_INTERVAL,
+        ffmpegPath: FFMPEG_PATH,
+        duration: job.params.duration,
+        onProgress,
+        signal
+      });
+      return { tiles };
+    },
+    subtitles: async (job, { onProgress, signal }) => {
+      const files = await extractSubtitles(await sourceFileFor(job), subtitlesDirFor(job.params.source), {
+        indexes: job.params.indexes,
+        ffmpegPath: FFMPEG_PATH,
+        duration: job.params.duration,
+        onProgress,
+        signal
+      });
+      return { tracks: files.length };
+    },
+    poster: async (job, { signal }) => {
+      const { titleId, duration } = job.params;
+      const name = `auto-${titleId}-${Date.now()}.jpg`;
+      const output = path.join(config.postersDir, name);
+      // A tenth of the way in is past the opening titles of most videos
+      await extractPoster(await sourceFileFor(job), output, { at: Math.floor((duration || 0) / 10), ffmpegPath: FFMPEG_PATH, signal });
+      // A poster an admin set in the meantime stays. No backup: filling in an empty poster loses nothing.
+      const change = await catalog.transaction(tx => {
+        const movie = tx.get(titleId);
+        return movie && !movie.poster ? { before: movie, after: tx.update(titleId, { ...movie, poster: `/hub/posters/${name}` }) } : null;
+      });
+      if (!change) {
+        await fs.unlink(output).catch(() => {});
+        return { poster: null };
+      }
+      await recordAudit({ username: 'media-jobs' }, 'update', titleId, change.before, change.after);
+      return { poster: change.after.poster };
+    }
+  }
+});
+
+// Per job type: which source files (catalog path and probed `media`) it applies to and the file
+// it leaves when done
+const PREPARATIONS = {
+  transcode: { applies: needsConversion, output: preparedMp4For },
+  hls: { applies: (filePath) => HLS_RENDITIONS.length > 0 && isVideoFile(filePath), output: hlsMasterFor },
+  thumbnails: { applies: isVideoFile, output: thumbnailsVttFor },
+  subtitles: { applies: (filePath, media) => textSubtitleTracks(media).length > 0, output: subtitlesDirFor }
+};
+// Poster jobs are per title rather than per file
+const JOB_TYPES = [...Object.keys(PREPARATIONS), 'poster'];
+
+// Queues a job of each of `types` for each of the title's files that it applies to and that has
+// not been prepared yet, or only for those among `paths`, and a poster job for a title without a
+// poster. A failure is logged; the title is playable either way.
+async function queueConversions(movie, paths = null, types = JOB_TYPES) {
+  const files = [
+    { path: movie.file_path, label: movie.title, duration: movie.duration, media: movie.media },
+    ...(movie.seasons || []).flatMap(season => season.episodes.map(ep => ({
+      path: ep.file_path,
+      label: episodeLabel(movie, season.season, ep),
+      duration: ep.duration,
+      media: ep.media
+    })))
+  ].filter(file => file.path && (!paths || paths.includes(file.path)));
+  const queued = [];
+  try {
+    for (const file of files) {
+      for (const type of types.filter(name => PREPARATIONS[name])) {
+        const { applies, output } = PREPARATIONS[type];
+        if (!applies(file.path, file.media) || mediaJobs.isPending(type, file.path) || await existingFile(output(file.path))) continue;
+        const params = { source: file.path, duration: file.duration };
+        if (type === 'transcode' && file.media?.unsupported_codecs?.includes(file.media.video_codec)) params.encode = true;
+        if (type === 'hls') params.heights = renditionsFor(movie.resolution);
+        if (type === 'subtitles') params.indexes = textSubtitleTracks(file.media).map(track => track.index);
+        queued.push(await mediaJobs.enqueue(type, { key: file.path, label: file.label, params }));
+      }
+    }
+    const posterSource = files.find(file => isVideoFile(file.path));
+    if (types.includes('poster') && !movie.poster && posterSource && !mediaJobs.isPending('poster', posterSource.path)) {
+      queued.push(await mediaJobs.enqueue('poster', {
+        key: posterSource.path,
+        label: movie.title,
+        params: { titleId: movie.id, source: posterSource.path, duration: posterSource.duration }
+      }));
+    }
+  } catch (error) {
+    console.error(`Failed to queue conversions for ${movie.title}:`, error);
+  }
+  return queued;
+}
+
+// Prepared copies follow their source out of the catalog; a restored file is converted again
+async function discardPrepared(paths) {
+  for (const filePath of paths.filter(Boolean)) {
+    for (const job of mediaJobs.list().filter(entry => entry.key === filePath)) {
+      await mediaJobs.cancel(job.id);
+    }
+    await fs.rm(preparedDirFor(filePath), { recursive: true, force: true }).catch(error => {
+      console.warn(`Failed to remove the prepared copy of ${filePath}:`, error);
+    });
+  }
+}
+
+// The trash takes media files, uploaded posters and subtitles; posters shipped under /assets are
+// left alone
+const uploadMounts = [['/hub/posters/', config.postersDir], ['/hub/subtitles/', config.subtitlesDir]];
+const resolveTrashPath = (filePath) => {
+  const [mount, dir] = uploadMounts.find(([prefix]) => filePath?.toLowerCase().startsWith(prefix)) || [];
+  if (!mount) return resolveMediaPath(filePath);
+  const file = path.resolve(dir, filePath.slice(mount.length));
+  return file.startsWith(dir + path.sep) ? file : null;
+};
+const trash = createTrash({ dir: config.trashDir, resolvePath: resolveTrashPath, excluded: [config.preparedDir] });
+
+// Moves what a change dropped into the trash. A failure is logged; the change itself stands.
+async function moveToTrash(req, item, paths) {
+  try {
+    const entry = await trash.add({ ...item, deletedBy: req.username }, paths);
+    await discardPrepared(paths);
+    await trash.purgeExpired(TRASH_RETENTION);
+    return entry;
+  } catch (error) {
+    console.error(`Failed to move ${item.label} to the trash:`, error);
+    return null;
+  }
+}
+
+const purgeExpiredTrash = async () => {
+  try {
+    const purged = await trash.purgeExpired(TRASH_RETENTION);
+    if (purged.length) console.log(`Purged ${purged.length} expired trash item(s)`);
+  } catch (error) {
+    console.error('Failed to purge expired trash:', error);
+  }
+};
+setInterval(purgeExpiredTrash, 60 * 60 * 1000).unref();
+
+// res.sendFile answers Range requests with 206/416 and handles conditional GETs and HEAD. Streams
+// use the prepared mp4 once there is one; downloads always get the original file.
+async function streamMedia(req, res, filePath) {
+  const download = isDownloadLink(req);
+  const prepared = download ? null : await existingFile(preparedMp4For(filePath));
+  const mediaPath = prepared || resolveMediaPath(filePath);
+  if (!mediaPath) return sendError(res, 404, 'Media file not found');
+  if (download) {
+    res.attachment(path.basename(mediaPath));
+  }
+  res.sendFile(mediaPath, {
+    acceptRanges: true,
+    cacheControl: false,
+    headers: {
+      'Content-Type': MEDIA_TYPES[path.extname(mediaPath).toLowerCase()] || 'application/octet-stream',
+      'Cache-Control': 'private, no-transform'
+    }
+  }, (error) => {
+    if (!error) return;
+    if (res.headersSent) {
+      console.warn(`Stream of ${filePath} ended early: ${error.message}`);
+      return;
+    }
+    console.error(`Failed to stream ${filePath}:`, error.message);
+    sendError(res, error.status === 404 ? 404 : error.status || 500, error.status === 404 ? 'Media file not found' : 'Failed to stream media');
+  });
+}
+
+// What /stream serves from a file's prepared folder besides the mp4: HLS playlists and segments,
+// seek-bar thumbnail sprites with their WebVTT index, and extracted subtitle tracks. `isUri`
+// picks the lines of the index files (`index`) that name other files.
+const PREPARED_ASSETS = {
+  hls: {
+    dir: hlsDirFor,
+    types: { '.m3u8': 'application/vnd.apple.mpegurl', '.ts': 'video/mp2t' },
+    index: '.m3u8',
+    isUri: (line) => !line.startsWith('#')
+  },
+  thumbnails: {
+    dir: thumbnailsDirFor,
+    types: { '.vtt': 'text/vtt', '.jpg': 'image/jpeg' },
+    index: '.vtt',
+    isUri: (line) => /\.jpg(#|$)/.test(line)
+  },
+  subtitles: {
+    dir: subtitlesDirFor,
+    types: { '.vtt': 'text/vtt' },
+    index: null
+  }
+};
+
+// Index files are rewritten so that every URI in them is a signed link of its own, valid for
+// long enough to play the whole title; URI fragments (#xywh=...) are kept
+async function servePreparedAsset(req, res, asset, filePath, duration) {
+  const { dir, types, index, isUri } = PREPARED_ASSETS[asset];
+  const parts = req.params.file;
+  const extension = path.extname(parts[parts.length - 1]);
+  if (parts.some(part => !/^[\w-]+(\.\w+)?$/.test(part)) || !types[extension]) {
+    return sendError(res, 404, 'Prepared file not found');
+  }
+  const file = path.join(dir(filePath), ...parts);
+  if (extension !== index) {
+    return res.sendFile(file, {
+      cacheControl: false,
+      headers: { 'Content-Type': types[extension], 'Cache-Control': 'private, no-transform' }
+    }, (error) => {
+      if (error && !res.headersSent) sendError(res, 404, 'Prepared file not found');
+    });
+  }
+
+  let content;
+  try {
+    content = await fs.readFile(file, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return sendError(res, 404, 'Prepared file not found');
+    throw error;
+  }
+  const lines = content.split('\n');
+  const listed = lines.reduce((total, line) => total + (parseFloat(line.match(/^#EXTINF:([\d.]+)/)?.[1]) || 0), 0);
+  const ttl = MEDIA_LINK_TTL + Math.max(duration || 0, listed) * 1000;
+  const base = new URL(req.originalUrl.split('?')[0], 'http://localhost');
+  const signed = lines.map(line => {
+    if (!line.trim() || !isUri(line.trim())) return line;
+    const [uri, fragment] = line.trim().split('#');
+    const link = createMediaLink(new URL(uri, base).pathname, req.userId, { ttl }).url;
+    return fragment ? `${link}#${fragment}` : link;
+  });
+  res.set({ 'Content-Type': types[index], 'Cache-Control': 'private, no-store' });
+  res.send(signed.join('\n'));
+}
+
+const findMovie = (id) => catalog.get(parseInt(id));
+const findEpisode = (movie, season, episode) => (movie.seasons || [])
+  .find(s => s.season === parseInt(season))?.episodes.find(ep => ep.episode === parseInt(episode));
+
+app.get('/stream/:id', verifyMediaAccess, async (req, res) => {
+  try {
+    const movie = await findMovie(req.params.id);
+    if (!movie) return sendError(res, 404, 'Movie not found');
+    if (!movie.file_path) return sendError(res, 404, 'This title has no media file; stream an episode instead');
+    await streamMedia(req, res, movie.file_path);
+  } catch (error) {
+    console.error('GET /stream/:id error:', error);
+    sendError(res, 500, 'Failed to stream media');
+  }
+});
+
+// "spa" -> "Spanish", "pt-BR" -> "Brazilian Portuguese"; codes Intl does not know stay as they are
+const languageNames = new Intl.DisplayNames(['en'], { type: 'language', fallback: 'code' });
+const languageName = (code) => {
+  try {
+    return languageNames.of(code);
+  } catch (error) {
+    return code;
+  }
+};
+
+// A title's or episode's subtitle tracks for the player: uploaded ones first, then those
+// extracted from its file, each with a signed WebVTT URL that lasts as long as the stream does
+async function subtitleTracksFor(entry, streamPath, userId) {
+  const ttl = MEDIA_LINK_TTL + (entry.duration || 0) * 1000;
+  const signed = (urlPath) => `${process.env.API_BASE_URL}${createMediaLink(urlPath, userId, { ttl }).url}`;
+  const tracks = (entry.subtitles || []).map(track => ({
+    language: track.language,
+    label: track.label || languageName(track.language),
+    src: signed(encodeUrlPath(track.path))
+  }));
+  for (const track of textSubtitleTracks(entry.media)) {
+    const file = `track_${track.index}.vtt`;
+    if (!(await existingFile(path.join(subtitlesDirFor(entry.file_path), file)))) continue;
+    // ffprobe reports "und" for streams without a language tag
+    const known = track.language && track.language !== 'und';
+    tracks.push({
+      language: track.language || 'und',
+      label: track.title || (known ? languageName(track.language) : `Track ${track.index}`),
+      src: signed(`${streamPath}/subtitles/${file}`)
+    });
+  }
+  return tracks;
+}
+
+// Registered before /stream/:id/:season/:episode, which would take /stream/:id/hls/master.m3u8
+Object.keys(PREPARED_ASSETS).forEach(asset => {
+  app.get(`/stream/:id/${asset}/*file`, verifyMediaAccess, async (req, res) => {
+    try {
+      const movie = await findMovie(req.params.id);
+      if (!movie) return sendError(res, 404, 'Movie not found');
+      if (!movie.file_path) return sendError(res, 404, 'This title has no media file; stream an episode instead');
+      await servePreparedAsset(req, res, asset, movie.file_path, movie.duration);
+    } catch (error) {
+      console.error(`GET /stream/:id/${asset} error:`, error);
+      sendError(res, 500, 'Failed to stream media');
+    }
+  });
+
+  app.get(`/stream/:id/:season/:episode/${asset}/*file`, verifyMediaAccess, async (req, res) => {
+    try {
+      const movie = await findMovie(req.params.id);
+      if (!movie) return sendError(res, 404, 'Movie not found');
+      const episode = findEpisode(movie, req.params.season, req.params.episode);
+      if (!episode?.file_path) return sendError(res, 404, 'Episode not found');
+      await servePreparedAsset(req, res, asset, episode.file_path, episode.duration);
+    } catch (error) {
+      console.error(`GET /stream/:id/:season/:episode/${asset} error:`, error);
+      sendError(res, 500, 'Failed to stream media');
+    }
+  });
+});
+
+app.get('/stream/:id/:season/:episode', verifyMediaAccess, async (req, res) => {
+  try {
+    const movie = await findMovie(req.params.id);
+    if (!movie) return sendError(res, 404, 'Movie not found');
+    const episode = findEpisode(movie, req.params.season, req.params.episode);
+    if (!episode?.file_path) return sendError(res, 404, 'Episode not found');
+    await streamMedia(req, res, episode.file_path);
+  } catch (error) {
+    console.error('GET /stream/:id/:season/:episode error:', error);
+    sendError(res, 500, 'Failed to stream media');
+  }
+});
+
+// Issue a signed, expiring URL for a title's media, one of its episodes, or its poster. Stream
+// links say whether they play a prepared mp4, and whether one is still being converted, and carry
+// an `hls` master playlist URL once the file has been packaged, a `thumbnails` WebVTT URL once
+// its seek-bar previews exist, and its `subtitles` tracks.
+app.post('/media/:id/link', verifyToken, verifyCsrf, async (req, res) => {
+  try {
+    const { type = 'stream', season, episode } = req.body || {};
+    if (!['stream', 'download', 'poster'].includes(type)) {
+      return sendError(res, 400, 'type must be stream, download or poster');
+    }
+    const movie = await findMovie(req.params.id);
+    if (!movie) return sendError(res, 404, 'Movie not found');
+
+    let link;
+    let entry = null;
+    let streamPath = null;
+    if (type === 'poster') {
+      if (!movie.poster?.startsWith('/hub/')) return sendError(res, 404, 'This title has no hosted poster');
+      link = createMediaLink(encodeUrlPath(movie.poster), req.userId);
+    } else if (season !== undefined || episode !== undefined) {
+      entry = findEpisode(movie, season, episode);
+      if (!entry?.file_path) return sendError(res, 404, 'Episode not found');
+      streamPath = `/stream/${movie.id}/${parseInt(season)}/${parseInt(episode)}`;
+    } else {
+      if (!movie.file_path) return sendError(res, 404, 'This title has no media file; request an episode link instead');
+      entry = movie;
+      streamPath = `/stream/${movie.id}`;
+    }
+    if (streamPath) link = createMediaLink(streamPath, req.userId, { download: type === 'download' });
+    console.log(`Issued ${type} link for movie ${movie.id} to ${req.username}`);
+    const filePath = entry?.file_path;
+    const playback = {};
+    if (type === 'stream' && needsConversion(filePath, entry.media)) {
+      playback.prepared = !!(await existingFile(preparedMp4For(filePath)));
+      playback.preparing = mediaJobs.isPending('transcode', filePath);
+    }
+    if (type === 'stream' && await existingFile(hlsMasterFor(filePath))) {
+      playback.hls = `${process.env.API_BASE_URL}${createMediaLink(`${streamPath}/hls/master.m3u8`, req.userId).url}`;
+    }
+    if (type === 'stream' && await existingFile(thumbnailsVttFor(filePath))) {
+      playback.thumbnails = `${process.env.API_BASE_URL}${createMediaLink(`${streamPath}/thumbnails/thumbnails.vtt`, req.userId).url}`;
+    }
+    if (type === 'stream') playback.subtitles = await subtitleTracksFor(entry, streamPath, req.userId);
+    res.json({ url: `${process.env.API_BASE_URL}${link.url}`, expiresAt: link.expiresAt, ...playback });
+  } catch (error) {
+    console.error('POST /media/:id/link error:', error);
+    sendError(res, 500, 'Failed to create media link');
+  }
+});
+
+// Restrict access to users.json, sessions.json, the audit log, library drafts, media jobs, catalog
+// backups and the mail outbox wherever they are configured to live. The catalog file itself is
+// only served through GET /assets/data/movies.json, which REQUIRE_SIGNED_MEDIA puts behind a login.
+const privateDataFiles = [
+  moviesFile,
+  usersFile,
+  sessionsFile,
+  auditFile,
+  catalogDbFile,
+  `${catalogDbFile}-wal`,
+  `${catalogDbFile}-shm`,
+  draftsFile,
+  jobsFile,
+  path.join(rootDir, 'assets/data/users.json'),
+  path.join(rootDir, 'assets/data/sessions.json'),
+  path.join(rootDir, 'assets/data/audit.jsonl'),
+  path.join(rootDir, 'assets/data/drafts.json'),
+  path.join(rootDir, 'assets/data/jobs.json')
+];
+const privateDataDirs = [config.mailOutboxDir, path.join(rootDir, 'outbox'), config.backupDir, path.join(rootDir, 'assets/backups')];
+// Media, prepared copies included, is only served through /stream; posters stay public and
+// uploaded subtitles are served through signed links. Nothing in the trash is served at all.
+const privateMediaDirs = [path.join(rootDir, 'hub'), ...mediaMounts.map(([, dir]) => dir), config.preparedDir, config.trashDir];
+const isInside = (file, dir) => {
+  const relative = path.relative(dir.toLowerCase(), file.toLowerCase());
+  return !relative.startsWith('..') && !path.isAbsolute(relative);
+};
+app.use((req, res, next) => {
+  let requestedFile;
+  try {
+    requestedFile = path.join(rootDir, decodeURIComponent(req.path));
+  } catch (error) {
+    return next();
+  }
+  if (privateDataFiles.includes(requestedFile) ||
+      privateDataDirs.some(dir => requestedFile === dir || requestedFile.startsWith(dir + path.sep))) {
+    console.log(`Attempted access to restricted ${req.path}`);
+    return sendError(res, 403, 'Access to user data is restricted');
+  }
+  const isPoster = isInside(requestedFile, path.join(rootDir, 'hub/posters')) || isInside(requestedFile, config.postersDir);
+  const isSubtitle = isInside(requestedFile, path.join(rootDir, 'hub/subtitles'));
+  if (privateMediaDirs.some(dir => isInside(requestedFile, dir)) && !isPoster && !isSubtitle) {
+    console.log(`Direct media access refused for ${req.path}`);
+    return sendError(res, 403, 'Media is available through /stream only');
+  }
+  next();
+});
+
+// Title pages live at /title/<id>-<slug> and /title/<id>-<slug>/s<season>e<episode>. Only the id
+// identifies the title, so links survive renames and replaced files; the slug is for people.
+const slugify = (text) => String(text || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+
+const titlePath = (movie, episode = null) => {
+  const slug = slugify(movie.title);
+  const base = `/title/${movie.id}${slug ? `-${slug}` : ''}`;
+  return episode ? `${base}/s${episode.season}e${episode.episode}` : base;
+};
+
+app.get(['/title/:slug', '/title/:slug/:episode'], (req, res, next) => {
+  if (!/^\d+(-|$)/.test(req.params.slug) || (req.params.episode && !/^s\d+e\d+$/i.test(req.params.episode))) {
+    return next();
+  }
+  res.sendFile(path.join(rootDir, 'movie-detail.html'));
+});
+
+// Old detail links (movie-detail.html?file=<file_path>, or ?id=) redirect to the title's page
+app.get('/movie-detail.html', async (req, res, next) => {
+  const { file, id } = req.query;
+  if (typeof file !== 'string' && typeof id !== 'string') return next();
+  try {
+    const movie = id ? await findMovie(id) : (await catalog.list()).find(m => hasFilePath(m, file));
+    if (!movie) return next();
+    const season = typeof file === 'string'
+      ? (movie.seasons || []).find(s => (s.episodes || []).some(ep => ep.file_path === file))
+      : null;
+    const episode = season?.episodes.find(ep => ep.file_path === file);
+    res.redirect(301, titlePath(movie, episode ? { season: season.season, episode: episode.episode } : null));
+  } catch (error) {
+    console.error('GET /movie-detail.html redirect error:', error);
+    next();
+  }
+});
+
+app.use('/hub/posters', (req, res, next) => REQUIRE_SIGNED_MEDIA ? verifyMediaAccess(req, res, next) : next());
+app.use('/hub/posters', express.static(config.postersDir, { maxAge: STATIC_MAX_AGE }));
+app.use('/hub/subtitles', verifyMediaAccess, express.static(config.subtitlesDir, {
+  cacheControl: false,
+  setHeaders: (res) => res.set({ 'Content-Type': 'text/vtt; charset=utf-8', 'Cache-Control': 'private, no-transform' })
+}));
+app.use('/assets', express.static(path.join(rootDir, 'assets'), {
+  maxAge: STATIC_MAX_AGE,
+  setHeaders: (res, filePath) => {
+    const ext = path.extname(filePath).toLowerCase();
+    const mimeTypes = {
+      '.css': 'text/css',
+      '.js': 'application/javascript',
+      '.svg': 'image/svg+xml',
+      '.jpg': 'image/jpeg',
+      '.png': 'image/png',
+      '.ico': 'image/x-icon'
+    };
+    res.setHeader('Content-Type', mimeTypes[ext] || 'application/octet-stream');
+    if (ext === '.js') {
+      res.setHeader('Cache-Control', 'no-cache, no-store, must-revalidate');
+    }
+  }
+}));
+app.use('/', express.static(rootDir, { maxAge: STATIC_MAX_AGE, index: 'index.html' }));
+
+// Explicit route for index.html to ensure no auth check
+app.get('/index.html', (req, res) => {
+  const filePath = path.join(rootDir, 'index.html');
+  fs.access(filePath)
+    .then(() => res.sendFile(filePath))
+    .catch(() => {
+      console.log(`index.html not found at: ${filePath}`);
+      res.status(404).send('index.html not found');
+    });
+});
+
+// An uploaded file is probed with ffprobe, and the duration and resolution it reads replace the
+// ones typed in the form
+app.post('/movies/add', verifyToken, requireRole('admin', 'editor'), verifyCsrf, upload, async (req, res) => {
+  try {
+    // A series can be created empty; its episodes are uploaded through the season routes below
+    const isSeries = req.body.category === 'tv-series';
+    if (!req.files?.movie_file && !isSeries) {
+      return sendError(res, 400, 'Movie file is required');
+    }
+    const probed = req.files?.movie_file ? await probeUpload(req.files.movie_file[0].path) : {};
+    const movie = validateMovie({
+      title: req.body.title,
+      file_path: req.files?.movie_file
+        ? `/${req.body.category === 'movie' ? 'hub/movies' : req.body.category === 'tv-series' ? 'hub/series' : req.body.category === 'music' ? 'hub/music' : 'hub/animations'}/${req.files.movie_file[0].filename}`
+        : undefined,
+      poster: req.files?.poster_file ? `/hub/posters/${req.files.poster_file[0].filename}` : req.body.poster || '',
+      duration: probed.duration ?? (req.body.duration || ''),
+      year: req.body.year || '',
+      rating: req.body.rating || '',
+      resolution: probed.resolution ?? (req.body.resolution || ''),
+      category: req.body.category,
+      genres: req.body.genres,
+      description: req.body.description || '',
+      media: probed.media,
+      ...(isSeries ? { seasons: [] } : {})
+    });
+
+    await backupMoviesFile();
+    const saved = await catalog.transaction(tx => tx.insert(movie));
+    await recordAudit(req, 'create', saved.id, {}, saved);
+    await queueConversions(saved);
+    res.json(saved);
+  } catch (error) {
+    console.error('POST /movies/add error:', error);
+    sendError(res, 400, error.message);
+  }
+});
+
+app.post('/movies/edit/:id', verifyToken, requireRole('admin', 'editor'), verifyCsrf, upload, async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    const existing = await catalog.get(id);
+    if (!existing) return sendError(res, 404, 'Movie not found');
+    if (req.body.file_path && req.body.file_path !== existing.file_path && !resolveMediaPath(req.body.file_path)) {
+      return sendError(res, 400, 'file_path must point into a media folder');
+    }
+
+    const probed = req.files?.movie_file ? await probeUpload(req.files.movie_file[0].path) : {};
+    const movie = validateMovie({
+      title: req.body.title,
+      file_path: req.files?.movie_file
+        ? `/${req.body.category === 'movie' ? 'hub/movies' : req.body.category === 'tv-series' ? 'hub/series' : req.body.category === 'music' ? 'hub/music' : 'hub/animations'}/${req.files.movie_file[0].filename}`
+        : req.body.file_path || existing.file_path,
+      poster: req.files?.poster_file ? `/hub/posters/${req.files.poster_file[0].filename}` : req.body.poster || existing.poster,
+      duration: probed.duration ?? (req.body.duration || ''),
+      year: req.body.year || '',
+      rating: req.body.rating || '',
+      resolution: probed.resolution ?? (req.body.resolution || ''),
+      category: req.body.category,
+      genres: req.body.genres,
+      description: req.body.description || '',
+      media: probed.media
+    });
+
+    await backupMoviesFile();
+    // Diff against the version actually replaced, which may differ from `existing` under concurrent edits
+    // Seasons and subtitles are edited through their own routes, so a title keeps the ones it has;
+    // so does the probed media info while the file stays the same
+    const { oldMovie, updated } = await catalog.transaction(tx => {
+      const current = tx.get(id);
+      const seasons = movie.category === 'tv-series' ? current?.seasons || [] : current?.seasons;
+      const media = movie.media || (current?.media && current.file_path === movie.file_path ? current.media : null);
+      const subtitles = current?.subtitles;
+      return {
+        oldMovie: current,
+        updated: current ? tx.update(id, { ...movie, ...(seasons ? { seasons } : {}), ...(media ? { media } : {}), ...(subtitles ? { subtitles } : {}) }) : null
+      };
+    });
+    if (!updated) return sendError(res, 404, 'Movie not found');
+
+    // Replaced files go to the trash, from where restoring one swaps it back in
+    if (req.files?.movie_file && oldMovie.file_path && oldMovie.file_path !== updated.file_path) {
+      await moveToTrash(req, { kind: 'file', label: `${updated.title}: replaced video`, titleId: id, target: { field: 'file_path' } }, [oldMovie.file_path]);
+    }
+    if (req.files?.poster_file && oldMovie.poster && oldMovie.poster !== updated.poster) {
+      await moveToTrash(req, { kind: 'file', label: `${updated.title}: replaced poster`, titleId: id, target: { field: 'poster' } }, [oldMovie.poster]);
+    }
+    if (req.files?.movie_file) await queueConversions(updated, [updated.file_path]);
+
+    await recordAudit(req, 'update', id, oldMovie, updated);
+    res.json(updated);
+  } catch (error) {
+    console.error('POST /movies/edit/:id error:', error);
+    sendError(res, 400, error.message);
+  }
+});
+
+app.delete('/movies/delete/:id', verifyToken, requireRole('admin', 'editor'), verifyCsrf, async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    if (!(await catalog.get(id))) return sendError(res, 404, 'Movie not found');
+
+    await backupMoviesFile();
+    const movie = await catalog.transaction(tx => tx.remove(id));
+    if (!movie) return sendError(res, 404, 'Movie not found');
+
+    const trashed = await moveToTrash(req, { kind: 'title', label: movie.title, titleId: id, record: movie }, [
+      movie.file_path,
+      movie.poster,
+      ...subtitleFiles(movie),
+      ...(movie.seasons || []).flatMap(season => (season.episodes || []).flatMap(ep => [ep.file_path, ...subtitleFiles(ep)]))
+    ]);
+
+    await recordAudit(req, 'delete', id, movie, {});
+    res.json({ message: 'Movie moved to the trash', trashId: trashed?.id || null });
+  } catch (error) {
+    console.error('DELETE /movies/delete/:id error:', error);
+    sendError(res, 500, 'Failed to delete movie');
+  }
+});
+
+// Bulk import/export; the rows are read and planned in importer.js
+const IMPORT_MAX_BYTES = 5 * 1024 * 1024;
+const IMPORT_MAX_ROWS = 5000;
+
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: IMPORT_MAX_BYTES, files: 1 }
+}).single('file');
+
+app.get('/admin/export', verifyToken, requireRole('admin', 'editor'), async (req, res) => {
+  try {
+    const format = req.query.format || 'json';
+    if (!['csv', 'json'].includes(format)) return sendError(res, 400, 'format must be csv or json');
+    const movies = await catalog.list();
+    res.attachment(`catalog-${new Date().toISOString().slice(0, 10)}.${format}`);
+    if (format === 'json') return res.type('application/json').send(JSON.stringify(movies, null, 2));
+    const rows = movies.map(movie => CATALOG_COLUMNS.map(column => (column === 'genres' ? (movie.genres || []).join(', ') : movie[column])));
+    // The byte order mark makes Excel read the file as UTF-8
+    res.type('text/csv').send('\uFEFF' + toCsv([CATALOG_COLUMNS, ...rows]));
+  } catch (error) {
+    console.error('GET /admin/export error:', error);
+    sendError(res, 500, 'Failed to export catalog');
+  }
+});
+
+// Multipart: file (.csv or .json), optional format (otherwise taken from the file name) and
+// dryRun=true to only validate. A real import is all-or-nothing: any invalid row rejects the file.
+app.post('/admin/import', verifyToken, requireRole('admin', 'editor'), verifyCsrf, importUpload, async (req, res) => {
+  try {
+    if (!req.file) return sendError(res, 400, 'Import file is required');
+    const format = (req.body.format || path.extname(req.file.originalname).slice(1)).toLowerCase();
+    if (!['csv', 'json'].includes(format)) return sendError(res, 400, 'format must be csv or json');
+    const dryRun = req.body.dryRun === 'true';
+
+    let rows;
+    try {
+      rows = parseImportRows(req.file.buffer.toString('utf8'), format);
+    } catch (error) {
+      return sendError(res, 400, `Could not read ${format.toUpperCase()} file: ${error.message}`);
+    }
+    if (!rows.length) return sendError(res, 400, 'The file has no rows to import');
+    if (rows.length > IMPORT_MAX_ROWS) return sendError(res, 400, `Import at most ${IMPORT_MAX_ROWS} rows at a time`);
+
+    const plan = await planImport(rows, await catalog.list(), { resolvePath: resolveMediaPath });
+    const report = importReport(plan, dryRun);
+    if (dryRun) return res.json(report);
+    if (report.failed) {
+      return res.status(400).json({ error: `${report.failed} row${report.failed > 1 ? 's have' : ' has'} errors; nothing was imported`, ...report });
+    }
+
+    await backupMoviesFile();
+    const applied = await catalog.transaction(tx => plan.filter(e => e.action === 'create' || e.action === 'update').map(entry => {
+      if (entry.action === 'create') return { entry, before: {}, after: tx.insert(entry.movie) };
+      const before = tx.get(entry.id);
+      if (!before) throw new Error(`Title ${entry.id} was deleted during the import; nothing was imported`);
+      return { entry, before, after: tx.update(entry.id, entry.movie) };
+    }));
+    for (const { entry, before, after } of applied) {
+      entry.id = after.id;
+      await recordAudit(req, entry.action, after.id, before, after);
+    }
+    console.log(`Import by ${req.username}: ${report.created} created, ${report.updated} updated`);
+    res.json(importReport(plan, false));
+  } catch (error) {
+    console.error('POST /admin/import error:', error);
+    sendError(res, 400, error.message);
+  }
+});
+
+// Series: seasons and their episodes are managed one change at a time so that each upload or
+// delete is its own audited, backed-up catalog write. Dropped episode files go to the trash.
+const episodeLabel = (series, season, episode) =>
+  `${series.title} S${season}E${episode.episode}${episode.title ? ` "${episode.title}"` : ''}`;
+
+const findSeason = (series, number) => (series.seasons || []).find(s => s.season === number);
+const sortByNumber = (key) => (a, b) => a[key] - b[key];
+
+// Runs `change` on a normalized copy of the series inside one catalog transaction and saves the copy.
+// `change` may throw to abort without saving. Resolves to null when the series no longer exists.
+const updateSeries = (id, change) => catalog.transaction(tx => {
+  const before = tx.get(id);
+  if (before?.category !== 'tv-series') return null;
+  const series = normalizeEntry(before);
+  const result = change(series);
+  return { before, after: tx.update(id, series), result };
+});
+
+// Sends the error response itself and returns null unless :id is a tv-series
+async function loadSeries(req, res) {
+  const series = await findMovie(req.params.id);
+  if (!series) {
+    sendError(res, 404, 'Series not found');
+    return null;
+  }
+  if (series.category !== 'tv-series') {
+    sendError(res, 400, 'Only tv-series titles have seasons');
+    return null;
+  }
+  return series;
+}
+
+const parseNumber = (value) => (value === undefined || value === '' ? undefined : Number(value));
+
+// JSON bodies of the season routes; the catalog schema then checks the series they produce
+const seasonNumberSchema = { type: ['integer', 'string'], minimum: 1, pattern: '^[1-9]\\d*$' };
+const addSeasonBody = {
+  type: 'object',
+  properties: { season: seasonNumberSchema }
+};
+const seasonOrderBody = {
+  type: 'object',
+  required: ['order'],
+  properties: { order: { type: 'array', items: { type: 'integer', minimum: 1 } } }
+};
+
+// Body { season } is optional; the next free number is used without it
+app.post('/movies/:id/seasons', verifyToken, requireRole('admin', 'editor'), verifyCsrf, validateRequest({ body: addSeasonBody }), async (req, res) => {
+  try {
+    if (!(await loadSeries(req, res))) return;
+    const requested = parseNumber(req.body?.season);
+
+    await backupMoviesFile();
+    const saved = await updateSeries(parseInt(req.params.id), series => {
+      const season = requested ?? Math.max(0, ...series.seasons.map(s => s.season)) + 1;
+      if (findSeason(series, season)) throw new Error(`Season ${season} already exists`);
+      series.seasons.push({ season, episodes: [] });
+      series.seasons.sort(sortByNumber('season'));
+    });
+    if (!saved) return sendError(res, 404, 'Series not found');
+    await recordAudit(req, 'update', saved.after.id, saved.before, saved.after);
+    res.json(saved.after);
+  } catch (error) {
+    console.error('POST /movies/:id/seasons error:', error);
+    sendError(res, 400, error.message);
+  }
+});
+
+// Body { order: [3, 1, 2] } lists every current season number in the new order; seasons are
+// then renumbered from 1 in that order
+app.put('/movies/:id/seasons/order', verifyToken, requireRole('admin', 'editor'), verifyCsrf, validateRequest({ body: seasonOrderBody }), async (req, res) => {
+  try {
+    if (!(await loadSeries(req, res))) return;
+    const order = req.body?.order || [];
+
+    await backupMoviesFile();
+    const saved = await updateSeries(parseInt(req.params.id), series => {
+      const current = series.seasons.map(s => s.season);
+      if (order.length !== current.length || new Set(order).size !== order.length || !order.every(n => current.includes(n))) {
+        throw new Error(`order must list each of seasons ${current.join(', ')} once`);
+      }
+      series.seasons = order.map((number, index) => ({ ...findSeason(series, number), season: index + 1 }));
+    });
+    if (!saved) return sendError(res, 404, 'Series not found');
+    await recordAudit(req, 'update', saved.after.id, saved.before, saved.after);
+    res.json(saved.after);
+  } catch (error) {
+    console.error('PUT /movies/:id/seasons/order error:', error);
+    sendError(res, 400, error.message);
+  }
+});
+
+app.delete('/movies/:id/seasons/:season', verifyToken, requireRole('admin', 'editor'), verifyCsrf, async (req, res) => {
+  try {
+    const series = await loadSeries(req, res);
+    if (!series) return;
+    const number = parseInt(req.params.season);
+    if (!findSeason(series, number)) return sendError(res, 404, 'Season not found');
+
+    await backupMoviesFile();
+    const saved = await updateSeries(series.id, current => {
+      const season = findSeason(current, number);
+      if (!season) throw new Error('Season not found');
+      current.seasons = current.seasons.filter(s => s !== season);
+      return season;
+    });
+    if (!saved) return sendError(res, 404, 'Series not found');
+    await moveToTrash(req, {
+      kind: 'episodes',
+      label: `${series.title} season ${number}`,
+      titleId: series.id,
+      record: { season: number, episodes: saved.result.episodes }
+    }, saved.result.episodes.flatMap(ep => [ep.file_path, ...subtitleFiles(ep)]));
+    await recordAudit(req, 'update', series.id, saved.before, saved.after);
+    res.json(saved.after);
+  } catch (error) {
+    console.error('DELETE /movies/:id/seasons/:season error:', error);
+    sendError(res, 400, error.message);
+  }
+});
+
+// Multipart: episode_file (required), title, duration, and optionally episode (the number;
+// defaults to the next one in the season). A duration ffprobe reads from the file wins.
+app.post('/movies/:id/seasons/:season/episodes', verifyToken, requireRole('admin', 'editor'), verifyCsrf, uploadEpisode, async (req, res) => {
+  let saved = null;
+  try {
+    if (!req.file) return sendError(res, 400, 'Episode file is required');
+    const series = await loadSeries(req, res);
+    if (!series) return;
+    const number = parseInt(req.params.season);
+    if (!findSeason(series, number)) return sendError(res, 404, 'Season not found');
+
+    const probed = await probeUpload(req.file.path);
+    await backupMoviesFile();
+    saved = await updateSeries(series.id, current => {
+      const season = findSeason(current, number);
+      if (!season) throw new Error('Season not found');
+      const episode = validateEpisode({
+        episode: parseNumber(req.body.episode) ?? Math.max(0, ...season.episodes.map(ep => ep.episode)) + 1,
+        title: req.body.title || '',
+        file_path: `/hub/series/${req.file.filename}`,
+        duration: probed.duration ?? (req.body.duration || ''),
+        media: probed.media
+      });
+      if (season.episodes.some(ep => ep.episode === episode.episode)) {
+        throw new Error(`Season ${number} already has an episode ${episode.episode}`);
+      }
+      season.episodes.push(episode);
+      season.episodes.sort(sortByNumber('episode'));
+      return episode;
+    });
+    if (!saved) return sendError(res, 404, 'Series not found');
+    await recordAudit(req, 'update', series.id, saved.before, saved.after);
+    await queueConversions(saved.after, [saved.result.file_path]);
+    res.json(saved.after);
+  } catch (error) {
+    console.error('POST /movies/:id/seasons/:season/episodes error:', error);
+    sendError(res, 400, error.message);
+  } finally {
+    // An upload that did not make it into the catalog is not kept
+    if (req.file && !saved) await fs.unlink(req.file.path).catch(() => {});
+  }
+});
+
+// Multipart: title, duration, optionally episode (to renumber) and episode_file (to replace the file)
+app.post('/movies/:id/seasons/:season/episodes/:episode', verifyToken, requireRole('admin', 'editor'), verifyCsrf, uploadEpisode, async (req, res) => {
+  let saved = null;
+  try {
+    const series = await loadSeries(req, res);
+    if (!series) return;
+    const seasonNumber = parseInt(req.params.season);
+    const episodeNumber = parseInt(req.params.episode);
+    if (!findSeason(series, seasonNumber)?.episodes.some(ep => ep.episode === episodeNumber)) {
+      return sendError(res, 404, 'Episode not found');
+    }
+
+    const probed = req.file ? await probeUpload(req.file.path) : {};
+    await backupMoviesFile();
+    saved = await updateSeries(series.id, current => {
+      const season = findSeason(current, seasonNumber);
+      const index = season?.episodes.findIndex(ep => ep.episode === episodeNumber) ?? -1;
+      if (index === -1) throw new Error('Episode not found');
+      const previous = season.episodes[index];
+      const { media, ...kept } = previous;
+      const episode = validateEpisode({
+        ...kept,
+        episode: parseNumber(req.body.episode) ?? previous.episode,
+        title: req.body.title !== undefined ? req.body.title : previous.title,
+        duration: probed.duration ?? (req.body.duration !== undefined ? req.body.duration : previous.duration),
+        file_path: req.file ? `/hub/series/${req.file.filename}` : previous.file_path,
+        media: req.file ? probed.media : media
+      });
+      if (season.episodes.some((ep, i) => i !== index && ep.episode === episode.episode)) {
+        throw new Error(`Season ${seasonNumber} already has an episode ${episode.episode}`);
+      }
+      season.episodes[index] = episode;
+      season.episodes.sort(sortByNumber('episode'));
+      return { previous, episode };
+    });
+    if (!saved) return sendError(res, 404, 'Series not found');
+    const { previous, episode } = saved.result;
+    if (req.file && previous.file_path) {
+      await moveToTrash(req, {
+        kind: 'file',
+        label: `${episodeLabel(series, seasonNumber, episode)}: replaced video`,
+        titleId: series.id,
+        target: { field: 'file_path', season: seasonNumber, episode: episode.episode }
+      }, [previous.file_path]);
+      await queueConversions(saved.after, [episode.file_path]);
+    }
+    await recordAudit(req, 'update', series.id, saved.before, saved.after);
+    res.json(saved.after);
+  } catch (error) {
+    console.error('POST /movies/:id/seasons/:season/episodes/:episode error:', error);
+    sendError(res, 400, error.message);
+  } finally {
+    if (req.file && !saved) await fs.unlink(req.file.path).catch(() => {});
+  }
+});
+
+app.delete('/movies/:id/seasons/:season/episodes/:episode', verifyToken, requireRole('admin', 'editor'), verifyCsrf, async (req, res) => {
+  try {
+    const series = await loadSeries(req, res);
+    if (!series) return;
+    const seasonNumber = parseInt(req.params.season);
+    const episodeNumber = parseInt(req.params.episode);
+    if (!findSeason(series, seasonNumber)?.episodes.some(ep => ep.episode === episodeNumber)) {
+      return sendError(res, 404, 'Episode not found');
+    }
+
+    await backupMoviesFile();
+    const saved = await updateSeries(series.id, current => {
+      const season = findSeason(current, seasonNumber);
+      const episode = season?.episodes.find(ep => ep.episode === episodeNumber);
+      if (!episode) throw new Error('Episode not found');
+      season.episodes = season.episodes.filter(ep => ep !== episode);
+      return episode;
+    });
+    if (!saved) return sendError(res, 404, 'Series not found');
+    await moveToTrash(req, {
+      kind: 'episodes',
+      label: episodeLabel(series, seasonNumber, saved.result),
+      titleId: series.id,
+      record: { season: seasonNumber, episodes: [saved.result] }
+    }, [saved.result.file_path, ...subtitleFiles(saved.result)]);
+    await recordAudit(req, 'update', series.id, saved.before, saved.after);
+    res.json(saved.after);
+  } catch (error) {
+    console.error('DELETE /movies/:id/seasons/:season/episodes/:episode error:', error);
+    sendError(res, 400, error.message);
+  }
+});
+
+// Subtitles: uploaded per title or per episode as SubRip or WebVTT and stored as WebVTT in
+// SUBTITLES_DIR, one track per language. Tracks embedded in the media file are extracted by a
+// media job instead and are not listed here.
+const SUBTITLE_MAX_BYTES = 2 * 1024 * 1024;
+const uploadSubtitle = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: SUBTITLE_MAX_BYTES, files: 1 }
+}).single('subtitle_file');
+const subtitleRoutes = ['/movies/:id/subtitles', '/movies/:id/seasons/:season/episodes/:episode/subtitles'];
+const subtitleFiles = (entry) => (entry.subtitles || []).map(track => track.path);
+
+// The title, or the episode when the route names one
+const subtitleTarget = (movie, { season, episode }) => (episode === undefined ? movie : findEpisode(movie, season, episode));
+const subtitleLabel = (movie, { season, episode }) => (episode === undefined
+  ? movie.title
+  : episodeLabel(movie, parseInt(season), findEpisode(movie, season, episode)));
+
+// Runs `change(target)` on a normalized copy of the title inside one catalog transaction and saves
+// the copy. `change` may throw to abort without saving. Resolves to null when the title or
+// episode no longer exists.
+const updateSubtitleTarget = (id, params, change) => catalog.transaction(tx => {
+  const before = tx.get(id);
+  if (!before) return null;
+  const movie = normalizeEntry(before);
+  const target = subtitleTarget(movie, params);
+  if (!target) return null;
+  const result = change(target);
+  return { before, after: tx.update(id, movie), result };
+});
+
+// Multipart: subtitle_file (.srt or .vtt), language (a code like "en" or "pt-BR") and an optional
+// label for the player's menu. A track in the same language is replaced and goes to the trash.
+app.post(subtitleRoutes, verifyToken, requireRole('admin', 'editor'), verifyCsrf, uploadSubtitle, async (req, res) => {
+  let file = null;
+  let saved = null;
+  try {
+    if (!req.file) return sendError(res, 400, 'Subtitle file is required');
+    const movie = await findMovie(req.params.id);
+    const target = movie && subtitleTarget(movie, req.params);
+    if (!target) return sendError(res, 404, req.params.episode === undefined ? 'Movie not found' : 'Episode not found');
+    if (!target.file_path) return sendError(res, 400, 'This title has no media file; add subtitles to its episodes instead');
+
+    const vtt = toWebVtt(req.file.buffer, req.file.originalname);
+    const name = `${Date.now()}-${Math.round(Math.random() * 1e9)}-${path.basename(req.file.originalname).replace(/\.[^.]+$/, '')}.vtt`;
+    const label = String(req.body.label || '').trim();
+    const track = {
+      language: String(req.body.language || '').trim(),
+      ...(label ? { label } : {}),
+      path: `/hub/subtitles/${name}`
+    };
+    file = path.join(config.subtitlesDir, name);
+    await fs.mkdir(config.subtitlesDir, { recursive: true });
+    await fs.writeFile(file, vtt);
+
+    await backupMoviesFile();
+    saved = await updateSubtitleTarget(movie.id, req.params, current => {
+      const subtitles = current.subtitles || [];
+      const replaced = subtitles.find(entry => entry.language.toLowerCase() === track.language.toLowerCase());
+      current.subtitles = [...subtitles.filter(entry => entry !== replaced), track];
+      return replaced;
+    });
+    if (!saved) return sendError(res, 404, 'Movie not found');
+    if (saved.result) {
+      await moveToTrash(req, {
+        kind: 'subtitles',
+        label: `${subtitleLabel(saved.after, req.params)}: replaced ${saved.result.label || saved.result.language} subtitles`,
+        titleId: movie.id,
+        record: { season: parseNumber(req.params.season), episode: parseNumber(req.params.episode), track: saved.result }
+      }, [saved.result.path]);
+    }
+    await recordAudit(req, 'update', movie.id, saved.before, saved.after);
+    res.json(saved.after);
+  } catch (error) {
+    console.error('POST /movies/:id/subtitles error:', error);
+    sendError(res, 400, error.message);
+  } finally {
+    if (file && !saved) await fs.unlink(file).catch(() => {});
+  }
+});
+
+app.delete(subtitleRoutes.map(route => `${route}/:language`), verifyToken, requireRole('admin', 'editor'), verifyCsrf, async (req, res) => {
+  try {
+    const movie = await findMovie(req.params.id);
+    const target = movie && subtitleTarget(movie, req.params);
+    if (!target) return sendError(res, 404, req.params.episode === undefined ? 'Movie not found' : 'Episode not found');
+    const language = req.params.language.toLowerCase();
+    if (!(target.subtitles || []).some(entry => entry.language.toLowerCase() === language)) {
+      return sendError(res, 404, 'Subtitles not found');
+    }
+
+    await backupMoviesFile();
+    const saved = await updateSubtitleTarget(movie.id, req.params, current => {
+      const track = (current.subtitles || []).find(entry => entry.language.toLowerCase() === language);
+      if (!track) throw new Error('Subtitles not found');
+      current.subtitles = current.subtitles.filter(entry => entry !== track);
+      if (!current.subtitles.length) delete current.subtitles;
+      return track;
+    });
+    if (!saved) return sendError(res, 404, 'Movie not found');
+    await moveToTrash(req, {
+      kind: 'subtitles',
+      label: `${subtitleLabel(saved.after, req.params)}: ${saved.result.label || saved.result.language} subtitles`,
+      titleId: movie.id,
+      record: { season: parseNumber(req.params.season), episode: parseNumber(req.params.episode), track: saved.result }
+    }, [saved.result.path]);
+    await recordAudit(req, 'update', movie.id, saved.before, saved.after);
+    res.json(saved.after);
+  } catch (error) {
+    console.error('DELETE /movies/:id/subtitles/:language error:', error);
+    sendError(res, 400, error.message);
+  }
+});
+
+// Library scan: media copied straight into the hub folders becomes drafts that an admin reviews
+// and publishes. scan-library.js runs the same scan from the command line.
+const draftStore = createDraftStore(draftsFile);
+const scanOptions = async () => ({ roots: libraryRoots, movies: await catalog.list() });
+const draftFiles = (draft) => draft.file_path ? [draft.file_path] : draft.seasons.flatMap(s => s.episodes.map(ep => ep.file_path));
+
+app.get('/admin/drafts', verifyToken, requireRole('admin'), async (req, res) => {
+  try {
+    const { drafts } = await draftStore.load();
+    res.json({ drafts });
+  } catch (error) {
+    console.error('GET /admin/drafts error:', error);
+    sendError(res, 500, 'Failed to load drafts');
+  }
+});
+
+app.post('/admin/scan', verifyToken, requireRole('admin'), verifyCsrf, async (req, res) => {
+  try {
+    const drafts = await refreshDrafts(draftStore, await scanOptions());
+    console.log(`Library scan by ${req.username}: ${drafts.length} draft${drafts.length === 1 ? '' : 's'}`);
+    res.json({ drafts });
+  } catch (error) {
+    console.error('POST /admin/scan error:', error);
+    sendError(res, 500, 'Failed to scan the library');
+  }
+});
+
+// JSON body: title, year, rating, duration, resolution, genres, description and poster to publish
+// with, defaulting to what the scan found. A series draft that matched a catalog series adds its
+// episodes to that series instead, and ignores the body.
+const publishDraftBody = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    title: { type: 'string' },
+    year: { type: ['integer', 'string'] },
+    rating: { type: ['number', 'string'] },
+    duration: { type: ['integer', 'string'] },
+    resolution: { type: 'string' },
+    genres: { type: ['array', 'string'], items: { type: 'string' } },
+    description: { type: 'string' },
+    poster: { type: 'string' }
+  }
+};
+
+app.post('/admin/drafts/:id/publish', verifyToken, requireRole('admin'), verifyCsrf, validateRequest({ body: publishDraftBody }), async (req, res) => {
+  try {
+    const body = req.body || {};
+    const published = await draftStore.update(async state => {
+      const draft = state.drafts.find(d => d.id === req.params.id);
+      if (!draft) return null;
+
+      const files = draftFiles(draft);
+      const listed = new Set(catalogFiles(await catalog.list()).map(file => file.toLowerCase()));
+      if (files.some(file => listed.has(file.toLowerCase()))) {
+        throw new Error('Some of these files are already in the catalog; scan again');
+      }
+      for (const file of files) {
+        await fs.access(resolveMediaPath(file) || '').catch(() => {
+          throw new Error(`${file} no longer exists; scan again`);
+        });
+      }
+
+      const series = draft.seriesId ? await catalog.get(draft.seriesId) : null;
+      let movie;
+      if (draft.category === 'tv-series' && series?.category === 'tv-series') {
+        await backupMoviesFile();
+        const saved = await updateSeries(series.id, current => {
+          draft.seasons.forEach(({ season: number, episodes }) => {
+            let season = findSeason(current, number);
+            if (!season) {
+              season = { season: number, episodes: [] };
+              current.seasons.push(season);
+            }
+            episodes.forEach(episode => {
+              if (season.episodes.some(ep => ep.episode === episode.episode)) {
+                throw new Error(`${current.title} already has season ${number}, episode ${episode.episode}`);
+              }
+              season.episodes.push(episode);
+            });
+            season.episodes.sort(sortByNumber('episode'));
+          });
+          current.seasons.sort(sortByNumber('season'));
+        });
+        if (!saved) throw new Error('The series this draft belongs to was deleted; scan again');
+        await recordAudit(req, 'update', series.id, saved.before, saved.after);
+        movie = saved.after;
+      } else {
+        const fields = validateMovie({
+          title: body.title ?? draft.title,
+          file_path: draft.file_path,
+          poster: body.poster,
+          duration: body.duration,
+          year: body.year ?? draft.year,
+          rating: body.rating,
+          resolution: body.resolution ?? draft.resolution,
+          category: draft.category,
+          genres: body.genres,
+          description: body.description,
+          seasons: draft.seasons
+        });
+        await backupMoviesFile();
+        movie = await catalog.transaction(tx => tx.insert(fields));
+        await recordAudit(req, 'create', movie.id, {}, movie);
+      }
+      state.drafts = state.drafts.filter(d => d.id !== draft.id);
+      await queueConversions(movie, files);
+      return movie;
+    });
+    if (!published) return sendError(res, 404, 'Draft not found');
+    res.json(published);
+  } catch (error) {
+    console.error('POST /admin/drafts/:id/publish error:', error);
+    sendError(res, 400, error.message);
+  }
+});
+
+// Dismissed files are remembered so later scans skip them
+app.delete('/admin/drafts/:id', verifyToken, requireRole('admin'), verifyCsrf, async (req, res) => {
+  try {
+    const dismissed = await draftStore.update(async state => {
+      const draft = state.drafts.find(d => d.id === req.params.id);
+      if (!draft) return null;
+      state.drafts = state.drafts.filter(d => d.id !== draft.id);
+      state.ignored = [...new Set([...state.ignored, ...draftFiles(draft)])];
+      return draft;
+    });
+    if (!dismissed) return sendError(res, 404, 'Draft not found');
+    res.json({ message: 'Draft dismissed' });
+  } catch (error) {
+    console.error('DELETE /admin/drafts/:id error:', error);
+    sendError(res, 500, 'Failed to dismiss draft');
+  }
+});
+
+// Trash: deleted titles, seasons, episodes and subtitles, and media files replaced by an upload.
+// Restoring an item moves its files back and puts its catalog data back where it was.
+function restoreTrashItem(item) {
+  if (item.kind === 'title') {
+    return catalog.transaction(tx => {
+      const { id, ...fields } = item.record;
+      // The title gets its old id back, and with it its old /title/ links, unless the id was reused
+      if (tx.get(id)) return { before: {}, after: tx.insert(fields) };
+      const movie = { ...fields, id };
+      tx.replaceAll([...tx.list(), movie].sort(sortByNumber('id')));
+      return { before: {}, after: movie };
+    });
+  }
+  if (item.kind === 'episodes') {
+    return updateSeries(item.titleId, series => {
+      const { season: number, episodes } = item.record;
+      let season = findSeason(series, number);
+      if (!season) {
+        season = { season: number, episodes: [] };
+        series.seasons.push(season);
+        series.seasons.sort(sortByNumber('season'));
+      }
+      episodes.forEach(episode => {
+        if (season.episodes.some(ep => ep.episode === episode.episode)) {
+          throw new Error(`Season ${number} already has an episode ${episode.episode}`);
+        }
+        season.episodes.push(episode);
+      });
+      season.episodes.sort(sortByNumber('episode'));
+    }).then(saved => {
+      if (!saved) throw new Error('The series is no longer in the catalog; restore it first');
+      return saved;
+    });
+  }
+  if (item.kind === 'subtitles') {
+    const { season, episode, track } = item.record;
+    return updateSubtitleTarget(item.titleId, { season, episode }, target => {
+      if ((target.subtitles || []).some(entry => entry.language.toLowerCase() === track.language.toLowerCase())) {
+        throw new Error(`There are ${track.language} subtitles already; remove them first`);
+      }
+      target.subtitles = [...(target.subtitles || []), track];
+    }).then(saved => {
+      if (!saved) throw new Error(episode ? `S${season}E${episode} is no longer in the catalog` : 'The title is no longer in the catalog');
+      return saved;
+    });
+  }
+  // A replaced file takes its place again; the file that replaced it goes to the trash in turn
+  return catalog.transaction(tx => {
+    const before = tx.get(item.titleId);
+    if (!before) throw new Error('The title is no longer in the catalog');
+    const { field, season, episode } = item.target;
+    const movie = normalizeEntry(before);
+    const target = season ? findSeason(movie, season)?.episodes.find(ep => ep.episode === episode) : movie;
+    if (!target) throw new Error(`S${season}E${episode} is no longer in the catalog`);
+    const replaced = target[field];
+    target[field] = item.files[0].path;
+    return { before, after: tx.update(item.titleId, movie), replaced };
+  });
+}
+
+app.get('/admin/trash', verifyToken, requireRole('admin'), async (req, res) => {
+  try {
+    const items = (await trash.list()).map(({ record, ...item }) => ({
+      ...item,
+      size: item.files.reduce((total, file) => total + (file.size || 0), 0),
+      expiresAt: new Date(Date.parse(item.deletedAt) + TRASH_RETENTION).toISOString()
+    }));
+    res.json({ items, retentionDays: TRASH_RETENTION_DAYS });
+  } catch (error) {
+    console.error('GET /admin/trash error:', error);
+    sendError(res, 500, 'Failed to load trash');
+  }
+});
+
+app.post('/admin/trash/:id/restore', verifyToken, requireRole('admin'), verifyCsrf, async (req, res) => {
+  try {
+    if (!(await trash.list()).some(item => item.id === req.params.id)) return sendError(res, 404, 'Trash item not found');
+    await backupMoviesFile();
+    const restored = await trash.restore(req.params.id, async item => ({ ...(await restoreTrashItem(item)), item }));
+    if (!restored) return sendError(res, 404, 'Trash item not found');
+    const { before, after, replaced, item } = restored;
+    await recordAudit(req, Object.keys(before).length ? 'update' : 'create', after.id, before, after);
+    await queueConversions(after, item.files.map(file => file.path));
+    if (replaced && !catalogFiles([after]).includes(replaced) && after.poster !== replaced) {
+      await moveToTrash(req, { kind: 'file', label: item.label, titleId: after.id, target: item.target }, [replaced]);
+    }
+    res.json({ message: 'Restored from the trash', movie: after });
+  } catch (error) {
+    console.error('POST /admin/trash/:id/restore error:', error);
+    sendError(res, error.code === 'EEXIST' ? 409 : 400, error.message);
+  }
+});
+
+app.delete('/admin/trash/:id', verifyToken, requireRole('admin'), verifyCsrf, async (req, res) => {
+  try {
+    const [purged] = await trash.purge(req.params.id);
+    if (!purged) return sendError(res, 404, 'Trash item not found');
+    console.log(`${req.username} purged ${purged.label} from the trash`);
+    res.json({ message: 'Deleted for good' });
+  } catch (error) {
+    console.error('DELETE /admin/trash/:id error:', error);
+    sendError(res, 500, 'Failed to purge trash item');
+  }
+});
+
+// Empties the trash
+app.delete('/admin/trash', verifyToken, requireRole('admin'), verifyCsrf, async (req, res) => {
+  try {
+    const purged = await trash.purge(() => true);
+    console.log(`${req.username} emptied the trash (${purged.length} item(s))`);
+    res.json({ message: 'Trash emptied', purged: purged.length });
+  } catch (error) {
+    console.error('DELETE /admin/trash error:', error);
+    sendError(res, 500, 'Failed to empty trash');
+  }
+});
+
+// Media jobs: preparation work queued by uploads, published drafts and restores, or from here for a
+// title or the whole catalog
+let ffmpegStatus = null;
+
+app.get('/admin/jobs', verifyToken, requireRole('admin'), (req, res) => {
+  res.json({ jobs: mediaJobs.list(), ffmpeg: ffmpegStatus, hlsRenditions: HLS_RENDITIONS.map(height => `${height}p`) });
+});
+
+const queueJobsBody = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    titleId: { type: 'integer', minimum: 1 },
+    type: { enum: JOB_TYPES }
+  }
+};
+
+// Body: { titleId } for one title's files, or {} for every file in the catalog still missing a
+// prepared copy; `type` limits it to one kind of job ("transcode", "hls", "thumbnails",
+// "subtitles" or "poster", the last only for titles without a poster)
+app.post('/admin/jobs', verifyToken, requireRole('admin'), verifyCsrf, validateRequest({ body: queueJobsBody }), async (req, res) => {
+  try {
+    const { titleId, type } = req.body || {};
+    if (type === 'hls' && !HLS_RENDITIONS.length) return sendError(res, 400, 'HLS packaging is turned off (HLS_RENDITIONS=off)');
+    const movies = titleId ? [await catalog.get(titleId)] : await catalog.list();
+    if (!movies[0] && titleId) return sendError(res, 404, 'Movie not found');
+    const queued = [];
+    for (const movie of movies) {
+      queued.push(...await queueConversions(movie, null, type ? [type] : undefined));
+    }
+    res.json({ message: `Queued ${queued.length} job${queued.length === 1 ? '' : 's'}`, jobs: queued });
+  } catch (error) {
+    console.error('POST /admin/jobs error:', error);
+    sendError(res, 500, 'Failed to queue jobs');
+  }
+});
+
+app.post('/admin/jobs/:id/retry', verifyToken, requireRole('admin'), verifyCsrf, async (req, res) => {
+  try {
+    const job = await mediaJobs.retry(req.params.id);
+    if (!job) return sendError(res, 404, 'No failed or cancelled job with that id');
+    res.json(job);
+  } catch (error) {
+    console.error('POST /admin/jobs/:id/retry error:', error);
+    sendError(res, 500, 'Failed to retry job');
+  }
+});
+
+// Cancels a queued or running job
+app.delete('/admin/jobs/:id', verifyToken, requireRole('admin'), verifyCsrf, async (req, res) => {
+  try {
+    if (!(await mediaJobs.cancel(req.params.id))) return sendError(res, 404, 'No queued or running job with that id');
+    res.json({ message: 'Job cancelled' });
+  } catch (error) {
+    console.error('DELETE /admin/jobs/:id error:', error);
+    sendError(res, 500, 'Failed to cancel job');
+  }
+});
+
+app.get('/login.html', (req, res) => {
+  const filePath = path.join(rootDir, 'login.html');
+  fs.access(filePath)
+    .then(() => res.sendFile(filePath))
+    .catch(() => {
+      console.log(`login.html not found at: ${filePath}`);
+      res.status(404).send('login.html not found');
+    });
+});
+
+app.get('/manage-movies.html', verifyToken, requireRole('admin', 'editor'), (req, res) => {
+  const filePath = path.join(rootDir, 'admin/manage-movies.html');
+  fs.access(filePath)
+    .then(() => res.sendFile(filePath))
+    .catch(() => {
+      console.log(`manage-movies.html not found at: ${filePath}`);
+      res.status(404).send('manage-movies.html not found');
+    });
+});
+
+app.get('/favicon.ico', (req, res) => {
+  const faviconPath = path.join(rootDir, 'assets/images/favicon.ico');
+  fs.access(faviconPath)
+    .then(() => res.sendFile(faviconPath))
+    .catch(() => {
+      console.log('Favicon not found at:', faviconPath);
+      res.status(404).send('Favicon not found');
+    });
 });
 
 app.use((err, req, res, next) => {
@@ -482,11 +2857,30 @@ app.use((err, req, res, next) => {
   if (err instanceof multer.MulterError) {
     return sendError(res, 400, `File upload error: ${err.message}`);
   }
+  if (err instanceof JsonSchemaValidation) {
+    const problems = Object.values(err.validations).flat()
+      .map(({ property, messages }) => `${property.replace(/^(request\.body|instance)\.?/, '') || 'body'} ${messages.join(', ')}`);
+    return sendError(res, 400, `Invalid request: ${problems.join('; ')}`);
+  }
   sendError(res, 500, 'Server error');
 });
 
-// Initialize movies.json and users.json
-Promise.all([ensureMoviesFile(), loadUsers().then(data => { users = data; })]).then(() => {
+// Initialize the catalog, users.json and sessions.json
+Promise.all([
+  initCatalog().then(warnAboutLegacyEntries).then(rebuildSearchIndex),
+  ffmpegVersion(FFMPEG_PATH).then(version => {
+    ffmpegStatus = version;
+    if (!version) console.warn(`ffmpeg was not found at "${FFMPEG_PATH}"; media conversions will fail until it is installed or FFMPEG_PATH is set`);
+  }),
+  ffmpegVersion(FFPROBE_PATH).then(version => {
+    if (!version) console.warn(`ffprobe was not found at "${FFPROBE_PATH}"; uploads keep the duration and resolution typed in the form until it is installed or FFPROBE_PATH is set`);
+  }),
+  loadUsers().then(data => { users = data; }),
+  loadSessions().then(data => { sessions = data; })
+]).then(() => {
+  // Restored jobs and the trash purge write to the catalog, so they start once it is loaded
+  return Promise.all([mediaJobs.init(), purgeExpiredTrash()]);
+}).then(() => {
   app.listen(port, host, () => {
     console.log(`Server running at http://${host}:${port}`);
   });
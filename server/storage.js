@@ -0,0 +1,230 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+// Catalog storage. Every mutation runs inside `transaction(fn)`: transactions are queued so
+// they never interleave, and `fn` receives a handle with list/get/insert/update/remove/replaceAll.
+// `fn` must be synchronous; do validation and file work before or after the transaction.
+
+// Write to a temp file beside the target and rename it into place, so a crash or a concurrent
+// reader never sees a half-written file
+async function writeFileAtomic(file, data) {
+  const tempFile = `${file}.${process.pid}.${Date.now()}.tmp`;
+  await fs.writeFile(tempFile, data);
+  try {
+    await fs.rename(tempFile, file);
+  } catch (error) {
+    await fs.unlink(tempFile).catch(() => {});
+    throw error;
+  }
+}
+
+// Runs async tasks one at a time in submission order; a failed task does not block the next
+function createQueue() {
+  let tail = Promise.resolve();
+  return (task) => {
+    const run = tail.then(task);
+    tail = run.catch(() => {});
+    return run;
+  };
+}
+
+function createJsonStore(file) {
+  const enqueue = createQueue();
+
+  async function load() {
+    let content;
+    try {
+      content = await fs.readFile(file, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+    try {
+      return JSON.parse(content);
+    } catch (error) {
+      // Refuse to continue rather than overwrite a damaged catalog with an empty one
+      throw new Error(`${file} is not valid JSON: ${error.message}`);
+    }
+  }
+
+  return {
+    backend: 'json',
+
+    async init() {
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      try {
+        await fs.access(file);
+      } catch (error) {
+        console.log(`Creating ${file}`);
+        await writeFileAtomic(file, JSON.stringify([], null, 2));
+      }
+      await load();
+    },
+
+    // Reads are not queued: the file is only ever replaced whole, so any read sees a committed state
+    list: () => load(),
+    get: async (id) => (await load()).find(m => m.id === id) || null,
+
+    transaction: (fn) => enqueue(async () => {
+      const movies = await load();
+      let changed = false;
+      const findIndex = (id) => movies.findIndex(m => m.id === id);
+      const tx = {
+        list: () => movies,
+        get: (id) => movies.find(m => m.id === id) || null,
+        insert: (movie) => {
+          const { id, ...fields } = movie;
+          const saved = { ...fields, id: movies.length ? Math.max(...movies.map(m => m.id)) + 1 : 1 };
+          movies.push(saved);
+          changed = true;
+          return saved;
+        },
+        update: (id, movie) => {
+          const index = findIndex(id);
+          if (index === -1) return null;
+          movies[index] = { ...movie, id };
+          changed = true;
+          return movies[index];
+        },
+        remove: (id) => {
+          const index = findIndex(id);
+          if (index === -1) return null;
+          changed = true;
+          return movies.splice(index, 1)[0];
+        },
+        replaceAll: (list) => {
+          movies.splice(0, movies.length, ...list);
+          changed = true;
+        }
+      };
+      const result = fn(tx);
+      if (changed) await writeFileAtomic(file, JSON.stringify(movies, null, 2));
+      return result;
+    })
+  };
+}
+
+// Each movie is one row: the id column is authoritative and the other fields are stored as JSON,
+// so the catalog format can evolve without schema migrations
+function createSqliteStore(file) {
+  let Database;
+  try {
+    Database = require('better-sqlite3');
+  } catch (error) {
+    throw new Error('STORAGE_BACKEND=sqlite needs the optional better-sqlite3 package: npm install better-sqlite3');
+  }
+  const enqueue = createQueue();
+  let db;
+  let statements;
+
+  const toMovie = (row) => ({ ...JSON.parse(row.data), id: row.id });
+  const toData = ({ id, ...fields }) => JSON.stringify(fields);
+
+  const tx = {
+    list: () => statements.list.all().map(toMovie),
+    get: (id) => {
+      const row = statements.get.get(id);
+      return row ? toMovie(row) : null;
+    },
+    insert: (movie) => {
+      const { lastInsertRowid } = statements.insert.run(toData(movie));
+      return tx.get(Number(lastInsertRowid));
+    },
+    update: (id, movie) => statements.update.run(toData(movie), id).changes ? tx.get(id) : null,
+    remove: (id) => {
+      const movie = tx.get(id);
+      if (movie) statements.remove.run(id);
+      return movie;
+    },
+    replaceAll: (list) => {
+      statements.clear.run();
+      list.forEach(movie => statements.insertWithId.run(movie.id, toData(movie)));
+    }
+  };
+
+  return {
+    backend: 'sqlite',
+
+    async init() {
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      db = new Database(file);
+      db.pragma('journal_mode = WAL');
+      db.exec('CREATE TABLE IF NOT EXISTS movies (id INTEGER PRIMARY KEY AUTOINCREMENT, data TEXT NOT NULL)');
+      statements = {
+        list: db.prepare('SELECT id, data FROM movies ORDER BY id'),
+        get: db.prepare('SELECT id, data FROM movies WHERE id = ?'),
+        insert: db.prepare('INSERT INTO movies (data) VALUES (?)'),
+        insertWithId: db.prepare('INSERT INTO movies (id, data) VALUES (?, ?)'),
+        update: db.prepare('UPDATE movies SET data = ? WHERE id = ?'),
+        remove: db.prepare('DELETE FROM movies WHERE id = ?'),
+        clear: db.prepare('DELETE FROM movies')
+      };
+    },
+
+    list: async () => tx.list(),
+    get: async (id) => tx.get(id),
+    count: async () => db.prepare('SELECT COUNT(*) AS count FROM movies').get().count,
+    transaction: (fn) => enqueue(async () => db.transaction(() => fn(tx))()),
+    close: () => db?.close()
+  };
+}
+
+// Listeners registered with `onChange` run after every committed transaction, e.g. to refresh
+// data derived from the catalog
+function withChangeListeners(store) {
+  const listeners = [];
+  const transaction = store.transaction;
+  return Object.assign(store, {
+    onChange: (listener) => {
+      listeners.push(listener);
+    },
+    transaction: async (fn) => {
+      const result = await transaction(fn);
+      listeners.forEach(listener => listener());
+      return result;
+    }
+  });
+}
+
+// `validate` sees every record before insert, update or replaceAll writes it and throws to abort
+// the whole transaction
+function withValidation(store, validate) {
+  if (!validate) return store;
+  const transaction = store.transaction;
+  return Object.assign(store, {
+    transaction: (fn) => transaction(tx => fn({
+      ...tx,
+      insert: (movie) => {
+        validate(movie);
+        return tx.insert(movie);
+      },
+      update: (id, movie) => {
+        validate({ ...movie, id });
+        return tx.update(id, movie);
+      },
+      replaceAll: (list) => {
+        list.forEach(movie => validate(movie));
+        return tx.replaceAll(list);
+      }
+    }))
+  });
+}
+
+function createCatalogStore({ backend = 'json', jsonFile, sqliteFile, validate }) {
+  if (backend === 'sqlite') return withChangeListeners(withValidation(createSqliteStore(sqliteFile), validate));
+  if (backend === 'json') return withChangeListeners(withValidation(createJsonStore(jsonFile), validate));
+  throw new Error(`Unknown STORAGE_BACKEND: ${backend}`);
+}
+
+// Field-level changes between two versions of a record; arrays compare by value
+function diffFields(before = {}, after = {}) {
+  const changes = {};
+  new Set([...Object.keys(before), ...Object.keys(after)]).forEach(field => {
+    if (JSON.stringify(before[field]) !== JSON.stringify(after[field])) {
+      changes[field] = { from: before[field] ?? null, to: after[field] ?? null };
+    }
+  });
+  return changes;
+}
+
+module.exports = { createCatalogStore, writeFileAtomic, createQueue, diffFields };
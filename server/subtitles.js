@@ -0,0 +1,48 @@
+// Subtitle uploads: SubRip (.srt) files are converted to WebVTT, which is what browsers' <track>
+// elements read; WebVTT files are checked and kept as they are.
+
+// Uploads are usually UTF-8, but older SubRip files are often Windows-1252; bytes that are not
+// valid UTF-8 are read as Latin-1 instead, which gets most of those right
+function decodeText(buffer) {
+  const text = new TextDecoder('utf-8', { fatal: false }).decode(buffer);
+  return (text.includes('\uFFFD') ? buffer.toString('latin1') : text).replace(/^\uFEFF/, '');
+}
+
+const SRT_TIMING = /^(\d{1,2}:\d{2}:\d{2})[,.](\d{1,3})\s*-->\s*(\d{1,2}:\d{2}:\d{2})[,.](\d{1,3})/;
+
+const vttTime = (clock, millis) => `${clock.padStart(8, '0')}.${millis.padEnd(3, '0')}`;
+
+// SubRip cues are a number, a timing line and the text, separated by blank lines. The numbers are
+// dropped, timings get WebVTT's "." before the milliseconds, and <font> tags and {\an8}-style
+// positioning, which WebVTT has no equivalent for, are stripped; <b>, <i> and <u> carry over.
+function srtToVtt(text) {
+  const blocks = text.replace(/\r\n?/g, '\n').split(/\n{2,}/);
+  const cues = [];
+  for (const block of blocks) {
+    const lines = block.split('\n').filter(line => line.trim());
+    const timingIndex = lines.findIndex(line => SRT_TIMING.test(line.trim()));
+    if (timingIndex === -1 || timingIndex > 1) continue;
+    const [, start, startMillis, end, endMillis] = lines[timingIndex].trim().match(SRT_TIMING);
+    const body = lines.slice(timingIndex + 1)
+      .map(line => line.replace(/<\/?font[^>]*>/gi, '').replace(/\{\\[^}]*\}/g, '').replace(/-->/g, '->'))
+      .filter(line => line.trim());
+    if (!body.length) continue;
+    cues.push(`${vttTime(start, startMillis)} --> ${vttTime(end, endMillis)}\n${body.join('\n')}`);
+  }
+  if (!cues.length) throw new Error('No subtitles found in the file; is it a SubRip (.srt) file?');
+  return ['WEBVTT', ...cues].join('\n\n') + '\n';
+}
+
+// Returns the WebVTT text for an uploaded .srt or .vtt file; throws for anything else
+function toWebVtt(buffer, filename) {
+  const text = decodeText(buffer);
+  const extension = (filename.match(/\.[^.]+$/)?.[0] || '').toLowerCase();
+  if (extension === '.vtt') {
+    if (!/^WEBVTT(\s|$)/.test(text)) throw new Error('WebVTT files must start with "WEBVTT"');
+    return text.replace(/\r\n?/g, '\n');
+  }
+  if (extension === '.srt') return srtToVtt(text);
+  throw new Error('Subtitle file must be SubRip (.srt) or WebVTT (.vtt)');
+}
+
+module.exports = { srtToVtt, toWebVtt };
@@ -0,0 +1,80 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, cookiesFrom } = require('./support/server');
+
+let server;
+const tokens = {};
+
+before(async () => {
+  server = await startServer();
+  for (const username of ['admin', 'editor', 'viewer']) {
+    tokens[username] = (await server.login(username)).body.token;
+  }
+});
+
+after(() => server.stop());
+
+test('needs a valid access token', async () => {
+  assert.equal((await server.request('GET', '/admin/users')).status, 401);
+  const forged = await server.request('GET', '/admin/users', { token: `${tokens.admin}x` });
+  assert.equal(forged.status, 401);
+  assert.equal(forged.body.error, 'Unauthorized: Invalid token');
+});
+
+test('checks roles on admin and editor routes', async () => {
+  const status = async (urlPath, username) => (await server.request('GET', urlPath, { token: tokens[username] })).status;
+  assert.deepEqual(await Promise.all(['admin', 'editor', 'viewer'].map(username => status('/admin/users', username))), [200, 403, 403]);
+  assert.deepEqual(await Promise.all(['admin', 'editor', 'viewer'].map(username => status('/admin/export', username))), [200, 200, 403]);
+  const forbidden = await server.request('GET', '/admin/users', { token: tokens.viewer });
+  assert.equal(forbidden.body.error, 'Forbidden: Insufficient permissions');
+});
+
+test('applies role changes to tokens already issued', async () => {
+  const promote = await server.request('PUT', '/admin/users/3', { token: tokens.admin, body: { role: 'editor' } });
+  assert.equal(promote.status, 200);
+  assert.equal((await server.request('GET', '/admin/export', { token: tokens.viewer })).status, 200);
+  await server.request('PUT', '/admin/users/3', { token: tokens.admin, body: { role: 'viewer' } });
+  assert.equal((await server.request('GET', '/admin/export', { token: tokens.viewer })).status, 403);
+});
+
+test('disabling an account revokes its tokens', async () => {
+  const { body: session } = await server.login('editor');
+  await server.request('PUT', '/admin/users/2', { token: tokens.admin, body: { disabled: true } });
+  try {
+    assert.equal((await server.request('GET', '/auth/me', { token: session.token })).status, 401);
+    assert.equal((await server.request('POST', '/auth/refresh', { body: { refreshToken: session.refreshToken } })).status, 401);
+    assert.equal((await server.login('editor')).status, 403);
+  } finally {
+    await server.request('PUT', '/admin/users/2', { token: tokens.admin, body: { disabled: false } });
+  }
+  assert.equal((await server.login('editor')).status, 200);
+});
+
+test('cookie sessions need the CSRF token on writes', async () => {
+  const login = await server.login('admin', undefined, { mode: 'cookie' });
+  assert.equal(login.body.token, undefined);
+  const { session, csrf_token: csrfToken } = cookiesFrom(login);
+  const cookies = `session=${session}; csrf_token=${csrfToken}`;
+  const update = (headers) => server.request('PUT', '/admin/users/3', { cookies, headers, body: { email: 'viewer@example.com' } });
+
+  assert.equal((await server.request('GET', '/admin/users', { cookies })).status, 200);
+  const missing = await update({});
+  assert.equal(missing.status, 403);
+  assert.equal(missing.body.error, 'Forbidden: Invalid CSRF token');
+  assert.equal((await update({ 'X-CSRF-Token': `${csrfToken}x` })).status, 403);
+
+  const other = cookiesFrom(await server.login('viewer', undefined, { mode: 'cookie' })).csrf_token;
+  const otherUsers = await server.request('PUT', '/admin/users/3', {
+    cookies: `session=${session}; csrf_token=${other}`,
+    headers: { 'X-CSRF-Token': other },
+    body: { email: 'viewer@example.com' }
+  });
+  assert.equal(otherUsers.status, 403);
+
+  assert.equal((await update({ 'X-CSRF-Token': csrfToken })).status, 200);
+});
+
+test('bearer requests need no CSRF token', async () => {
+  const update = await server.request('PUT', '/admin/users/3', { token: tokens.admin, body: { email: 'viewer@example.com' } });
+  assert.equal(update.status, 200);
+});
@@ -0,0 +1,38 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseCsv, toCsv } = require('../csv');
+
+test('round-trips quotes, commas, line breaks and padding', () => {
+  const rows = [
+    ['id', 'title', 'description'],
+    ['1', 'Crouching Tiger, Hidden Dragon', 'She said "run".'],
+    ['2', ' Padded ', 'First line\r\nSecond line\nThird line'],
+    ['3', '', '']
+  ];
+  const csv = toCsv(rows);
+  assert.equal(csv.split('\r\n')[1], '1,"Crouching Tiger, Hidden Dragon","She said ""run""."');
+  assert.deepEqual(parseCsv(csv), rows);
+});
+
+test('guards formula cells on export and unguards them on import', () => {
+  const csv = toCsv([['=1+1', '-5', '@SUM(A1)', 'plain']]);
+  assert.equal(csv, "'=1+1,'-5,'@SUM(A1),plain\r\n");
+  assert.deepEqual(parseCsv(csv), [['=1+1', '-5', '@SUM(A1)', 'plain']]);
+  assert.deepEqual(parseCsv("'quoted\r\n"), [["'quoted"]]);
+});
+
+test('reads LF and CRLF files with a byte order mark and skips blank lines', () => {
+  assert.deepEqual(parseCsv('﻿title,year\n\nHeat,1995\r\n\r\nRonin,1998'), [['title', 'year'], ['Heat', '1995'], ['Ronin', '1998']]);
+});
+
+test('keeps empty cells and quoted line breaks inside a row', () => {
+  assert.deepEqual(parseCsv('a,,c\n"multi\nline",b,\n'), [['a', '', 'c'], ['multi\nline', 'b', '']]);
+});
+
+test('treats quotes inside an unquoted cell as text', () => {
+  assert.deepEqual(parseCsv('12" single,b'), [['12" single', 'b']]);
+});
+
+test('rejects an unterminated quoted field', () => {
+  assert.throws(() => parseCsv('title\n"never closed'), { message: 'Unterminated quoted field' });
+});
@@ -0,0 +1,109 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { toCsv } = require('../csv');
+const { CATALOG_COLUMNS, parseImportRows, planImport, importReport } = require('../importer');
+
+const movies = [
+  { id: 1, title: 'Heat', category: 'movie', year: 1995, genres: ['crime'], file_path: '/hub/movies/heat.mp4' },
+  { id: 2, title: 'Ronin', category: 'movie', year: 1998, genres: ['action'] },
+  { id: 3, title: 'Twins', category: 'movie', year: 1988, genres: ['comedy'] },
+  { id: 4, title: 'Twins', category: 'movie', year: 2023, genres: ['drama'] },
+  { id: 5, title: 'The Wire', category: 'tv-series', genres: ['crime'], seasons: [{ season: 1, episodes: [{ episode: 1, title: 'The Target' }] }] }
+];
+
+const resolvePath = (filePath) => (filePath.startsWith('/hub/movies/') ? `/media${filePath}` : null);
+const plan = (rows) => planImport(rows, movies, { resolvePath });
+
+test('reads an exported CSV back into rows', () => {
+  const csv = '﻿' + toCsv([CATALOG_COLUMNS, [1, 'Heat', 'movie', 1995, '', '', '', 'crime, thriller', 'A "heist",\nin LA', '/hub/movies/heat.mp4', '']]);
+  const [row] = parseImportRows(csv, 'csv');
+  assert.equal(row.id, '1');
+  assert.equal(row.genres, 'crime, thriller');
+  assert.equal(row.description, 'A "heist",\nin LA');
+});
+
+test('rejects CSV files with unknown columns or neither id nor title', () => {
+  assert.throws(() => parseImportRows('title,studio\nHeat,Warner', 'csv'), { message: 'unknown column: studio' });
+  assert.throws(() => parseImportRows('year\n1995', 'csv'), { message: 'an id or title column is required' });
+  assert.throws(() => parseImportRows('', 'csv'), { message: 'the file is empty' });
+  assert.throws(() => parseImportRows('{}', 'json'), { message: 'expected an array of titles' });
+  assert.deepEqual(parseImportRows('[{"title":"Heat"},"Ronin"]', 'json'), [{ title: 'Heat' }, null]);
+});
+
+test('matches rows by id, then by title, and creates the rest', async () => {
+  const entries = await plan([
+    { id: '1', year: '1996' },
+    { title: ' ronin ', year: '1998' },
+    { title: 'Collateral', category: 'movie', genres: 'Crime, Thriller', year: '2004' }
+  ]);
+  assert.deepEqual(entries.map(({ action, id }) => ({ action, id })), [
+    { action: 'update', id: 1 },
+    { action: 'update', id: 2 },
+    { action: 'create', id: undefined }
+  ]);
+  assert.equal(entries[1].movie.title, 'ronin');
+  assert.deepEqual(entries[0].movie, { title: 'Heat', category: 'movie', year: 1996, genres: ['crime'], file_path: '/hub/movies/heat.mp4' });
+  assert.deepEqual(entries[2].movie.genres, ['crime', 'thriller']);
+});
+
+test('reports duplicate and ambiguous rows', async () => {
+  const entries = await plan([
+    { title: 'Heat', year: '1995' },
+    { id: '1', rating: '8' },
+    { title: 'Twins' },
+    { id: '99' },
+    { id: 'x' }
+  ]);
+  assert.equal(entries[0].action, 'unchanged');
+  assert.deepEqual(entries.slice(1).map(entry => entry.error), [
+    'Updates the same title (id 1) as row 1',
+    'Matches 2 titles with this name; add an id to choose one',
+    'No title with id 99',
+    'id must be a whole number'
+  ]);
+});
+
+test('validates rows against the schema and the media folders', async () => {
+  const entries = await plan([
+    { title: 'Broken', category: 'film', genres: '' },
+    { title: 'Elsewhere', category: 'movie', genres: 'drama', file_path: '/hub/TRASH/x.mp4' },
+    null
+  ]);
+  assert.deepEqual(entries.map(entry => entry.error), [
+    'Category must be one of movie, tv-series, music, animation',
+    'file_path must point into a media folder',
+    'Each entry must be an object'
+  ]);
+});
+
+test('keeps the seasons of a series unless the row replaces them', async () => {
+  const [kept, replaced, duplicate] = await plan([
+    { id: 5, description: 'Baltimore' },
+    { id: 5, seasons: [{ season: 2, episodes: [{ episode: '1', title: 'Ebb Tide', duration: '58 min' }] }] },
+    { title: 'Other', category: 'tv-series', genres: '', seasons: [{ season: 1, episodes: [{ episode: 1, title: 'A' }, { episode: 1, title: 'B' }] }] }
+  ]);
+  assert.deepEqual(kept.movie.seasons, movies[4].seasons);
+  assert.equal(replaced.error, 'Updates the same title (id 5) as row 1');
+  assert.equal(duplicate.error, 'Season 1 lists episode 1 twice');
+
+  const [replacing] = await plan([{ id: 5, seasons: [{ season: 2, episodes: [{ episode: '1', title: 'Ebb Tide', duration: '58 min' }] }] }]);
+  assert.deepEqual(replacing.movie.seasons, [{ season: 2, episodes: [{ episode: 1, title: 'Ebb Tide', duration: 3480 }] }]);
+});
+
+test('summarizes a dry run without the planned records', async () => {
+  const entries = await plan([{ id: '1', year: '1996' }, { title: 'Ronin' }, { title: 'New', category: 'movie', genres: 'drama' }, { id: '99' }]);
+  assert.deepEqual(importReport(entries, true), {
+    dryRun: true,
+    total: 4,
+    created: 1,
+    updated: 1,
+    unchanged: 1,
+    failed: 1,
+    rows: [
+      { row: 1, action: 'update', id: 1, title: 'Heat' },
+      { row: 2, action: 'unchanged', id: 2, title: 'Ronin' },
+      { row: 3, action: 'create', id: null, title: 'New' },
+      { row: 4, action: 'error', id: null, title: '', error: 'No title with id 99' }
+    ]
+  });
+});
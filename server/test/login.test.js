@@ -0,0 +1,62 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./support/server');
+
+let server;
+
+before(async () => {
+  server = await startServer({ env: { LOGIN_MAX_ATTEMPTS: '3', LOGIN_IP_MAX_ATTEMPTS: '100' } });
+});
+
+after(() => server.stop());
+
+const attempts = async (username, count, password = 'wrong-password') => {
+  const responses = [];
+  for (let i = 0; i < count; i++) {
+    const response = await server.login(username, password);
+    responses.push({ status: response.status, error: response.body.error, retryAfter: !!response.headers.get('retry-after') });
+  }
+  return responses;
+};
+
+test('real and made-up usernames lock out the same way', async () => {
+  const real = await attempts('viewer', 5);
+  const madeUp = await attempts('no-such-user', 5);
+  assert.deepEqual(madeUp, real);
+  assert.deepEqual(real.map(response => response.status), [401, 401, 401, 429, 429]);
+  assert.equal(real[3].error, 'Too many failed login attempts. Try again later.');
+  assert.ok(real[3].retryAfter);
+});
+
+test('made-up usernames are tracked by name, whatever the case', async () => {
+  await attempts('Somebody', 2);
+  assert.equal((await server.login('SOMEBODY ', 'wrong-password')).status, 401);
+  assert.equal((await server.login('somebody', 'wrong-password')).status, 429);
+
+  const admin = await server.login('admin');
+  const lockouts = await server.request('GET', '/admin/lockouts', { token: admin.body.token });
+  const entry = lockouts.body.find(lockout => lockout.label === 'Somebody');
+  assert.match(entry.key, /^account:name:[0-9a-f]{32}$/);
+  assert.equal(entry.type, 'account');
+  assert.equal(entry.locked, true);
+});
+
+test('a successful login clears the account failures', async () => {
+  assert.deepEqual((await attempts('editor', 2)).map(response => response.status), [401, 401]);
+  assert.equal((await server.login('editor')).status, 200);
+  assert.deepEqual((await attempts('editor', 2)).map(response => response.status), [401, 401]);
+});
+
+test('too many failures from one address lock the address', async () => {
+  const ipServer = await startServer({ env: { LOGIN_MAX_ATTEMPTS: '10', LOGIN_IP_MAX_ATTEMPTS: '3' } });
+  try {
+    const statuses = [];
+    for (const username of ['one', 'two', 'three', 'admin']) {
+      statuses.push((await ipServer.login(username, 'wrong-password')).status);
+    }
+    assert.deepEqual(statuses, [401, 401, 401, 429]);
+    assert.equal((await ipServer.login('admin')).status, 429);
+  } finally {
+    await ipServer.stop();
+  }
+});
@@ -0,0 +1,89 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./support/server');
+
+let server;
+
+before(async () => {
+  server = await startServer({ env: { REQUIRE_SIGNED_MEDIA: 'true' } });
+});
+
+after(() => server.stop());
+
+test('the catalog needs a login when signed media is required', async () => {
+  assert.equal((await server.request('GET', '/assets/data/movies.json')).status, 401);
+  assert.equal((await server.request('GET', '/api/titles')).status, 401);
+  const { body } = await server.login('viewer');
+  const catalog = await server.request('GET', '/assets/data/movies.json', { token: body.token });
+  assert.equal(catalog.status, 200);
+  assert.deepEqual(catalog.body.map(movie => movie.title), ['Heat']);
+});
+
+test('never serves catalog backups or private data files', async () => {
+  for (const file of ['/assets/backups/movies-backup-2024-01-01T00-00-00-000Z.json', '/assets/data/users.json', '/assets/data/sessions.json']) {
+    const response = await server.request('GET', file);
+    assert.equal(response.status, 403, file);
+    assert.equal(response.body.error, 'Access to user data is restricted');
+  }
+});
+
+const link = async (type, token) => {
+  const response = await server.request('POST', '/media/1/link', { token, body: { type } });
+  assert.equal(response.status, 200);
+  return response.body.url.slice(server.url.length);
+};
+
+test('streams through signed links only', async () => {
+  const { body } = await server.login('viewer');
+  const unsigned = await server.request('GET', '/stream/1', { token: body.token });
+  assert.equal(unsigned.status, 403);
+  assert.equal(unsigned.body.error, 'A signed media link is required');
+
+  const stream = await server.request('GET', await link('stream', body.token));
+  assert.equal(stream.status, 200);
+  assert.equal(stream.body, 'not really a video');
+  assert.equal(stream.headers.get('content-disposition'), null);
+
+  const range = await server.request('GET', await link('stream', body.token), { headers: { Range: 'bytes=0-3' } });
+  assert.equal(range.status, 206);
+  assert.equal(range.body, 'not ');
+});
+
+test('download links send the file as an attachment', async () => {
+  const { body } = await server.login('viewer');
+  const download = await server.request('GET', await link('download', body.token));
+  assert.equal(download.status, 200);
+  assert.match(download.headers.get('content-disposition'), /^attachment; filename="heat.mp4"/);
+});
+
+test('rejects links whose path, flag, expiry or signature were changed', async () => {
+  const { body } = await server.login('viewer');
+  const stream = await link('stream', body.token);
+  const download = await link('download', body.token);
+  const status = async (url) => (await server.request('GET', url)).status;
+
+  assert.equal(await status(stream.replace('/stream/1', '/stream/2')), 403);
+  assert.equal(await status(stream.replace(/expires=(\d+)/, (match, expires) => `expires=${Number(expires) + 1000}`)), 403);
+  assert.equal(await status(stream.replace(/sig=([^&]+)/, 'sig=AAAA$1')), 403);
+  assert.equal(await status(stream.replace(/uid=\d+/, 'uid=1')), 403);
+  // The download flag is signed: only the exact value a download link carries counts
+  assert.equal(await status(`${stream}&download=1`), 403);
+  assert.equal(await status(download.replace('download=1', 'download=0')), 403);
+  assert.equal(await status(download.replace('download=1', 'download=true')), 403);
+  const streamWithFlag = await server.request('GET', `${stream}&download=0`);
+  assert.equal(streamWithFlag.status, 200);
+  assert.equal(streamWithFlag.headers.get('content-disposition'), null);
+});
+
+test('links stop working when the account is disabled', async () => {
+  const { body } = await server.login('editor');
+  const stream = await link('stream', body.token);
+  const admin = (await server.login('admin')).body.token;
+  await server.request('PUT', '/admin/users/2', { token: admin, body: { disabled: true } });
+  try {
+    assert.equal((await server.request('GET', stream)).status, 403);
+  } finally {
+    await server.request('PUT', '/admin/users/2', { token: admin, body: { disabled: false } });
+  }
+  assert.equal((await server.request('GET', stream)).status, 200);
+});
@@ -0,0 +1,58 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { setTimeout: sleep } = require('timers/promises');
+const { startServer, cookiesFrom } = require('./support/server');
+
+let server;
+
+before(async () => {
+  server = await startServer({ env: { REFRESH_REUSE_GRACE_SECONDS: '1' } });
+});
+
+after(() => server.stop());
+
+const refresh = (refreshToken) => server.request('POST', '/auth/refresh', { body: { refreshToken } });
+
+test('rotates the refresh token', async () => {
+  const { body: session } = await server.login('viewer');
+  const rotated = await refresh(session.refreshToken);
+  assert.equal(rotated.status, 200);
+  assert.notEqual(rotated.body.refreshToken, session.refreshToken);
+  assert.equal((await server.request('GET', '/auth/me', { token: rotated.body.token })).status, 200);
+});
+
+test('back-to-back refreshes with the same token both succeed', async () => {
+  const { body: session } = await server.login('viewer');
+  const [first, second] = await Promise.all([refresh(session.refreshToken), refresh(session.refreshToken)]);
+  assert.deepEqual([first.status, second.status], [200, 200]);
+  assert.notEqual(first.body.refreshToken, second.body.refreshToken);
+  assert.equal((await refresh(first.body.refreshToken)).status, 200);
+  assert.equal((await refresh(second.body.refreshToken)).status, 200);
+});
+
+test('back-to-back cookie refreshes both succeed', async () => {
+  const login = await server.login('viewer', undefined, { mode: 'cookie' });
+  const cookies = `refresh_token=${cookiesFrom(login).refresh_token}`;
+  const first = await server.request('POST', '/auth/refresh', { cookies });
+  const second = await server.request('POST', '/auth/refresh', { cookies });
+  assert.deepEqual([first.status, second.status], [200, 200]);
+  assert.ok(cookiesFrom(second).session);
+});
+
+test('reusing a token after the grace period revokes the whole session family', async () => {
+  const { body: session } = await server.login('viewer');
+  const rotated = await refresh(session.refreshToken);
+  await sleep(1100);
+  const reused = await refresh(session.refreshToken);
+  assert.equal(reused.status, 401);
+  assert.equal(reused.body.error, 'Unauthorized: Invalid refresh token');
+  assert.equal((await refresh(rotated.body.refreshToken)).status, 401);
+});
+
+test('logout revokes the refresh token and the access token', async () => {
+  const { body: session } = await server.login('viewer');
+  const logout = await server.request('POST', '/auth/logout', { token: session.token, body: { refreshToken: session.refreshToken } });
+  assert.equal(logout.status, 200);
+  assert.equal((await refresh(session.refreshToken)).status, 401);
+  assert.equal((await server.request('GET', '/auth/me', { token: session.token })).status, 401);
+});
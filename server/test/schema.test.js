@@ -0,0 +1,91 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeEntry, schemaErrors, validateEntry, parseDuration } = require('../schema');
+
+test('normalizes legacy entries into the schema', () => {
+  const legacy = {
+    id: 7,
+    title: ' Absolute Deception ',
+    category: 'movie',
+    year: '2013',
+    rating: '4.3',
+    duration: '92 min',
+    resolution: '480p',
+    genres: 'Action, Drama, action',
+    description: '',
+    poster: null,
+    file_path: '/hub/movies/Absolute_Deception_480P.mp4'
+  };
+  const entry = normalizeEntry(legacy);
+  assert.deepEqual(entry, {
+    id: 7,
+    title: 'Absolute Deception',
+    category: 'movie',
+    year: 2013,
+    rating: 4.3,
+    duration: 5520,
+    resolution: '480p',
+    genres: ['action', 'drama'],
+    file_path: '/hub/movies/Absolute_Deception_480P.mp4'
+  });
+  assert.deepEqual(schemaErrors(entry), []);
+});
+
+test('normalizes legacy series down to their episodes', () => {
+  const entry = normalizeEntry({
+    title: 'Show',
+    category: 'tv-series',
+    genres: ['Drama'],
+    seasons: [{ season: '1', episodes: [{ episode: '2', title: 'Pilot', duration: '1:02:03', file_path: '' }] }, { season: 2 }]
+  });
+  assert.deepEqual(entry.seasons, [
+    { season: 1, episodes: [{ episode: 2, title: 'Pilot', duration: 3723 }] },
+    { season: 2, episodes: [] }
+  ]);
+  assert.deepEqual(schemaErrors(entry), []);
+  assert.deepEqual(normalizeEntry({ title: 'Empty', category: 'tv-series' }).seasons, []);
+});
+
+test('parses the duration formats the catalog has used', () => {
+  assert.equal(parseDuration('1h 32m'), 5520);
+  assert.equal(parseDuration('1 hour 5 minutes'), 3900);
+  assert.equal(parseDuration('45:10'), 2710);
+  assert.equal(parseDuration('5520'), 5520);
+  assert.equal(parseDuration('about an hour'), 'about an hour');
+});
+
+test('leaves values it cannot fix for the schema to report', () => {
+  const entry = normalizeEntry({ title: 'Broken', category: 'film', year: 'nineteen', rating: '11', duration: 'long', genres: [] });
+  assert.equal(entry.year, 'nineteen');
+  assert.equal(entry.duration, 'long');
+  assert.deepEqual(schemaErrors(entry), [
+    'category must be one of movie, tv-series, music, animation',
+    'year must be a 4-digit year',
+    'rating must be a number between 0 and 10',
+    'duration must be a length like "92 min", "1h 32m" or "1:32:00"'
+  ]);
+});
+
+test('reports missing fields without the seasons rule piling on', () => {
+  assert.deepEqual(schemaErrors(normalizeEntry({ title: 'No category' })), ['category is required']);
+  assert.deepEqual(schemaErrors({ title: 'Series', category: 'tv-series', genres: [] }), ['seasons is required']);
+  assert.deepEqual(schemaErrors({ title: 'Film', category: 'movie', genres: [], seasons: [] }), ['only tv-series titles have seasons']);
+});
+
+test('names the season and episode a nested error is in', () => {
+  const errors = schemaErrors(normalizeEntry({
+    title: 'Show',
+    category: 'tv-series',
+    genres: [],
+    seasons: [{ season: 1, episodes: [{ episode: 'one', title: 'Pilot', extra: true }] }]
+  }));
+  assert.deepEqual(errors.sort(), [
+    'seasons[0].episodes[0]: episode number must be a positive whole number',
+    'seasons[0].episodes[0]: unknown field "extra"'
+  ]);
+});
+
+test('validateEntry throws the first errors as one sentence', () => {
+  assert.throws(() => validateEntry({ category: 'movie', genres: [] }), { message: 'Title is required' });
+  assert.doesNotThrow(() => validateEntry({ title: 'Film', category: 'movie', genres: [] }));
+});
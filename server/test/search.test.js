@@ -0,0 +1,90 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createSearchIndex } = require('../search');
+
+const movies = [
+  { id: 1, title: 'Absolute Deception', genres: ['action', 'thriller'], description: 'A widowed reporter recruits a federal agent.' },
+  { id: 2, title: 'Pokémon Detective Pikachu', genres: ['adventure', 'comedy'], description: 'A detective story in Ryme City.' },
+  { id: 3, title: 'The Deep', genres: ['drama'], description: 'Divers find a wreck full of deception and gold.' },
+  { id: 4, title: 'Cat', genres: ['comedy'], description: 'A cat.' },
+  { id: 5, title: 'Interstellar', genres: ['science fiction'], description: 'Explorers travel through a wormhole.' }
+];
+
+const index = createSearchIndex();
+index.rebuild(movies);
+const ids = (query, options) => index.search(query, options).results.map(result => result.movie.id);
+
+test('indexes every title', () => {
+  assert.equal(index.size, movies.length);
+});
+
+test('returns nothing for blank or punctuation-only queries', () => {
+  assert.deepEqual(index.search(''), { total: 0, results: [] });
+  assert.deepEqual(index.search('  -- '), { total: 0, results: [] });
+});
+
+test('matches accents, case and word prefixes', () => {
+  assert.deepEqual(ids('POKEMON'), [2]);
+  assert.deepEqual(ids('interst'), [5]);
+});
+
+test('tolerates typos in longer words', () => {
+  assert.deepEqual(ids('intersteller'), [5]);
+  assert.deepEqual(ids('decpetion'), [1, 3]);
+  assert.deepEqual(ids('absolte decepton'), [1]);
+  assert.deepEqual(ids('pikahcu'), [2]);
+});
+
+test('accepts typos in the word still being typed', () => {
+  assert.deepEqual(ids('intes'), [5]);
+});
+
+test('short words have to be spelled right', () => {
+  assert.deepEqual(ids('cat'), [4]);
+  assert.deepEqual(ids('cta'), []);
+  assert.deepEqual(ids('dep'), []);
+});
+
+test('earlier words only match prefixes from three letters on', () => {
+  assert.deepEqual(ids('de deception'), []);
+  assert.deepEqual(ids('dec deception'), [1, 3]);
+});
+
+test('requires every word to match', () => {
+  assert.deepEqual(ids('deception gold'), [3]);
+  assert.deepEqual(ids('deception wormhole'), []);
+});
+
+test('ranks title matches above genres and descriptions', () => {
+  assert.deepEqual(ids('deception'), [1, 3]);
+  assert.deepEqual(ids('detective'), [2]);
+  const [title, description] = index.search('deception').results;
+  assert.ok(title.score > description.score);
+});
+
+test('ranks exact words above typos, and equal scores by title', () => {
+  const typo = createSearchIndex();
+  typo.rebuild([
+    { id: 1, title: 'Gold Rush', genres: [] },
+    { id: 2, title: 'Golf Club', genres: [] },
+    { id: 3, title: 'Fools Gold', genres: [] },
+    { id: 4, title: 'Goldfinger', genres: [] }
+  ]);
+  assert.deepEqual(typo.search('gold').results.map(result => result.movie.id), [3, 1, 4, 2]);
+  assert.deepEqual(ids('comedy'), [4, 2]);
+});
+
+test('limits the results but reports the total', () => {
+  const { total, results } = index.search('a', { limit: 1 });
+  assert.equal(results.length, 1);
+  assert.ok(total >= 1);
+  assert.equal(index.search('comedy', { limit: 1 }).total, 2);
+});
+
+test('rebuild replaces the indexed titles', () => {
+  const rebuilt = createSearchIndex();
+  rebuilt.rebuild(movies);
+  rebuilt.rebuild([{ id: 9, title: 'Arrival', genres: [] }]);
+  assert.deepEqual(rebuilt.search('deception').results, []);
+  assert.deepEqual(rebuilt.search('arival').results.map(result => result.movie.id), [9]);
+});
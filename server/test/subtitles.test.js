@@ -0,0 +1,55 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { srtToVtt, toWebVtt } = require('../subtitles');
+
+// A UTF-8 SubRip file with a byte order mark, CRLF line endings, a short timestamp, styling tags
+// and a cue left empty once its tags are stripped
+const sample = fs.readFileSync(path.join(__dirname, 'fixtures', 'sample.srt'));
+
+test('converts a SubRip file to WebVTT', () => {
+  assert.equal(toWebVtt(sample, 'Sample.SRT'), [
+    'WEBVTT',
+    '',
+    '00:00:01.000 --> 00:00:03.500',
+    'Hello, world!',
+    '',
+    '00:01:02.250 --> 00:01:04.000',
+    '<i>On top</i>',
+    'Second line',
+    '',
+    '01:00:00.000 --> 01:00:02.000',
+    'Arrows -> become arrows',
+    ''
+  ].join('\n'));
+});
+
+test('drops the byte order mark, carriage returns and cue numbers', () => {
+  const vtt = toWebVtt(sample, 'sample.srt');
+  assert.ok(vtt.startsWith('WEBVTT\n\n'));
+  assert.ok(!vtt.includes('\r'));
+  assert.ok(!/^\d+$/m.test(vtt));
+});
+
+test('reads cues without numbers and with dots before the milliseconds', () => {
+  assert.equal(srtToVtt('00:00:05.1 --> 00:00:06.02\nNo number'), 'WEBVTT\n\n00:00:05.100 --> 00:00:06.020\nNo number\n');
+});
+
+test('reads Windows-1252 files as Latin-1', () => {
+  const latin1 = Buffer.from('1\r\n00:00:01,000 --> 00:00:02,000\r\nCafé\r\n', 'latin1');
+  assert.match(toWebVtt(latin1, 'cafe.srt'), /\nCafé\n$/);
+});
+
+test('rejects files with no cues', () => {
+  assert.throws(() => toWebVtt(Buffer.from('not subtitles\n\nat all'), 'notes.srt'), { message: 'No subtitles found in the file; is it a SubRip (.srt) file?' });
+});
+
+test('keeps WebVTT files, normalizing their line endings', () => {
+  assert.equal(toWebVtt(Buffer.from('﻿WEBVTT\r\n\r\n00:01.000 --> 00:02.000\r\nHi\r\n'), 'a.vtt'), 'WEBVTT\n\n00:01.000 --> 00:02.000\nHi\n');
+  assert.throws(() => toWebVtt(Buffer.from('00:01.000 --> 00:02.000\nHi'), 'a.vtt'), { message: 'WebVTT files must start with "WEBVTT"' });
+});
+
+test('refuses other subtitle formats', () => {
+  assert.throws(() => toWebVtt(Buffer.from('[Script Info]'), 'a.ass'), { message: 'Subtitle file must be SubRip (.srt) or WebVTT (.vtt)' });
+});
@@ -0,0 +1,145 @@
+// Runs server.js in a child process against temporary data files and media folders, so route
+// tests exercise the real app without touching the repository's data. Every user's password is
+// PASSWORD.
+const { spawn } = require('child_process');
+const { once } = require('events');
+const fs = require('fs').promises;
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const bcrypt = require('bcryptjs');
+
+const serverDir = path.join(__dirname, '..', '..');
+const rootDir = path.join(serverDir, '..');
+const PASSWORD = 'password123';
+
+const USERS = [
+  { id: 1, username: 'admin', email: 'admin@example.com', role: 'admin' },
+  { id: 2, username: 'editor', email: 'editor@example.com', role: 'editor' },
+  { id: 3, username: 'viewer', email: 'viewer@example.com', role: 'viewer' }
+];
+
+const MOVIES = [
+  { id: 1, title: 'Heat', category: 'movie', year: 1995, genres: ['crime'], file_path: '/hub/movies/heat.mp4' }
+];
+
+const freePort = () => new Promise((resolve, reject) => {
+  const probe = net.createServer().once('error', reject);
+  probe.listen(0, '127.0.0.1', () => {
+    const { port } = probe.address();
+    probe.close(() => resolve(port));
+  });
+});
+
+// Resolves once the server listens. `env` adds to or overrides the test environment.
+async function startServer({ env = {}, movies = MOVIES } = {}) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'server-test-'));
+  // server.js resolves every configured path against the repository root
+  const relative = (name) => path.relative(rootDir, path.join(dir, name));
+  await fs.mkdir(path.join(dir, 'movies'));
+  await fs.writeFile(path.join(dir, 'movies', 'heat.mp4'), 'not really a video');
+  const password = bcrypt.hashSync(PASSWORD, 4);
+  await fs.writeFile(path.join(dir, 'users.json'), JSON.stringify(USERS.map(user => ({ ...user, password }))));
+  await fs.writeFile(path.join(dir, 'movies.json'), JSON.stringify(movies));
+
+  const port = await freePort();
+  const url = `http://127.0.0.1:${port}`;
+  const child = spawn(process.execPath, ['server.js'], {
+    cwd: serverDir,
+    stdio: ['ignore', 'pipe', 'pipe'],
+    env: {
+      PATH: process.env.PATH,
+      SECRET_KEY: 'test-secret',
+      CORS_ORIGIN: 'http://localhost',
+      API_BASE_URL: url,
+      HOST: '127.0.0.1',
+      PORT: String(port),
+      MOVIES_FILE_PATH: relative('movies.json'),
+      USERS_FILE_PATH: relative('users.json'),
+      SESSIONS_FILE_PATH: relative('sessions.json'),
+      AUDIT_LOG_PATH: relative('audit.jsonl'),
+      DRAFTS_FILE_PATH: relative('drafts.json'),
+      JOBS_FILE_PATH: relative('jobs.json'),
+      SQLITE_FILE_PATH: relative('catalog.db'),
+      BACKUP_DIR: relative('backups'),
+      MOVIES_DIR: relative('movies'),
+      SERIES_DIR: relative('series'),
+      MUSIC_DIR: relative('music'),
+      ANIMATIONS_DIR: relative('animations'),
+      POSTERS_DIR: relative('posters'),
+      SUBTITLES_DIR: relative('subtitles'),
+      TRASH_DIR: relative('trash'),
+      PREPARED_DIR: relative('prepared'),
+      MAIL_OUTBOX_DIR: relative('outbox'),
+      FFMPEG_PATH: path.join(dir, 'no-ffmpeg'),
+      FFPROBE_PATH: path.join(dir, 'no-ffprobe'),
+      ...env
+    }
+  });
+
+  let output = '';
+  child.stdout.on('data', chunk => { output += chunk; });
+  child.stderr.on('data', chunk => { output += chunk; });
+  try {
+    await new Promise((resolve, reject) => {
+      const timer = setTimeout(() => reject(new Error(`server did not start:\n${output}`)), 15000);
+      child.stdout.on('data', () => {
+        if (output.includes('Server running')) {
+          clearTimeout(timer);
+          resolve();
+        }
+      });
+      child.once('exit', code => {
+        clearTimeout(timer);
+        reject(new Error(`server exited with code ${code}:\n${output}`));
+      });
+    });
+  } catch (error) {
+    child.kill();
+    await fs.rm(dir, { recursive: true, force: true });
+    throw error;
+  }
+
+  // JSON in, parsed JSON (or text) out. `cookies` is sent as the Cookie header.
+  async function request(method, urlPath, { token, body, headers = {}, cookies } = {}) {
+    const response = await fetch(`${url}${urlPath}`, {
+      method,
+      redirect: 'manual',
+      headers: {
+        ...(token ? { Authorization: `Bearer ${token}` } : {}),
+        ...(body !== undefined ? { 'Content-Type': 'application/json' } : {}),
+        ...(cookies ? { Cookie: cookies } : {}),
+        ...headers
+      },
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    const text = await response.text();
+    let data = text;
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      // not JSON; keep the text
+    }
+    return { status: response.status, headers: response.headers, body: data };
+  }
+
+  const login = (username, password = PASSWORD, extra = {}) =>
+    request('POST', '/auth/login', { body: { username, password, ...extra } });
+
+  async function stop() {
+    if (child.exitCode === null) {
+      child.kill();
+      await once(child, 'exit');
+    }
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+
+  return { url, dir, request, login, stop, output: () => output };
+}
+
+// name=value pairs from a response's Set-Cookie headers, ready for a Cookie header
+const cookiesFrom = (response) => Object.fromEntries(response.headers.getSetCookie()
+  .map(cookie => cookie.split(';')[0].split('='))
+  .map(([name, ...value]) => [name, value.join('=')]));
+
+module.exports = { startServer, cookiesFrom, PASSWORD, USERS };
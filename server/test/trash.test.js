@@ -0,0 +1,62 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { createTrash } = require('../trash');
+
+let root;
+let trash;
+const dirs = () => ({ movies: path.join(root, 'MOVIES'), trash: path.join(root, 'TRASH'), prepared: path.join(root, 'PREPARED') });
+
+// Maps every /hub/<folder>/ path straight onto root/<FOLDER>, like the old catch-all did
+const resolvePath = (catalogPath) => {
+  const match = catalogPath.match(/^\/hub\/([^/]+)\/(.+)$/);
+  return match ? path.join(root, match[1].toUpperCase(), match[2]) : null;
+};
+
+const exists = (file) => fs.access(file).then(() => true, () => false);
+
+beforeEach(async () => {
+  root = await fs.mkdtemp(path.join(os.tmpdir(), 'trash-'));
+  for (const dir of Object.values(dirs())) await fs.mkdir(dir, { recursive: true });
+  trash = createTrash({ dir: dirs().trash, resolvePath, excluded: [dirs().prepared] });
+});
+
+afterEach(() => fs.rm(root, { recursive: true, force: true }));
+
+test('moves media files into the trash and back', async () => {
+  const file = path.join(dirs().movies, 'film.mp4');
+  await fs.writeFile(file, 'film');
+
+  const item = await trash.add({ kind: 'title', label: 'Film' }, ['/hub/movies/film.mp4']);
+  assert.equal(item.files.length, 1);
+  assert.equal(await exists(file), false);
+
+  await trash.restore(item.id, () => 'restored');
+  assert.equal(await fs.readFile(file, 'utf8'), 'film');
+});
+
+test('never moves files that are already in the trash or prepared folders', async () => {
+  const trashed = path.join(dirs().trash, 'old', '0-film.mp4');
+  const prepared = path.join(dirs().prepared, 'film', 'film.mp4');
+  await fs.mkdir(path.dirname(trashed), { recursive: true });
+  await fs.mkdir(path.dirname(prepared), { recursive: true });
+  await fs.writeFile(trashed, 'trashed');
+  await fs.writeFile(prepared, 'prepared');
+
+  const item = await trash.add({ kind: 'title', label: 'Film' }, ['/hub/trash/old/0-film.mp4', '/hub/prepared/film/film.mp4']);
+  assert.equal(item, null);
+  assert.equal(await fs.readFile(trashed, 'utf8'), 'trashed');
+  assert.equal(await fs.readFile(prepared, 'utf8'), 'prepared');
+});
+
+test('refuses to restore into the trash or prepared folders', async () => {
+  const item = await trash.add({ kind: 'title', label: 'Film', record: { id: 1 } }, []);
+  const items = JSON.parse(await fs.readFile(path.join(dirs().trash, 'trash.json'), 'utf8'));
+  items[0].files.push({ path: '/hub/prepared/film/film.mp4', stored: '0-film.mp4' });
+  await fs.writeFile(path.join(dirs().trash, 'trash.json'), JSON.stringify(items));
+
+  await assert.rejects(trash.restore(item.id, () => {}), /outside the media folders/);
+  assert.equal(await exists(path.join(dirs().prepared, 'film', 'film.mp4')), false);
+});
@@ -0,0 +1,133 @@
+// Trash bin for deleted titles and the media files they drop. Instead of being unlinked, files are
+// moved into the trash folder, one subfolder per item, and listed in trash.json beside them with
+// whatever catalog data is needed to put them back. Items are purged by an admin or once they are
+// older than the retention period.
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const { writeFileAtomic, createQueue } = require('./storage');
+
+// rename cannot cross filesystems, e.g. when the trash folder is mounted elsewhere than the media
+async function moveFile(from, to) {
+  await fs.mkdir(path.dirname(to), { recursive: true });
+  try {
+    await fs.rename(from, to);
+  } catch (error) {
+    if (error.code !== 'EXDEV') throw error;
+    await fs.copyFile(from, to);
+    await fs.unlink(from);
+  }
+}
+
+const exists = (file) => fs.access(file).then(() => true, () => false);
+
+// dir: the trash folder. resolvePath maps a catalog path (/hub/movies/x.mp4) onto the file it
+// names, or null for paths the trash may not touch. Files inside the trash folder itself or one of
+// the `excluded` folders are never moved, whatever resolvePath returns for them.
+function createTrash({ dir, resolvePath, excluded = [] }) {
+  const indexFile = path.join(dir, 'trash.json');
+  const enqueue = createQueue();
+  const protectedDirs = [dir, ...excluded].map(folder => path.resolve(folder));
+
+  const resolveFile = (catalogPath) => {
+    const file = resolvePath(catalogPath);
+    return file && !protectedDirs.some(folder => file === folder || file.startsWith(folder + path.sep)) ? file : null;
+  };
+
+  async function load() {
+    try {
+      return JSON.parse(await fs.readFile(indexFile, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+  }
+
+  const save = async (items) => {
+    await fs.mkdir(dir, { recursive: true });
+    await writeFileAtomic(indexFile, JSON.stringify(items, null, 2));
+  };
+
+  const storedFile = (item, file) => path.join(dir, item.id, file.stored);
+
+  // Moves the files named by `paths` into a new item. Paths that resolve nowhere or whose file is
+  // already gone are skipped; without a record and without files no item is created.
+  // item: { kind, label, titleId, record, deletedBy }
+  const add = (item, paths = []) => enqueue(async () => {
+    const entry = { ...item, id: crypto.randomBytes(8).toString('hex'), deletedAt: new Date().toISOString(), files: [] };
+    for (const [index, catalogPath] of [...new Set(paths.filter(Boolean))].entries()) {
+      const file = resolveFile(catalogPath);
+      if (!file) continue;
+      const stored = { path: catalogPath, stored: `${index}-${path.basename(file)}` };
+      try {
+        const { size } = await fs.stat(file);
+        await moveFile(file, storedFile(entry, stored));
+        entry.files.push({ ...stored, size });
+      } catch (error) {
+        if (error.code !== 'ENOENT') console.warn(`Failed to move ${catalogPath} to the trash:`, error);
+      }
+    }
+    if (!entry.record && !entry.files.length) return null;
+    const items = await load();
+    items.push(entry);
+    await save(items);
+    return entry;
+  });
+
+  const list = async () => (await load()).sort((a, b) => b.deletedAt.localeCompare(a.deletedAt));
+
+  // Moves the item's files back to where they came from and runs `apply(item)`, which puts its
+  // catalog data back. A file whose original location is taken again fails the restore with
+  // code EEXIST; if `apply` throws, the files go back into the trash. Resolves to what `apply`
+  // returned, or undefined when there is no such item.
+  const restore = (id, apply) => enqueue(async () => {
+    const items = await load();
+    const item = items.find(entry => entry.id === id);
+    if (!item) return undefined;
+
+    const targets = item.files.map(file => ({ file, target: resolveFile(file.path) }));
+    for (const { file, target } of targets) {
+      if (!target) throw new Error(`${file.path} is outside the media folders`);
+      if (await exists(target)) {
+        throw Object.assign(new Error(`${file.path} already exists; move that file away first`), { code: 'EEXIST' });
+      }
+    }
+    const moved = [];
+    try {
+      for (const { file, target } of targets) {
+        await moveFile(storedFile(item, file), target);
+        moved.push({ file, target });
+      }
+      const result = await apply(item);
+      await save(items.filter(entry => entry !== item));
+      await fs.rm(path.join(dir, item.id), { recursive: true, force: true });
+      return result;
+    } catch (error) {
+      for (const { file, target } of moved) {
+        await moveFile(target, storedFile(item, file)).catch(moveError => {
+          console.error(`Failed to move ${file.path} back to the trash:`, moveError);
+        });
+      }
+      throw error;
+    }
+  });
+
+  // Deletes items for good: the one with `id`, or every item matching `filter`. Resolves to the
+  // purged items.
+  const purge = (filter) => enqueue(async () => {
+    const items = await load();
+    const purged = items.filter(typeof filter === 'function' ? filter : entry => entry.id === filter);
+    if (!purged.length) return [];
+    for (const item of purged) {
+      await fs.rm(path.join(dir, item.id), { recursive: true, force: true });
+    }
+    await save(items.filter(entry => !purged.includes(entry)));
+    return purged;
+  });
+
+  const purgeExpired = (maxAge) => purge(item => Date.now() - Date.parse(item.deletedAt) > maxAge);
+
+  return { add, list, restore, purge, purgeExpired };
+}
+
+module.exports = { createTrash };